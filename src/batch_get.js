@@ -0,0 +1,82 @@
+import { logFor } from './logger';
+import { retryPolicyFor } from './retry';
+import { readManyThrough } from './cache';
+import { isExpired, expiryProjection } from './retention';
+import { DatabaseError } from './errors';
+
+const maxBatchGetKeys = 100;
+
+function itemId(model, item) {
+  return JSON.stringify([item[model.hashKey], model.rangeKey ? item[model.rangeKey] : null]);
+}
+
+function chunk(array, size) {
+  const chunks = [];
+  for (let i = 0; i < array.length; i += size) chunks.push(array.slice(i, i + size));
+  return chunks;
+}
+
+// Key attributes are always projected so items can be matched to their keys
+function projectionOptions(model, options) {
+  if (!(String(options.include_fields) === 'true' && options.fields)) return {};
+  const fields = options.fields.split(',');
+  const keyFields = [model.hashKey, model.rangeKey].filter(field => !!field && fields.indexOf(field) === -1);
+  return model._fieldsOptions({ include_fields: true, fields: fields.concat(keyFields).join(',') });
+}
+
+function refineItem(model, item, options) {
+  const refined = model._refineItem(item, options);
+  if (String(options.include_fields) === 'true' && options.fields) {
+    const fields = options.fields.split(',');
+    [model.hashKey, model.rangeKey].filter(field => !!field && fields.indexOf(field) === -1)
+      .forEach(field => delete refined[field]);
+  }
+  return refined;
+}
+
+function fetchItems(model, keys, options) {
+  const projection = projectionOptions(model, options);
+  const requests = chunk(keys, maxBatchGetKeys).map((keysChunk) => {
+    const tableParams = Object.assign({ Keys: keysChunk }, projection);
+    if (options.consistentRead) tableParams.ConsistentRead = true;
+    return model._client('batchGet', { RequestItems: { [model.tableName]: tableParams } });
+  });
+  return Promise.all(requests).then((results) => {
+    return results.reduce((items, result) => {
+      if (result.UnprocessedKeys && Object.keys(result.UnprocessedKeys).length > 0) {
+        const retries = retryPolicyFor(model).maxAttempts - 1;
+        const message = `Some ${model.name} keys were still unprocessed after ${retries} retries`;
+        throw new DatabaseError({ model: model.name, code: 'UnprocessedKeys', keys: result.UnprocessedKeys }, message);
+      }
+      return items.concat((result.Responses || {})[model.tableName] || []);
+    }, []);
+  });
+}
+
+// Keys are hash values or [hash, range] pairs. Items come back in request
+// order, {} standing for missing ones.
+function batchGet(model, keys, options = {}) {
+  logFor(model, 'batchGet').debug('Getting items', { count: keys.length });
+  const requestedKeys = keys.map(key => model._buildKey(...[].concat(key)));
+  const uniqueKeys = Array.from(requestedKeys.reduce((unique, key) => {
+    const id = itemId(model, key);
+    if (!unique.has(id)) unique.set(id, key);
+    return unique;
+  }, new Map()).values());
+  const expiry = expiryProjection(model, options);
+  const read = missingKeys => fetchItems(model, missingKeys, expiry.options);
+  return Promise.resolve().then(() => readManyThrough(model, uniqueKeys, expiry.options, read)).then((items) => {
+    const found = {};
+    items.forEach((item) => {
+      found[itemId(model, item)] = item;
+    });
+    return requestedKeys.map((key) => {
+      const item = found[itemId(model, key)];
+      return item && !isExpired(model, item) ? expiry.project(refineItem(model, item, options)) : {};
+    });
+  });
+}
+
+module.exports = {
+  batchGet
+};
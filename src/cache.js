@@ -0,0 +1,164 @@
+import { logFor } from './logger';
+import { configuredParent } from './config';
+import { ConfigurationError } from './errors';
+
+const defaultTtl = 60000;
+const defaultMaxSize = 1000;
+
+// In-process backend evicting the least recently used entries. Items are kept
+// serialized so callers can't change the cached copies.
+class LruCache {
+  constructor(options = {}) {
+    this.maxSize = options.maxSize || defaultMaxSize;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+    this.entries.set(key, entry);
+    return JSON.parse(entry.value);
+  }
+
+  set(key, value, ttl = defaultTtl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value: JSON.stringify(value), expiresAt: Date.now() + ttl });
+    if (this.entries.size > this.maxSize) this.entries.delete(this.entries.keys().next().value);
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+// Backends implement get(key), set(key, item, ttl) and delete(key), which may
+// return promises. Writes are matched to caches by table, so they also
+// invalidate the caches of other models of the same table.
+const modelCaches = new Map();
+
+// Models encrypting attributes can't be cached, as backends would hold them
+// decrypted, possibly outside of the process
+function enableCache(model, options = {}) {
+  if (model.encryptedAttributes) {
+    const message = `${model.name} items can't be cached, as they have encrypted attributes`;
+    throw new ConfigurationError({ model: model.name, setting: 'encryptedAttributes' }, message);
+  }
+  logFor(model, 'enableCache').debug('Enabling cache', { ttl: options.ttl, maxSize: options.maxSize });
+  modelCaches.set(model, {
+    backend: options.backend || new LruCache(options),
+    ttl: options.ttl || defaultTtl,
+    generation: 0
+  });
+}
+
+function disableCache(model) {
+  modelCaches.delete(model);
+}
+
+// withConfig subclasses use the cache of the model they were derived from
+function cacheFor(model) {
+  for (let current = model; current; current = configuredParent(current)) {
+    if (modelCaches.has(current)) return modelCaches.get(current);
+  }
+  return undefined;
+}
+
+function cacheKey(model, item) {
+  return JSON.stringify([model.tableName, item[model.hashKey], model.rangeKey ? item[model.rangeKey] : null]);
+}
+
+// Projected reads don't hold whole items and consistent ones skip caches
+function isCacheable(model, options = {}) {
+  if (!cacheFor(model) || options.consistentRead) return false;
+  return !(String(options.include_fields) === 'true' && options.fields);
+}
+
+function store(model, cache, generation, items) {
+  // Items read while a write was invalidating them may be stale already
+  if (cache.generation !== generation) return Promise.resolve();
+  return Promise.all(items.map(item => cache.backend.set(cacheKey(model, item), item, cache.ttl)));
+}
+
+// Resolves to the cached item or reads it, and caches it when found
+function readThrough(model, key, options, read) {
+  if (!isCacheable(model, options)) return read();
+  const cache = cacheFor(model);
+  const generation = cache.generation;
+  return Promise.resolve(cache.backend.get(cacheKey(model, key))).then((cached) => {
+    if (cached) return cached;
+    return read().then((item) => {
+      if (!item) return item;
+      return store(model, cache, generation, [item]).then(() => item);
+    });
+  });
+}
+
+// Like readThrough for many keys, read being given the keys that missed
+function readManyThrough(model, keys, options, read) {
+  if (!isCacheable(model, options)) return read(keys);
+  const cache = cacheFor(model);
+  const generation = cache.generation;
+  return Promise.all(keys.map(key => cache.backend.get(cacheKey(model, key)))).then((cached) => {
+    const hits = cached.filter(item => !!item);
+    const missingKeys = keys.filter((key, i) => !cached[i]);
+    if (missingKeys.length === 0) return hits;
+    return read(missingKeys).then((items) => {
+      return store(model, cache, generation, items).then(() => hits.concat(items));
+    });
+  });
+}
+
+function writeRequests(method, params) {
+  if (method === 'put' || method === 'update' || method === 'delete') return [params];
+  if (method === 'batchWrite') {
+    return Object.keys(params.RequestItems || {}).reduce((requests, tableName) => {
+      return requests.concat(params.RequestItems[tableName].map((request) => {
+        const write = request.PutRequest || request.DeleteRequest;
+        return Object.assign({ TableName: tableName }, write);
+      }));
+    }, []);
+  }
+  if (method === 'transactWrite') {
+    return (params.TransactItems || []).map(item => item.Put || item.Update || item.Delete).filter(write => !!write);
+  }
+  return [];
+}
+
+function invalidateWrites(method, params) {
+  const requests = modelCaches.size > 0 ? writeRequests(method, params) : [];
+  const invalidations = [];
+  modelCaches.forEach((cache, model) => {
+    const written = requests.filter(request => request.TableName === model.tableName);
+    if (written.length === 0) return;
+    logFor(model, method).debug('Invalidating cached items', { count: written.length });
+    cache.generation += 1;
+    written.forEach(request => invalidations.push(cache.backend.delete(cacheKey(model, request.Key || request.Item))));
+  });
+  return Promise.all(invalidations);
+}
+
+// Invalidates the written items whether the write succeeded or not, as
+// failed requests may still have been applied
+function invalidating(method, params, request) {
+  return request.then(
+    result => invalidateWrites(method, params).then(() => result),
+    err => invalidateWrites(method, params).then(() => {
+      throw err;
+    })
+  );
+}
+
+module.exports = {
+  LruCache,
+  enableCache,
+  disableCache,
+  readThrough,
+  readManyThrough,
+  invalidating
+};
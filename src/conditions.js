@@ -0,0 +1,71 @@
+import { buildConditionExpression } from './filters';
+import { ConditionalCheckFailedError, StaleItemError } from './errors';
+
+// Merges expression params, ANDing their ConditionExpressions together
+function mergeConditions(target, ...sources) {
+  sources.forEach((source) => {
+    if (source.ConditionExpression) {
+      target.ConditionExpression = target.ConditionExpression
+        ? `(${target.ConditionExpression}) AND (${source.ConditionExpression})`
+        : source.ConditionExpression;
+    }
+    ['ExpressionAttributeNames', 'ExpressionAttributeValues'].forEach((mapping) => {
+      if (source[mapping]) target[mapping] = Object.assign({}, target[mapping], source[mapping]);
+    });
+  });
+  return target;
+}
+
+function existenceCondition(model, exists) {
+  const operator = exists ? 'attribute_exists' : 'attribute_not_exists';
+  return {
+    ConditionExpression: `${operator}(#existsKey)`,
+    ExpressionAttributeNames: { '#existsKey': model.hashKey }
+  };
+}
+
+// Conditions use the same language as filters
+function buildConditions(model, conditions) {
+  return buildConditionExpression(conditions);
+}
+
+function buildConditionParams(model, options = {}, ...extraConditions) {
+  const conditionParams = {};
+  if (options.exists === true || options.exists === false) {
+    mergeConditions(conditionParams, existenceCondition(model, options.exists));
+  }
+  if (options.conditions && Object.keys(options.conditions).length > 0) {
+    mergeConditions(conditionParams, buildConditions(model, options.conditions));
+  }
+  return mergeConditions(conditionParams, ...extraConditions);
+}
+
+function sameVersion(current, expected) {
+  const isMissing = value => value === undefined || value === null;
+  return isMissing(current) ? isMissing(expected) : current === expected;
+}
+
+// When the write checked a version (null meaning no version yet), the current
+// item is fetched to tell a stale write from any other failed condition.
+function rejectFailedCondition(model, key, expectedVersion) {
+  return (err) => {
+    if (!err || err.code !== 'ConditionalCheckFailedException') throw err;
+    const properties = { model: model.name, key, cause: err.cause || err };
+    if (!model.versionAttribute || expectedVersion === undefined) throw new ConditionalCheckFailedError(properties);
+    const params = { TableName: model.tableName, Key: key, ConsistentRead: true };
+    return model._client('get', params).then((result) => {
+      const item = result.Item || {};
+      if (sameVersion(item[model.versionAttribute], expectedVersion)) {
+        throw new ConditionalCheckFailedError(Object.assign({ item }, properties));
+      }
+      throw new StaleItemError(Object.assign({ item, expectedVersion }, properties));
+    });
+  };
+}
+
+module.exports = {
+  mergeConditions,
+  buildConditions,
+  buildConditionParams,
+  rejectFailedCondition
+};
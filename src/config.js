@@ -0,0 +1,109 @@
+import { DynamoDB } from 'aws-sdk';
+import { logger, logFor } from './logger';
+
+const clientOptions = [
+  'region',
+  'endpoint',
+  'credentials',
+  'accessKeyId',
+  'secretAccessKey',
+  'sessionToken',
+  'maxRetries',
+  'sslEnabled',
+  'convertEmptyValues'
+];
+
+let globalConfig = {};
+let clients = new WeakMap();
+let modelConfigs = new WeakMap();
+let configuredModels = new WeakMap();
+let configuredParents = new WeakMap();
+const maxConfiguredModels = 50;
+
+function defaultConfig() {
+  return { region: process.env.AWS_REGION || 'us-east-1', cursorSecret: process.env.CURSOR_SECRET };
+}
+
+function configure(config = {}) {
+  logger.debug('Configuring models', { operation: 'configure', settings: Object.keys(config) });
+  globalConfig = Object.assign({}, globalConfig, config);
+  clients = new WeakMap();
+}
+
+function resetConfig() {
+  globalConfig = {};
+  modelConfigs = new WeakMap();
+  configuredModels = new WeakMap();
+  configuredParents = new WeakMap();
+  clients = new WeakMap();
+}
+
+function configureModel(model, config = {}) {
+  logFor(model, 'configure').debug('Configuring model', { settings: Object.keys(config) });
+  modelConfigs.set(model, Object.assign({}, modelConfigs.get(model), config));
+  clients = new WeakMap();
+}
+
+// Settings are inherited, so configuring Model applies to every model
+// that doesn't override them.
+function modelConfig(model) {
+  const chain = [];
+  for (let current = model; current && current !== Function.prototype; current = Object.getPrototypeOf(current)) {
+    if (modelConfigs.has(current)) chain.unshift(modelConfigs.get(current));
+  }
+  return Object.assign.apply(Object, [{}, defaultConfig(), globalConfig].concat(chain));
+}
+
+function sameConfig(config, other) {
+  const settings = Object.keys(config);
+  return settings.length === Object.keys(other).length && settings.every(setting => config[setting] === other[setting]);
+}
+
+// withConfig subclasses are kept per model and config, compared setting by
+// setting, so each config gets a single class and client. Only the latest
+// configs of a model are kept.
+function configuredModel(model, config = {}) {
+  const configured = configuredModels.get(model) || [];
+  const found = configured.find(entry => sameConfig(entry.config, config));
+  if (found) return found.model;
+  class ConfiguredModel extends model {}
+  Object.defineProperty(ConfiguredModel, 'name', { value: model.name });
+  configureModel(ConfiguredModel, config);
+  configuredParents.set(ConfiguredModel, model);
+  configuredModels.set(model, [{ config: Object.assign({}, config), model: ConfiguredModel }].concat(configured).slice(0, maxConfiguredModels));
+  return ConfiguredModel;
+}
+
+// The model a withConfig subclass was derived from, if it was
+function configuredParent(model) {
+  return configuredParents.get(model);
+}
+
+function buildClient(config) {
+  if (config.client) return config.client;
+  // Models retry requests themselves, so the SDK only does when told to
+  const options = clientOptions.reduce((acumm, option) => {
+    if (config[option] !== undefined) acumm[option] = config[option];
+    return acumm;
+  }, { maxRetries: 0 });
+  const httpOptions = Object.assign({}, config.httpOptions);
+  if (config.timeout !== undefined) httpOptions.timeout = config.timeout;
+  if (config.connectTimeout !== undefined) httpOptions.connectTimeout = config.connectTimeout;
+  if (Object.keys(httpOptions).length > 0) options.httpOptions = httpOptions;
+  return new DynamoDB.DocumentClient(options);
+}
+
+function clientFor(model) {
+  if (!clients.has(model)) clients.set(model, buildClient(modelConfig(model)));
+  return clients.get(model);
+}
+
+module.exports = {
+  configure,
+  resetConfig,
+  configureModel,
+  modelConfig,
+  configuredModel,
+  configuredParent,
+  clientFor
+};
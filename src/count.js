@@ -0,0 +1,49 @@
+import { logFor } from './logger';
+import { encryptedQuery } from './encryption';
+import { ValidationError } from './errors';
+
+// Pages, limits and projections don't apply to counts
+function countParams(model, key, value, options) {
+  const queryOptions = Object.assign({}, options);
+  ['page', 'limit', 'fields', 'include_fields', 'maxPages'].forEach(option => delete queryOptions[option]);
+  const encrypted = encryptedQuery(model, key, value, queryOptions);
+  if (encrypted.prefix) {
+    throw new ValidationError({ model: model.name }, `${model.name} items can't be counted by a prefix of encrypted ${encrypted.prefix.attribute}`);
+  }
+  const params = model._buildDynamoDBParams(key, encrypted.value, encrypted.options);
+  delete params.ScanIndexForward;
+  return Object.assign(params, { Select: 'COUNT' });
+}
+
+function countPages(model, params, maxPages, counted = { count: 0, pages: 0 }) {
+  return model._client('query', params).then((result) => {
+    const count = counted.count + (result.Count || 0);
+    const pages = counted.pages + 1;
+    if (!result.LastEvaluatedKey) return { count, approximate: false };
+    if (maxPages && pages >= maxPages) return { count, approximate: true };
+    const nextParams = Object.assign({}, params, { ExclusiveStartKey: result.LastEvaluatedKey });
+    return countPages(model, nextParams, maxPages, { count, pages });
+  });
+}
+
+// Follows every page of the query, each one holding at most 1 MB of scanned
+// items, and resolves to the number of items
+function countBy(model, key, value, options = {}) {
+  logFor(model, 'countBy').debug('Counting items', { hashKey: key, value, options });
+  return Promise.resolve()
+    .then(() => countPages(model, countParams(model, key, value, options)))
+    .then(result => result.count);
+}
+
+// Like countBy, stopping after options.maxPages pages and telling whether the
+// count is a lower bound: { count, approximate }
+function boundedCountBy(model, key, value, options = {}) {
+  logFor(model, 'boundedCountBy').debug('Counting items', { hashKey: key, value, options });
+  return Promise.resolve()
+    .then(() => countPages(model, countParams(model, key, value, options), options.maxPages));
+}
+
+module.exports = {
+  countBy,
+  boundedCountBy
+};
@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import base64url from 'base64-url';
+import { modelConfig } from './config';
+import { InvalidCursorError, ConfigurationError } from './errors';
+
+// Cursors are base64url encoded: a version byte, a direction byte, the HMAC
+// of everything else, a hash of the query they belong to and the JSON key.
+const cursorVersion = 1;
+const signatureLength = 32;
+const queryHashLength = 16;
+const headerLength = 2 + signatureLength + queryHashLength;
+
+// Every process serving a model's cursors has to share its secret, so there
+// is no fallback: a per process secret would break paging across instances
+function secretFor(model) {
+  const secret = modelConfig(model).cursorSecret;
+  if (!secret) throw new ConfigurationError({ model: model.name, setting: 'cursorSecret' });
+  return secret;
+}
+
+// The query is what a cursor must be reused with: key, value, index, range, filters...
+function queryHash(model, query = {}) {
+  const keys = Object.keys(query).filter(name => query[name] !== undefined && query[name] !== null).sort();
+  const canonical = JSON.stringify([model.tableName].concat(keys.map(name => [name, query[name]])));
+  return crypto.createHash('sha256').update(canonical).digest().slice(0, queryHashLength);
+}
+
+function sign(model, bytes) {
+  return crypto.createHmac('sha256', secretFor(model)).update(bytes).digest();
+}
+
+function encodeCursor(model, key, query, backwards = false) {
+  const header = Buffer.from([cursorVersion, backwards ? 1 : 0]);
+  const body = Buffer.concat([queryHash(model, query), Buffer.from(JSON.stringify(key))]);
+  const signature = sign(model, Buffer.concat([header, body]));
+  return base64url.escape(Buffer.concat([header, signature, body]).toString('base64'));
+}
+
+function cursorBytes(cursor) {
+  return Buffer.from(base64url.unescape(String(cursor)), 'base64');
+}
+
+// Only tells the direction apart, decodeCursor being what verifies cursors
+function isBackwards(cursor) {
+  const bytes = cursorBytes(cursor);
+  return bytes.length > 1 && bytes[1] === 1;
+}
+
+// The query hash is checked when a query is given
+function decodeCursor(model, cursor, query) {
+  const reject = (reason) => {
+    throw new InvalidCursorError({ model: model.name, reason, cursor });
+  };
+  const bytes = cursorBytes(cursor);
+  if (bytes.length <= headerLength) reject('malformed');
+  if (bytes[0] !== cursorVersion) reject('version');
+  const header = bytes.slice(0, 2);
+  const signature = bytes.slice(2, 2 + signatureLength);
+  const body = bytes.slice(2 + signatureLength);
+  if (!crypto.timingSafeEqual(signature, sign(model, Buffer.concat([header, body])))) reject('signature');
+  if (query && !body.slice(0, queryHashLength).equals(queryHash(model, query))) reject('query');
+  try {
+    return { key: JSON.parse(body.slice(queryHashLength).toString()), backwards: bytes[1] === 1 };
+  } catch (err) {
+    return reject('malformed');
+  }
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  isBackwards
+};
@@ -0,0 +1,298 @@
+import crypto from 'crypto';
+import { KMS } from 'aws-sdk';
+import { modelConfig } from './config';
+import { UpdateExpression } from './update_expression';
+import { rootAttribute } from './placeholders';
+import { ValidationError } from './errors';
+
+const algorithm = 'aes-256-gcm';
+const ivLength = 12;
+const tagLength = 16;
+const envelopeVersion = 1;
+const maxDataKeys = 100;
+const defaultDataKeyMaxAge = 5 * 60 * 1000;
+const defaultDataKeyMaxUses = 1000;
+
+// AES-256-GCM, the IV and authentication tag being prepended to the ciphertext
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(ivLength);
+  const cipher = crypto.createCipheriv(algorithm, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function open(key, sealed) {
+  const decipher = crypto.createDecipheriv(algorithm, key, sealed.slice(0, ivLength));
+  decipher.setAuthTag(sealed.slice(ivLength, ivLength + tagLength));
+  return Buffer.concat([decipher.update(sealed.slice(ivLength + tagLength)), decipher.final()]);
+}
+
+// Key providers generate data keys, returning them in plain text and
+// encrypted with their master key, and decrypt them back:
+//   generateDataKey() => Promise<{ keyId, plaintext: Buffer, encrypted: String }>
+//   decryptDataKey(encrypted, keyId) => Promise<Buffer>
+// This one keeps a 32 bytes master key in memory, for tests and development.
+class LocalKeyProvider {
+  constructor(masterKey, keyId = 'local') {
+    this.masterKey = Buffer.isBuffer(masterKey) ? masterKey : Buffer.from(masterKey || '', 'base64');
+    if (this.masterKey.length !== 32) throw new Error('Local master keys must be 32 bytes long');
+    this.keyId = keyId;
+  }
+
+  generateDataKey() {
+    const plaintext = crypto.randomBytes(32);
+    const encrypted = seal(this.masterKey, plaintext).toString('base64');
+    return Promise.resolve({ keyId: this.keyId, plaintext, encrypted });
+  }
+
+  decryptDataKey(encrypted) {
+    return Promise.resolve().then(() => open(this.masterKey, Buffer.from(encrypted, 'base64')));
+  }
+}
+
+// Data keys of a KMS key, kms being any client with the generateDataKey and
+// decrypt calls of the SDK. Each data key is reused for dataKeyMaxAge
+// milliseconds and dataKeyMaxUses writes, rather than calling KMS on every
+// write; a dataKeyMaxUses of 1 gets a data key per write.
+class KmsKeyProvider {
+  constructor(options = {}) {
+    if (!options.keyId) throw new Error('KMS key providers need a keyId');
+    this.keyId = options.keyId;
+    this.kms = options.kms || new KMS({ region: options.region || process.env.AWS_REGION || 'us-east-1' });
+    this.dataKeyMaxAge = options.dataKeyMaxAge || defaultDataKeyMaxAge;
+    this.dataKeyMaxUses = options.dataKeyMaxUses || defaultDataKeyMaxUses;
+    this.dataKey = null;
+  }
+
+  generateDataKey() {
+    const current = this.dataKey;
+    if (current && current.uses < this.dataKeyMaxUses && Date.now() - current.generatedAt < this.dataKeyMaxAge) {
+      current.uses += 1;
+      return current.key;
+    }
+    const key = this.kms.generateDataKey({ KeyId: this.keyId, KeySpec: 'AES_256' }).promise().then(result => ({
+      keyId: result.KeyId || this.keyId,
+      plaintext: Buffer.from(result.Plaintext),
+      encrypted: Buffer.from(result.CiphertextBlob).toString('base64')
+    }));
+    this.dataKey = { key, generatedAt: Date.now(), uses: 1 };
+    key.catch(() => {
+      if (this.dataKey && this.dataKey.key === key) this.dataKey = null;
+    });
+    return key;
+  }
+
+  decryptDataKey(encrypted, keyId) {
+    const params = { CiphertextBlob: Buffer.from(encrypted, 'base64'), KeyId: keyId };
+    return this.kms.decrypt(params).promise().then(result => Buffer.from(result.Plaintext));
+  }
+}
+
+// Models declare their encrypted attributes, those with a blind index being
+// queryable by equality: { email: { blindIndex: true }, metadata: {} }.
+// Encryption applies once a keyProvider is set with the encryption setting.
+function encryptionFor(model) {
+  const attributes = model.encryptedAttributes;
+  const settings = modelConfig(model).encryption;
+  if (!attributes || !settings || !settings.keyProvider) return null;
+  return { attributes, keyProvider: settings.keyProvider, blindIndexKey: settings.blindIndexKey };
+}
+
+function isBlindIndexed(encryption, attribute) {
+  return !!encryption && !!(encryption.attributes[attribute] || {}).blindIndex;
+}
+
+function envelopeAttribute(attribute) {
+  return `${attribute}Envelope`;
+}
+
+function isEnvelope(value) {
+  return !!value && value.v === envelopeVersion && typeof value.key === 'string' && typeof value.data === 'string';
+}
+
+// Deterministic, so equal values can still be matched without revealing them
+function blindIndex(encryption, attribute, value) {
+  if (!encryption.blindIndexKey) throw new Error('Blind indexes need the blindIndexKey encryption setting');
+  return crypto.createHmac('sha256', encryption.blindIndexKey)
+    .update(`${attribute}:${JSON.stringify(value)}`)
+    .digest('base64');
+}
+
+// Blind indexed attributes hold their blind index, so the indexes on them
+// keep working, their envelope going to a sibling attribute. The others hold
+// their envelope.
+function encryptAttributes(encryption, dataKey, item) {
+  return Object.keys(encryption.attributes).reduce((encrypted, attribute) => {
+    const value = item[attribute];
+    const indexed = isBlindIndexed(encryption, attribute);
+    if (value === undefined) return encrypted;
+    if (value === null) {
+      if (indexed) encrypted[envelopeAttribute(attribute)] = null;
+      return encrypted;
+    }
+    const envelope = {
+      v: envelopeVersion,
+      keyId: dataKey.keyId,
+      key: dataKey.encrypted,
+      data: seal(dataKey.plaintext, Buffer.from(JSON.stringify(value))).toString('base64')
+    };
+    if (indexed) {
+      encrypted[attribute] = blindIndex(encryption, attribute, value);
+      encrypted[envelopeAttribute(attribute)] = envelope;
+    } else {
+      encrypted[attribute] = envelope;
+    }
+    return encrypted;
+  }, Object.assign({}, item));
+}
+
+function encryptsAny(encryption, item) {
+  return Object.keys(encryption.attributes).some(attribute => item[attribute] !== undefined && item[attribute] !== null);
+}
+
+// Items (or plain update params) written in a single call share a data key
+function encryptItems(model, items) {
+  const encryption = encryptionFor(model);
+  if (!encryption) return Promise.resolve(items);
+  const expression = items.find(item => item instanceof UpdateExpression);
+  if (expression && expression.actions.some(action => !!encryption.attributes[rootAttribute(action.path)])) {
+    const message = `Encrypted ${model.name} attributes can only be updated with plain params`;
+    return Promise.reject(new ValidationError({ model: model.name }, message));
+  }
+  const plainItems = items.filter(item => !(item instanceof UpdateExpression));
+  if (!plainItems.some(item => encryptsAny(encryption, item))) return Promise.resolve(items);
+  return encryption.keyProvider.generateDataKey().then((dataKey) => {
+    return items.map(item => (item instanceof UpdateExpression ? item : encryptAttributes(encryption, dataKey, item)));
+  });
+}
+
+function encryptItem(model, item) {
+  return encryptItems(model, [item]).then(items => items[0]);
+}
+
+// Decrypted data keys are kept per provider, as items often share them
+const dataKeys = new WeakMap();
+
+function dataKeyFor(keyProvider, envelope) {
+  if (!dataKeys.has(keyProvider)) dataKeys.set(keyProvider, new Map());
+  const cached = dataKeys.get(keyProvider);
+  if (!cached.has(envelope.key)) {
+    if (cached.size >= maxDataKeys) cached.delete(cached.keys().next().value);
+    const dataKey = keyProvider.decryptDataKey(envelope.key, envelope.keyId);
+    cached.set(envelope.key, dataKey);
+    dataKey.catch(() => cached.delete(envelope.key));
+  }
+  return cached.get(envelope.key);
+}
+
+function decryptItem(encryption, item) {
+  const sealed = Object.keys(encryption.attributes).map((attribute) => {
+    const source = isBlindIndexed(encryption, attribute) ? envelopeAttribute(attribute) : attribute;
+    return { attribute, source };
+  }).filter(({ source }) => isEnvelope(item[source]));
+  if (sealed.length === 0) return Promise.resolve(item);
+  return Promise.all(sealed.map(({ attribute, source }) => {
+    const envelope = item[source];
+    return dataKeyFor(encryption.keyProvider, envelope)
+      .then(key => ({ attribute, source, value: JSON.parse(open(key, Buffer.from(envelope.data, 'base64')).toString()) }));
+  })).then((values) => {
+    const decrypted = Object.assign({}, item);
+    values.forEach(({ attribute, source, value }) => {
+      delete decrypted[source];
+      decrypted[attribute] = value;
+    });
+    return decrypted;
+  });
+}
+
+// Items without envelopes, written before encryption was enabled, are kept as they are
+function decryptItems(model, items) {
+  const encryption = encryptionFor(model);
+  if (!encryption) return Promise.resolve(items);
+  return Promise.all(items.map(item => decryptItem(encryption, item)));
+}
+
+const itemAttributes = { get: 'Item', put: 'Attributes', update: 'Attributes', delete: 'Attributes' };
+
+// Decrypts the items of a DocumentClient response of the model's table
+function decryptResponse(model, method, data) {
+  if (!data || !encryptionFor(model)) return Promise.resolve(data);
+  const replacing = (attribute, items, single) => decryptItems(model, items)
+    .then(decrypted => Object.assign({}, data, { [attribute]: single ? decrypted[0] : decrypted }));
+  if ((method === 'query' || method === 'scan') && data.Items) return replacing('Items', data.Items);
+  if (method === 'batchGet' && data.Responses && data.Responses[model.tableName]) {
+    return decryptItems(model, data.Responses[model.tableName]).then((items) => {
+      return Object.assign({}, data, { Responses: Object.assign({}, data.Responses, { [model.tableName]: items }) });
+    });
+  }
+  const attribute = itemAttributes[method];
+  if (attribute && data[attribute]) return replacing(attribute, [data[attribute]], true);
+  return Promise.resolve(data);
+}
+
+// Projecting a blind indexed attribute projects its envelope too
+function projectedFields(model, fields) {
+  const encryption = encryptionFor(model);
+  const envelopes = fields.filter(field => isBlindIndexed(encryption, field))
+    .map(envelopeAttribute)
+    .filter(envelope => fields.indexOf(envelope) === -1);
+  return fields.concat(envelopes);
+}
+
+// Keys of blind indexed attributes, as found in items, hold their blind index
+function storedKeyValue(model, attribute, value) {
+  const encryption = encryptionFor(model);
+  return isBlindIndexed(encryption, attribute) && value !== undefined ? blindIndex(encryption, attribute, value) : value;
+}
+
+// Blind indexed attributes are queried by their blind index. Begins-with
+// conditions can't be, so they are dropped from the query and applied to the
+// decrypted items instead, pages holding fewer items then.
+function encryptedQuery(model, key, value, options = {}) {
+  const encryption = encryptionFor(model);
+  const query = { value, options, prefix: null };
+  if (!encryption) return query;
+  if (isBlindIndexed(encryption, key || model.hashKey)) query.value = blindIndex(encryption, key || model.hashKey, value);
+  if (!options.range) return query;
+  const operand = Object.keys(options.range)[0];
+  const attribute = Object.keys(options.range[operand])[0];
+  const rangeValue = options.range[operand][attribute];
+  if (!isBlindIndexed(encryption, attribute)) return query;
+  if (operand === 'eq') {
+    query.options = Object.assign({}, options, { range: { eq: { [attribute]: blindIndex(encryption, attribute, rangeValue) } } });
+    return query;
+  }
+  if (operand !== 'bw') {
+    throw new ValidationError({ model: model.name }, `Encrypted ${model.name} ${attribute} can only be queried by equality or prefix`);
+  }
+  query.options = Object.assign({}, options);
+  delete query.options.range;
+  query.prefix = { attribute, value: rangeValue };
+  const fields = String(options.include_fields) === 'true' && options.fields ? options.fields.split(',') : null;
+  if (fields && fields.indexOf(attribute) === -1) {
+    query.options.fields = fields.concat(attribute).join(',');
+    query.projected = attribute;
+  }
+  return query;
+}
+
+function matchingPrefix(query, response) {
+  if (!query.prefix) return response;
+  const { attribute, value } = query.prefix;
+  const items = response.items.filter(item => typeof item[attribute] === 'string' && item[attribute].indexOf(value) === 0);
+  if (query.projected) items.forEach(item => delete item[query.projected]);
+  return Object.assign({}, response, { items });
+}
+
+module.exports = {
+  LocalKeyProvider,
+  KmsKeyProvider,
+  encryptItems,
+  encryptItem,
+  decryptItems,
+  decryptResponse,
+  projectedFields,
+  storedKeyValue,
+  encryptedQuery,
+  matchingPrefix
+};
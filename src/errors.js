@@ -0,0 +1,147 @@
+// Babel can't subclass Error, so the base class links to its prototype by hand
+class ModelError {
+  constructor(message, properties = {}) {
+    this.name = this.constructor.name;
+    this.message = message;
+    Object.assign(this, properties);
+    if (Error.captureStackTrace) Error.captureStackTrace(this, this.constructor);
+  }
+}
+Object.setPrototypeOf(ModelError.prototype, Error.prototype);
+
+class ConditionalCheckFailedError extends ModelError {
+  constructor(properties = {}, message = `Conditional write on ${properties.model} failed`) {
+    super(message, properties);
+  }
+}
+
+class StaleItemError extends ConditionalCheckFailedError {
+  constructor(properties = {}) {
+    const version = properties.expectedVersion;
+    const expected = version === undefined || version === null ? 'not to exist yet' : `to be at version ${version}`;
+    super(properties, `${properties.model} item was expected ${expected}`);
+  }
+}
+
+class ItemNotFoundError extends ModelError {
+  constructor(properties = {}) {
+    super(`${properties.model} item not found`, properties);
+  }
+}
+
+// Joi errors are kept as the cause, their details being copied over
+class ValidationError extends ModelError {
+  constructor(properties = {}, message) {
+    const cause = properties.cause || {};
+    super(message || cause.message || `Invalid ${properties.model} payload`, Object.assign({ details: cause.details || [] }, properties));
+  }
+}
+
+class EmptyPayloadError extends ValidationError {
+  constructor(properties = {}) {
+    super(properties, `Nothing to update on ${properties.model}`);
+  }
+}
+
+class InvalidSegmentError extends ValidationError {
+  constructor(properties = {}) {
+    super(properties, properties.type === 'InvalidConditions' ? 'provided conditions are not valid' : 'provided object is not valid');
+  }
+}
+
+// Wraps the errors of the DocumentClient, keeping their code
+class DatabaseError extends ModelError {
+  constructor(properties = {}, message = `${properties.model} request failed: ${(properties.cause || {}).message}`) {
+    super(message, properties);
+  }
+}
+
+class ThrottlingError extends DatabaseError {
+  constructor(properties = {}) {
+    super(properties, `${properties.model} request was throttled`);
+  }
+}
+
+class TransientError extends DatabaseError {
+  constructor(properties = {}) {
+    super(properties, `${properties.model} request failed with a transient error (${properties.code})`);
+  }
+}
+
+class IndexNotFoundError extends ModelError {
+  constructor(properties = {}) {
+    const range = properties.rangeKey ? ` and ${properties.rangeKey}` : '';
+    super(`No ${properties.model} index can be queried by ${properties.hashKey}${range}`, properties);
+  }
+}
+
+class InvalidCursorError extends ModelError {
+  constructor(properties = {}) {
+    super(`Invalid ${properties.model} cursor (${properties.reason})`, properties);
+  }
+}
+
+// Settings a model can't work without, such as the cursorSecret
+class ConfigurationError extends ModelError {
+  constructor(properties = {}, message = `${properties.model} needs the ${properties.setting} setting`) {
+    super(message, properties);
+  }
+}
+
+// Items read or written through Models.forUser that belong to another user
+class CrossTenantError extends ModelError {
+  constructor(properties = {}) {
+    super(`${properties.model} item belongs to another user`, properties);
+  }
+}
+
+class TransactionCanceledError extends ModelError {
+  constructor(properties = {}) {
+    const failed = (properties.reasons || []).filter(reason => reason.code !== 'None');
+    const summary = failed.map(reason => `${reason.model} (${reason.code})`).join(', ');
+    super(`Transaction was canceled${summary ? `: ${summary}` : ''}`, properties);
+  }
+}
+
+const throttlingCodes = ['ProvisionedThroughputExceededException', 'ThrottlingException', 'RequestLimitExceeded'];
+const transientCodes = [
+  'InternalServerError',
+  'ServiceUnavailable',
+  'NetworkingError',
+  'TimeoutError',
+  'RequestTimeout',
+  'RequestTimeoutException',
+  'ECONNRESET',
+  'ETIMEDOUT'
+];
+
+function clientError(model, params, err) {
+  if (err instanceof ModelError) return err;
+  const code = err && err.code;
+  const item = params.Item || {};
+  const key = params.Key || (params.Item ? model._buildKey(item[model.hashKey], item[model.rangeKey]) : undefined);
+  const properties = { model: model.name, key, code, cause: err };
+  if (code === 'ConditionalCheckFailedException') return new ConditionalCheckFailedError(properties);
+  if (throttlingCodes.indexOf(code) !== -1) return new ThrottlingError(properties);
+  if (transientCodes.indexOf(code) !== -1) return new TransientError(properties);
+  return new DatabaseError(properties);
+}
+
+module.exports = {
+  ModelError,
+  ConditionalCheckFailedError,
+  StaleItemError,
+  ItemNotFoundError,
+  ValidationError,
+  EmptyPayloadError,
+  InvalidSegmentError,
+  DatabaseError,
+  ThrottlingError,
+  TransientError,
+  IndexNotFoundError,
+  InvalidCursorError,
+  ConfigurationError,
+  CrossTenantError,
+  TransactionCanceledError,
+  clientError
+};
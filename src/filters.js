@@ -0,0 +1,91 @@
+import { Placeholders } from './placeholders';
+import { ValidationError } from './errors';
+
+const comparisons = { eq: '=', ne: '<>', le: '<=', lt: '<', ge: '>=', gt: '>' };
+
+// Compiles { attribute: { operand: value } } maps, optionally nested in
+// and/or/not groups, to an expression with unique placeholders
+class ExpressionBuilder {
+  constructor(prefix) {
+    this.placeholders = new Placeholders(prefix);
+  }
+
+  build(filters, expressionKey) {
+    if (!filters || Object.keys(filters).length === 0) return {};
+    const expression = this.group(filters);
+    return Object.assign({ [expressionKey]: expression }, this.placeholders.params());
+  }
+
+  group(filters) {
+    const expressions = Object.keys(filters).map((key) => {
+      if (key === 'and' || key === 'or') return this.junction(key, filters[key]);
+      if (key === 'not') return `NOT (${this.group(filters.not)})`;
+      return this.attribute(key, filters[key]);
+    });
+    if (expressions.length === 0) throw new ValidationError({}, 'Filter groups can\'t be empty');
+    return expressions.join(' AND ');
+  }
+
+  junction(key, groups) {
+    if (!Array.isArray(groups) || groups.length === 0) throw new ValidationError({}, `The ${key} filter expects a list of filters`);
+    return `(${groups.map(filters => `(${this.group(filters)})`).join(` ${key.toUpperCase()} `)})`;
+  }
+
+  attribute(attribute, operands) {
+    const path = this.path(attribute);
+    return Object.keys(operands).map(operand => this.operand(path, operand, operands[operand])).join(' AND ');
+  }
+
+  operand(path, operand, value) {
+    if (comparisons[operand]) return `${path} ${comparisons[operand]} ${this.value(value)}`;
+    switch (operand) {
+      case 'bw':
+        return `begins_with(${path}, ${this.value(value)})`;
+      case 'btw':
+        if (!Array.isArray(value) || value.length !== 2) throw new ValidationError({}, 'The btw operand expects a [from, to] pair');
+        return `${path} BETWEEN ${this.value(value[0])} AND ${this.value(value[1])}`;
+      case 'in':
+        if (!Array.isArray(value) || value.length === 0) throw new ValidationError({}, 'The in operand expects a list of values');
+        return `${path} IN (${value.map(element => this.value(element)).join(', ')})`;
+      case 'contains':
+        return `contains(${path}, ${this.value(value)})`;
+      case 'notContains':
+        return `NOT contains(${path}, ${this.value(value)})`;
+      case 'exists':
+        return value ? `attribute_exists(${path})` : `attribute_not_exists(${path})`;
+      case 'notExists':
+        return value ? `attribute_not_exists(${path})` : `attribute_exists(${path})`;
+      case 'attributeType':
+        return `attribute_type(${path}, ${this.value(value)})`;
+      case 'size':
+        return Object.keys(value).map((sizeOperand) => {
+          if (!comparisons[sizeOperand] && sizeOperand !== 'btw') throw new ValidationError({}, `Unknown size operand ${sizeOperand}`);
+          return this.operand(`size(${path})`, sizeOperand, value[sizeOperand]);
+        }).join(' AND ');
+      default:
+        throw new ValidationError({}, `Unknown operand ${operand}`);
+    }
+  }
+
+  path(attribute) {
+    return this.placeholders.path(attribute);
+  }
+
+  value(value) {
+    return this.placeholders.value(value);
+  }
+}
+
+function buildFilterExpression(filters, prefix = 'filter') {
+  return new ExpressionBuilder(prefix).build(filters, 'FilterExpression');
+}
+
+function buildConditionExpression(conditions, prefix = 'cond') {
+  return new ExpressionBuilder(prefix).build(conditions, 'ConditionExpression');
+}
+
+module.exports = {
+  ExpressionBuilder,
+  buildFilterExpression,
+  buildConditionExpression
+};
@@ -0,0 +1,77 @@
+import { logFor } from './logger';
+
+const hookEvents = [
+  'beforeValidate',
+  'beforeSave',
+  'afterSave',
+  'beforeUpdate',
+  'afterUpdate',
+  'beforeDelete',
+  'afterDelete',
+  'beforeIncrement',
+  'afterIncrement'
+];
+
+const modelHooks = new WeakMap();
+
+function checkEvent(event) {
+  if (hookEvents.indexOf(event) === -1) throw new Error(`Unknown hook ${event}`);
+}
+
+function addHook(model, event, hook) {
+  checkEvent(event);
+  const hooks = modelHooks.get(model) || {};
+  hooks[event] = (hooks[event] || []).concat(hook);
+  modelHooks.set(model, hooks);
+}
+
+function removeHook(model, event, hook) {
+  checkEvent(event);
+  const hooks = modelHooks.get(model) || {};
+  hooks[event] = (hooks[event] || []).filter(registered => registered !== hook);
+}
+
+// Hooks are inherited, those of Model running before the subclasses' ones
+function hooksFor(model, event) {
+  const chain = [];
+  for (let current = model; current && current !== Function.prototype; current = Object.getPrototypeOf(current)) {
+    const hooks = modelHooks.get(current);
+    if (hooks && hooks[event]) chain.unshift(hooks[event]);
+  }
+  return [].concat.apply([], chain);
+}
+
+// Hooks get the payload and a context, and may change the payload in place or
+// resolve to a replacement. Throwing or rejecting aborts the operation.
+function runHooks(model, events, payload, context = {}) {
+  const hooks = [].concat(events).reduce((all, event) => {
+    return all.concat(hooksFor(model, event).map(hook => ({ event, hook })));
+  }, []);
+  return hooks.reduce((promise, registered) => {
+    return promise.then((current) => {
+      logFor(model, context.operation, context.key).debug('Running hook', { event: registered.event });
+      const hookContext = Object.assign({ model, event: registered.event }, context);
+      return Promise.resolve(registered.hook.call(model, current, hookContext))
+        .then(result => (result === undefined ? current : result));
+    });
+  }, Promise.resolve(payload));
+}
+
+// Runs the before hooks, the operation on the resulting payload and then the
+// after hooks, which also get the operation result
+function withHooks(model, events, payload, context, operation) {
+  return runHooks(model, events.before, payload, context).then((hooked) => {
+    return Promise.resolve(operation(hooked)).then((result) => {
+      return runHooks(model, events.after, hooked, Object.assign({ result }, context))
+        .then(() => result);
+    });
+  });
+}
+
+module.exports = {
+  hookEvents,
+  addHook,
+  removeHook,
+  runHooks,
+  withHooks
+};
@@ -1,3 +1,5 @@
+import { forUser } from './tenancy';
+
 export * from './models/model';
 export * from './models/base_model';
 export * from './models/link';
@@ -16,3 +18,20 @@ export * from './models/email_template';
 export * from './models/automation';
 export * from './models/automation_action';
 export * from './models/scheduled_email';
+export * from './memory_document_client';
+export * from './transaction';
+export * from './iterator';
+export * from './update_expression';
+export { hookEvents } from './hooks';
+export { createTableParams, timeToLiveParams, cloudFormationResources, cloudFormationTemplate, serverlessResources } from './table_definitions';
+export { encodeCursor, decodeCursor } from './cursors';
+export { LruCache } from './cache';
+export { Loader } from './loader';
+export { LocalKeyProvider, KmsKeyProvider } from './encryption';
+export { InvocationMetrics } from './metrics';
+export { configureLogger, resetLogger, createLogger } from './logger';
+export { configure, resetConfig } from './config';
+export { forUser } from './tenancy';
+export * from './errors';
+
+export const Models = { forUser };
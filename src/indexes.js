@@ -0,0 +1,42 @@
+import { indexDefinitions } from './table_definitions';
+import { IndexNotFoundError, ConfigurationError } from './errors';
+import { storedKeyValue } from './encryption';
+
+function rangeAttribute(options = {}) {
+  if (!options.range) return null;
+  const operand = Object.keys(options.range)[0];
+  return Object.keys(options.range[operand])[0];
+}
+
+// Picks what a query by key (and options.range) runs against: the index
+// named by indexName, the table or the declared index keyed by those
+// attributes. Models declaring no indexes query whatever they are asked to.
+function queryIndex(model, key, options = {}) {
+  const hashKey = key || model.hashKey;
+  const rangeKey = rangeAttribute(options);
+  const declared = indexDefinitions(model);
+  if (options.indexName) {
+    return declared.find(index => index.name === options.indexName) || { name: options.indexName, hashKey, rangeKey };
+  }
+  const matchesTable = hashKey === model.hashKey && (!rangeKey || rangeKey === model.rangeKey);
+  if (matchesTable || declared.length === 0) return { name: undefined, hashKey, rangeKey };
+  const index = declared.find(candidate => candidate.hashKey === hashKey && (!rangeKey || candidate.rangeKey === rangeKey));
+  if (!index) throw new IndexNotFoundError({ model: model.name, hashKey, rangeKey });
+  if (!index.name) throw new ConfigurationError({ model: model.name, setting: 'indexes' }, `Missing name for index ${model.name}.${index.id}`);
+  return index;
+}
+
+// Pagination keys hold the table keys plus those of the queried index, as
+// they are stored
+function itemKey(model, item, index) {
+  const attributes = [model.hashKey, model.rangeKey, index.hashKey, index.rangeKey];
+  return attributes.reduce((key, attribute) => {
+    if (attribute) key[attribute] = storedKeyValue(model, attribute, item[attribute]);
+    return key;
+  }, {});
+}
+
+module.exports = {
+  queryIndex,
+  itemKey
+};
@@ -0,0 +1,75 @@
+import { Readable } from 'stream';
+import { logger } from './logger';
+
+const asyncIteratorSymbol = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+
+// Walks the items of a paginated read, fetching the next page only once the
+// current one has been consumed. fetchPage(page) resolves to { items, nextPage }.
+class PageIterator {
+  constructor(fetchPage, options = {}) {
+    this.fetchPage = fetchPage;
+    this.remaining = options.limit || Number.MAX_SAFE_INTEGER;
+    this.items = [];
+    this.page = options.page;
+    this.finished = false;
+    this.pending = Promise.resolve();
+  }
+
+  next() {
+    this.pending = this.pending.then(() => this._next());
+    return this.pending;
+  }
+
+  return(value) {
+    this.finished = true;
+    this.items = [];
+    return Promise.resolve({ value, done: true });
+  }
+
+  [asyncIteratorSymbol]() {
+    return this;
+  }
+
+  _next() {
+    if (this.remaining <= 0) return { value: undefined, done: true };
+    if (this.items.length > 0) {
+      this.remaining -= 1;
+      return { value: this.items.shift(), done: false };
+    }
+    if (this.finished) return { value: undefined, done: true };
+    logger.debug('Fetching next page', { operation: 'iterate', page: this.page });
+    return Promise.resolve(this.fetchPage(this.page)).then((result) => {
+      this.items = result.items || [];
+      this.page = result.nextPage;
+      if (!this.page) this.finished = true;
+      return this._next();
+    });
+  }
+}
+
+function streamFrom(iterator, options = {}) {
+  return new Readable({
+    objectMode: true,
+    highWaterMark: options.highWaterMark,
+    read() {
+      iterator.next()
+        .then(result => this.push(result.done ? null : result.value))
+        .catch(err => this.emit('error', err));
+    }
+  });
+}
+
+// pageSize sets the Limit of each query, while limit caps the items returned
+function queryIterator(model, key, value, options = {}) {
+  const queryOptions = Object.assign({}, options, { limit: options.pageSize });
+  delete queryOptions.recursive;
+  delete queryOptions.pageSize;
+  delete queryOptions.page;
+  return new PageIterator(page => model._allBy(key, value, Object.assign({}, queryOptions, { page })), options);
+}
+
+module.exports = {
+  PageIterator,
+  streamFrom,
+  queryIterator
+};
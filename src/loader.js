@@ -0,0 +1,78 @@
+import { logFor } from './logger';
+
+function itemId(model, key) {
+  return JSON.stringify([key[model.hashKey], model.rangeKey ? key[model.rangeKey] : null]);
+}
+
+// Coalesces the gets made in the same tick into a BatchGetItem per model and
+// memoizes them, so loaders should live as long as a request. Models sharing
+// a table may not share their client, as withConfig subclasses, so they are
+// never batched together. Misses resolve to {} as with get, and failed gets
+// are forgotten so they can be retried.
+class Loader {
+  constructor() {
+    this.loaded = new Map();
+    this.queue = [];
+  }
+
+  get(model, hash, range) {
+    const key = model._buildKey(hash, range);
+    const id = itemId(model, key);
+    const loaded = this._loadedFor(model);
+    if (!loaded.has(id)) {
+      const loading = new Promise((resolve, reject) => {
+        if (this.queue.length === 0) this._scheduleDispatch();
+        this.queue.push({ model, key, resolve, reject });
+      });
+      loaded.set(id, loading);
+    }
+    return loaded.get(id);
+  }
+
+  getAll(model, keys) {
+    return Promise.all(keys.map(key => this.get(model, ...[].concat(key))));
+  }
+
+  // Forgets loaded items, all of them without a model, so they are read again
+  clear(model, hash, range) {
+    if (model) {
+      this._loadedFor(model).delete(itemId(model, model._buildKey(hash, range)));
+    } else {
+      this.loaded.clear();
+    }
+    return this;
+  }
+
+  _loadedFor(model) {
+    if (!this.loaded.has(model)) this.loaded.set(model, new Map());
+    return this.loaded.get(model);
+  }
+
+  // Runs once the promises resolved in this tick had their callbacks called
+  _scheduleDispatch() {
+    Promise.resolve().then(() => process.nextTick(() => this._dispatch()));
+  }
+
+  _dispatch() {
+    const queue = this.queue;
+    this.queue = [];
+    const models = queue.reduce((byModel, request) => {
+      byModel.set(request.model, (byModel.get(request.model) || []).concat(request));
+      return byModel;
+    }, new Map());
+    models.forEach((requests, model) => {
+      logFor(model, 'load').debug('Loading coalesced items', { count: requests.length });
+      Promise.resolve()
+        .then(() => model.batchGet(requests.map(request => [request.key[model.hashKey], request.key[model.rangeKey]])))
+        .then(items => requests.forEach((request, i) => request.resolve(items[i])))
+        .catch(err => requests.forEach((request) => {
+          this._loadedFor(model).delete(itemId(model, request.key));
+          request.reject(err);
+        }));
+    });
+  }
+}
+
+module.exports = {
+  Loader
+};
@@ -1,5 +1,125 @@
-module.exports.debug = function() {
-  if(process.env.DEBUG){
-    console.log.apply(console, arguments);
+const levels = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const redacted = '[REDACTED]';
+const emailPattern = /[^\s@"'<>]+@[^\s@"'<>]+\.[^\s@"'<>]+/g;
+const expressionKeys = ['KeyConditionExpression', 'FilterExpression', 'ConditionExpression', 'UpdateExpression'];
+const placeholderPattern = /#\w+(?:\.#\w+|\[\d+\])*|:\w+/g;
+
+function consoleTransport(entry) {
+  console.log(JSON.stringify(entry));
+}
+
+// DEBUG is still honoured, LOG_LEVEL taking precedence
+function defaultSettings() {
+  return {
+    level: process.env.LOG_LEVEL || (process.env.DEBUG ? 'debug' : 'warn'),
+    transport: consoleTransport,
+    redact: ['email', 'metadata', 'body']
+  };
+}
+
+let settings = defaultSettings();
+
+// Transports are functions given every entry that passes the level:
+// { level, time, message, model, operation, key, ...fields }
+function configureLogger(options = {}) {
+  if (options.level && levels[options.level] === undefined) throw new Error(`Unknown log level ${options.level}`);
+  settings = Object.assign({}, settings, options);
+}
+
+function resetLogger() {
+  settings = defaultSettings();
+}
+
+function isEnabled(level) {
+  return levels[level] >= levels[settings.level];
+}
+
+function isRedacted(attribute) {
+  return settings.redact.indexOf(attribute) !== -1;
+}
+
+// Expression values belong to the attribute path they follow (#u0 = :u0,
+// begins_with(#filter0, :filter0)), those of redacted attributes or following
+// no path being hidden
+function redactedPlaceholders(params) {
+  const names = params.ExpressionAttributeNames || {};
+  return expressionKeys.reduce((hidden, expressionKey) => {
+    let path = null;
+    (String(params[expressionKey] || '').match(placeholderPattern) || []).forEach((placeholder) => {
+      if (placeholder[0] === '#') {
+        path = placeholder.match(/#\w+/g).map(name => names[name]);
+      } else if (!path || path.some(isRedacted)) {
+        hidden.push(placeholder);
+      }
+    });
+    return hidden;
+  }, []);
+}
+
+function redactValues(params) {
+  const hidden = redactedPlaceholders(params);
+  return Object.keys(params.ExpressionAttributeValues).reduce((safe, placeholder) => {
+    safe[placeholder] = hidden.indexOf(placeholder) === -1 ? redact(params.ExpressionAttributeValues[placeholder]) : redacted;
+    return safe;
+  }, {});
+}
+
+// Hides the values of the redacted attributes at any depth, even behind
+// expression placeholders, and email addresses anywhere else, as keys and
+// expression values may hold them too
+function redact(value) {
+  if (typeof value === 'string') return value.replace(emailPattern, redacted);
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+  if (value instanceof Error) return { name: value.name, message: redact(value.message), code: value.code };
+  return Object.keys(value).reduce((safe, attribute) => {
+    if (isRedacted(attribute)) {
+      safe[attribute] = redacted;
+    } else if (attribute === 'ExpressionAttributeValues' && value[attribute] && typeof value[attribute] === 'object') {
+      safe[attribute] = redactValues(value);
+    } else {
+      safe[attribute] = redact(value[attribute]);
+    }
+    return safe;
+  }, {});
+}
+
+function write(level, bindings, message, fields) {
+  if (!isEnabled(level)) return;
+  const entry = Object.assign({ level, time: new Date().toISOString(), message }, redact(Object.assign({}, bindings, fields)));
+  try {
+    settings.transport(entry);
+  } catch (err) {
+    consoleTransport({ level: 'error', time: entry.time, message: 'Failing log transport', error: redact(err) });
   }
 }
+
+// Loggers carry bindings added to all their entries, child ones adding more
+function createLogger(bindings = {}) {
+  const log = level => (message, fields) => write(level, bindings, message, fields);
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    child: more => createLogger(Object.assign({}, bindings, more))
+  };
+}
+
+const logger = createLogger();
+
+// Context of the model calls: the model name, the operation and the item key
+function logFor(model, operation, key) {
+  const bindings = { model: model.name, operation };
+  if (key !== undefined) bindings.key = key;
+  return createLogger(bindings);
+}
+
+module.exports = {
+  logLevels: Object.keys(levels),
+  configureLogger,
+  resetLogger,
+  createLogger,
+  logger,
+  logFor
+};
@@ -0,0 +1,867 @@
+import { DynamoDB } from 'aws-sdk';
+import { logger } from './logger';
+import { indexDefinitions } from './table_definitions';
+
+const createSet = DynamoDB.DocumentClient.prototype.createSet;
+
+const setTypes = { String: 'SS', Number: 'NS', Binary: 'BS' };
+
+const conditionFunctions = ['attribute_exists', 'attribute_not_exists', 'attribute_type', 'begins_with', 'contains'];
+
+const comparators = {
+  '=': (a, b) => isEqual(a, b),
+  '<>': (a, b) => !isEqual(a, b),
+  '<': (a, b) => compare(a, b) < 0,
+  '<=': (a, b) => compare(a, b) <= 0,
+  '>': (a, b) => compare(a, b) > 0,
+  '>=': (a, b) => compare(a, b) >= 0
+};
+
+function dynamoError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = 400;
+  error.retryable = false;
+  return error;
+}
+
+function validationError(message) {
+  return dynamoError('ValidationException', message);
+}
+
+function isSet(value) {
+  return !!value && value.wrapperName === 'Set';
+}
+
+function typeOf(value) {
+  if (value === undefined) return undefined;
+  if (value === null) return 'NULL';
+  if (isSet(value)) return setTypes[value.type];
+  if (Buffer.isBuffer(value)) return 'B';
+  if (Array.isArray(value)) return 'L';
+  if (typeof value === 'string') return 'S';
+  if (typeof value === 'number') return 'N';
+  if (typeof value === 'boolean') return 'BOOL';
+  return 'M';
+}
+
+function clone(value) {
+  if (isSet(value)) return createSet(value.values.slice());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((copy, key) => {
+      copy[key] = clone(value[key]);
+      return copy;
+    }, {});
+  }
+  return value;
+}
+
+function isEqual(a, b) {
+  const type = typeOf(a);
+  if (type !== typeOf(b)) return false;
+  if (type === 'B') return a.equals(b);
+  if (type === 'L') return a.length === b.length && a.every((value, i) => isEqual(value, b[i]));
+  if (type === 'M') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => b.hasOwnProperty(key) && isEqual(a[key], b[key]));
+  }
+  if (isSet(a)) {
+    return a.values.length === b.values.length && a.values.every(value => b.values.some(other => isEqual(value, other)));
+  }
+  return a === b;
+}
+
+// Returns NaN when the values can't be ordered, so every comparison against it is false
+function compare(a, b) {
+  const type = typeOf(a);
+  if (type !== typeOf(b) || ['S', 'N', 'B'].indexOf(type) === -1) return NaN;
+  if (type === 'B') return Buffer.compare(a, b);
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+function sizeOf(value) {
+  const type = typeOf(value);
+  if (type === 'S') return Buffer.byteLength(value);
+  if (type === 'B' || type === 'L') return value.length;
+  if (type === 'M') return Object.keys(value).length;
+  if (isSet(value)) return value.values.length;
+  return undefined;
+}
+
+function getPath(item, path) {
+  return path.reduce((current, element) => {
+    if (current === undefined || current === null) return undefined;
+    if (typeof element === 'number') return Array.isArray(current) ? current[element] : undefined;
+    return typeOf(current) === 'M' && current.hasOwnProperty(element) ? current[element] : undefined;
+  }, item);
+}
+
+function setPath(item, path, value, createParents = false) {
+  const parent = path.slice(0, -1).reduce((current, element, i) => {
+    if (current === undefined) return undefined;
+    if (current[element] === undefined && createParents) {
+      current[element] = typeof path[i + 1] === 'number' ? [] : {};
+    }
+    return current[element];
+  }, item);
+  const last = path[path.length - 1];
+  const validParent = typeof last === 'number' ? Array.isArray(parent) : typeOf(parent) === 'M';
+  if (!validParent) throw validationError('The document path provided in the update expression is invalid for update');
+  if (typeof last === 'number' && last >= parent.length) {
+    parent.push(value);
+  } else {
+    parent[last] = value;
+  }
+}
+
+function removePath(item, path) {
+  const parent = getPath(item, path.slice(0, -1));
+  const last = path[path.length - 1];
+  if (typeof last === 'number') {
+    if (Array.isArray(parent) && last < parent.length) parent.splice(last, 1);
+  } else if (typeOf(parent) === 'M') {
+    delete parent[last];
+  }
+}
+
+function tokenize(expression) {
+  const pattern = /\s*(?:(<>|<=|>=|[=<>()[\],.+-])|(#[A-Za-z0-9_]+)|(:[A-Za-z0-9_]+)|([A-Za-z_][A-Za-z0-9_]*)|(\d+))/g;
+  const tokens = [];
+  let position = 0;
+  while (position < expression.length) {
+    if (/^\s*$/.test(expression.slice(position))) break;
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+    if (!match || match.index !== position) {
+      throw validationError(`Invalid expression: Syntax error; token: "${expression.slice(position).trim().split(/\s/)[0]}"`);
+    }
+    if (match[1]) tokens.push({ type: 'symbol', value: match[1] });
+    if (match[2]) tokens.push({ type: 'name', value: match[2] });
+    if (match[3]) tokens.push({ type: 'value', value: match[3] });
+    if (match[4]) tokens.push({ type: 'word', value: match[4] });
+    if (match[5]) tokens.push({ type: 'number', value: Number(match[5]) });
+    position = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+class ExpressionParser {
+
+  constructor(params) {
+    this.names = params.ExpressionAttributeNames || {};
+    this.values = params.ExpressionAttributeValues || {};
+    this.usedNames = {};
+    this.usedValues = {};
+  }
+
+  condition(expression) {
+    this._start(expression);
+    const condition = this._parseOr();
+    this._end();
+    return condition;
+  }
+
+  update(expression) {
+    this._start(expression);
+    const actions = [];
+    while (this._peek()) {
+      const clause = this._expectWord(['SET', 'REMOVE', 'ADD', 'DELETE']);
+      do {
+        actions.push(this._parseUpdateAction(clause));
+      } while (this._acceptSymbol(','));
+    }
+    return actions;
+  }
+
+  projection(expression) {
+    this._start(expression);
+    const paths = [];
+    do {
+      paths.push(this._parsePath());
+    } while (this._acceptSymbol(','));
+    this._end();
+    return paths;
+  }
+
+  checkUnused() {
+    const unusedNames = Object.keys(this.names).filter(name => !this.usedNames[name]);
+    if (unusedNames.length > 0) {
+      throw validationError(`Value provided in ExpressionAttributeNames unused in expressions: keys: {${unusedNames.join(', ')}}`);
+    }
+    const unusedValues = Object.keys(this.values).filter(value => !this.usedValues[value]);
+    if (unusedValues.length > 0) {
+      throw validationError(`Value provided in ExpressionAttributeValues unused in expressions: keys: {${unusedValues.join(', ')}}`);
+    }
+  }
+
+  _start(expression) {
+    this.expression = expression;
+    this.tokens = tokenize(expression);
+    this.position = 0;
+  }
+
+  _end() {
+    if (this._peek()) this._syntaxError();
+  }
+
+  _peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  _next() {
+    const token = this.tokens[this.position];
+    if (!token) this._syntaxError();
+    this.position += 1;
+    return token;
+  }
+
+  _syntaxError() {
+    const token = this._peek();
+    throw validationError(`Invalid expression: Syntax error; token: "${token ? token.value : '<EOF>'}", expression: "${this.expression}"`);
+  }
+
+  _isWord(token, words) {
+    return !!token && token.type === 'word' && words.indexOf(token.value.toUpperCase()) !== -1;
+  }
+
+  _isSymbol(token, symbol) {
+    return !!token && token.type === 'symbol' && token.value === symbol;
+  }
+
+  _acceptWord(word) {
+    if (!this._isWord(this._peek(), [word])) return false;
+    this.position += 1;
+    return true;
+  }
+
+  _acceptSymbol(symbol) {
+    if (!this._isSymbol(this._peek(), symbol)) return false;
+    this.position += 1;
+    return true;
+  }
+
+  _expectWord(words) {
+    const token = this._next();
+    if (!this._isWord(token, words)) {
+      this.position -= 1;
+      this._syntaxError();
+    }
+    return token.value.toUpperCase();
+  }
+
+  _expectSymbol(symbol) {
+    if (!this._acceptSymbol(symbol)) this._syntaxError();
+  }
+
+  _parseOr() {
+    const operands = [this._parseAnd()];
+    while (this._acceptWord('OR')) operands.push(this._parseAnd());
+    return item => operands.some(operand => operand(item));
+  }
+
+  _parseAnd() {
+    const operands = [this._parseNot()];
+    while (this._acceptWord('AND')) operands.push(this._parseNot());
+    return item => operands.every(operand => operand(item));
+  }
+
+  _parseNot() {
+    if (this._acceptWord('NOT')) {
+      const operand = this._parseNot();
+      return item => !operand(item);
+    }
+    return this._parsePredicate();
+  }
+
+  _parsePredicate() {
+    const token = this._peek();
+    if (this._isSymbol(token, '(')) {
+      this.position += 1;
+      const condition = this._parseOr();
+      this._expectSymbol(')');
+      return condition;
+    }
+    if (token && token.type === 'word' && conditionFunctions.indexOf(token.value) !== -1 && this._isSymbol(this._peek(1), '(')) {
+      return this._parseConditionFunction();
+    }
+    const left = this._parseOperand();
+    if (this._acceptWord('BETWEEN')) {
+      const lower = this._parseOperand();
+      this._expectWord(['AND']);
+      const upper = this._parseOperand();
+      return item => compare(left(item), lower(item)) >= 0 && compare(left(item), upper(item)) <= 0;
+    }
+    if (this._acceptWord('IN')) {
+      this._expectSymbol('(');
+      const candidates = [];
+      do {
+        candidates.push(this._parseOperand());
+      } while (this._acceptSymbol(','));
+      this._expectSymbol(')');
+      return item => candidates.some(candidate => isEqual(left(item), candidate(item)));
+    }
+    const operator = this._next();
+    if (operator.type !== 'symbol' || !comparators[operator.value]) {
+      this.position -= 1;
+      this._syntaxError();
+    }
+    const right = this._parseOperand();
+    return item => comparators[operator.value](left(item), right(item));
+  }
+
+  _parseConditionFunction() {
+    const name = this._next().value;
+    this._expectSymbol('(');
+    const path = this._parsePath();
+    const argument = name === 'attribute_exists' || name === 'attribute_not_exists' ? null : this._parseArgument();
+    this._expectSymbol(')');
+    const functions = {
+      attribute_exists: item => getPath(item, path) !== undefined,
+      attribute_not_exists: item => getPath(item, path) === undefined,
+      attribute_type: item => typeOf(getPath(item, path)) === argument(item),
+      begins_with: item => {
+        const value = getPath(item, path);
+        const prefix = argument(item);
+        if (typeOf(value) === 'S' && typeOf(prefix) === 'S') return value.indexOf(prefix) === 0;
+        if (typeOf(value) === 'B' && typeOf(prefix) === 'B') return value.slice(0, prefix.length).equals(prefix);
+        return false;
+      },
+      contains: item => {
+        const value = getPath(item, path);
+        const operand = argument(item);
+        if (typeOf(value) === 'S') return typeOf(operand) === 'S' && value.indexOf(operand) !== -1;
+        if (typeOf(value) === 'L') return value.some(element => isEqual(element, operand));
+        if (isSet(value)) return value.values.some(element => isEqual(element, operand));
+        return false;
+      }
+    };
+    return functions[name];
+  }
+
+  _parseArgument() {
+    this._expectSymbol(',');
+    return this._parseOperand();
+  }
+
+  _parseOperand() {
+    const token = this._peek();
+    if (token && token.type === 'value') {
+      this.position += 1;
+      const value = this._resolveValue(token.value);
+      return () => value;
+    }
+    if (token && token.type === 'word' && token.value === 'size' && this._isSymbol(this._peek(1), '(')) {
+      this.position += 2;
+      const path = this._parsePath();
+      this._expectSymbol(')');
+      return item => sizeOf(getPath(item, path));
+    }
+    const path = this._parsePath();
+    return item => getPath(item, path);
+  }
+
+  _parseUpdateOperand() {
+    const token = this._peek();
+    if (token && token.type === 'word' && this._isSymbol(this._peek(1), '(')) {
+      if (token.value === 'if_not_exists') {
+        this.position += 2;
+        const path = this._parsePath();
+        const fallback = this._parseArgument();
+        this._expectSymbol(')');
+        return item => {
+          const current = getPath(item, path);
+          return current === undefined ? fallback(item) : current;
+        };
+      }
+      if (token.value === 'list_append') {
+        this.position += 2;
+        const first = this._parseUpdateOperand();
+        this._expectSymbol(',');
+        const second = this._parseUpdateOperand();
+        this._expectSymbol(')');
+        return item => {
+          const head = first(item);
+          const tail = second(item);
+          if (!Array.isArray(head) || !Array.isArray(tail)) {
+            throw validationError('An operand in the update expression has an incorrect data type');
+          }
+          return head.concat(tail);
+        };
+      }
+    }
+    return this._parseOperand();
+  }
+
+  _parseSetValue() {
+    const left = this._parseUpdateOperand();
+    const token = this._peek();
+    if (this._isSymbol(token, '+') || this._isSymbol(token, '-')) {
+      this.position += 1;
+      const right = this._parseUpdateOperand();
+      const sign = token.value === '+' ? 1 : -1;
+      return item => {
+        const a = left(item);
+        const b = right(item);
+        if (typeOf(a) !== 'N' || typeOf(b) !== 'N') {
+          throw validationError('An operand in the update expression has an incorrect data type');
+        }
+        return a + sign * b;
+      };
+    }
+    return left;
+  }
+
+  _parseUpdateAction(clause) {
+    const path = this._parsePath();
+    if (clause === 'SET') {
+      this._expectSymbol('=');
+      return { clause, path, value: this._parseSetValue() };
+    }
+    if (clause === 'REMOVE') return { clause, path };
+    return { clause, path, value: this._parseOperand() };
+  }
+
+  _parsePath() {
+    const path = [this._parsePathElement()];
+    for (;;) {
+      if (this._acceptSymbol('.')) {
+        path.push(this._parsePathElement());
+      } else if (this._acceptSymbol('[')) {
+        const token = this._next();
+        if (token.type !== 'number') this._syntaxError();
+        path.push(token.value);
+        this._expectSymbol(']');
+      } else {
+        return path;
+      }
+    }
+  }
+
+  _parsePathElement() {
+    const token = this._next();
+    if (token.type === 'name') return this._resolveName(token.value);
+    if (token.type === 'word') return token.value;
+    this.position -= 1;
+    return this._syntaxError();
+  }
+
+  _resolveName(name) {
+    if (!this.names.hasOwnProperty(name)) {
+      throw validationError(`Value provided in ExpressionAttributeNames unused in expressions: An expression attribute name used in the document path is not defined; attribute name: ${name}`);
+    }
+    this.usedNames[name] = true;
+    return this.names[name];
+  }
+
+  _resolveValue(name) {
+    if (!this.values.hasOwnProperty(name)) {
+      throw validationError(`An expression attribute value used in expression is not defined; attribute value: ${name}`);
+    }
+    this.usedValues[name] = true;
+    return this.values[name];
+  }
+}
+
+function declaredIndexes(model) {
+  return indexDefinitions(model).filter(index => !!index.name).reduce((indexes, index) => {
+    return Object.assign(indexes, { [index.name]: { hashKey: index.hashKey, rangeKey: index.rangeKey } });
+  }, {});
+}
+
+function segmentOf(value, totalSegments) {
+  const text = JSON.stringify(value);
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) hash = (hash * 31 + text.charCodeAt(i)) % 1000003;
+  return hash % totalSegments;
+}
+
+function addToValue(current, value) {
+  if (current === undefined) return clone(value);
+  if (typeOf(current) === 'N' && typeOf(value) === 'N') return current + value;
+  if (isSet(current) && typeOf(current) === typeOf(value)) {
+    const added = value.values.filter(element => !current.values.some(existing => isEqual(existing, element)));
+    return createSet(current.values.concat(added));
+  }
+  throw validationError('An operand in the update expression has an incorrect data type');
+}
+
+function deleteFromValue(current, value) {
+  if (current === undefined) return undefined;
+  if (!isSet(current) || typeOf(current) !== typeOf(value)) {
+    throw validationError('An operand in the update expression has an incorrect data type');
+  }
+  const remaining = current.values.filter(element => !value.values.some(removed => isEqual(removed, element)));
+  return remaining.length > 0 ? createSet(remaining) : undefined;
+}
+
+/**
+ * Stand-in for DynamoDB.DocumentClient that keeps tables in memory,
+ * meant to be returned from a model's _db() in tests and local runs.
+ */
+class MemoryDocumentClient {
+
+  constructor(options = {}) {
+    this.tables = {};
+    this.maxPageSize = options.maxPageSize || Number.MAX_SAFE_INTEGER;
+    const tables = options.tables || {};
+    Object.keys(tables).forEach(tableName => this.createTable(tableName, tables[tableName]));
+  }
+
+  createTable(tableName, definition) {
+    logger.debug('Creating memory table', { table: tableName, definition });
+    this.tables[tableName] = {
+      hashKey: definition.hashKey,
+      rangeKey: definition.rangeKey || null,
+      indexes: definition.indexes || {},
+      items: new Map()
+    };
+    return this;
+  }
+
+  // Indexes default to the named ones the model declares
+  createTableFor(model, indexes = declaredIndexes(model)) {
+    return this.createTable(model.tableName, { hashKey: model.hashKey, rangeKey: model.rangeKey, indexes });
+  }
+
+  items(tableName) {
+    return Array.from(this._table(tableName).items.values()).map(clone);
+  }
+
+  clear() {
+    Object.keys(this.tables).forEach(tableName => this.tables[tableName].items.clear());
+  }
+
+  createSet(list, options) {
+    return createSet(list, options);
+  }
+
+  get(params, callback) {
+    return this._execute(() => this._getItem(params), callback);
+  }
+
+  put(params, callback) {
+    return this._execute(() => this._prepareWrite('Put', params).commit(), callback);
+  }
+
+  update(params, callback) {
+    return this._execute(() => this._prepareWrite('Update', params).commit(), callback);
+  }
+
+  delete(params, callback) {
+    return this._execute(() => this._prepareWrite('Delete', params).commit(), callback);
+  }
+
+  query(params, callback) {
+    return this._execute(() => {
+      const table = this._table(params.TableName);
+      const keys = this._indexKeys(table, params.IndexName);
+      if (!params.KeyConditionExpression) {
+        throw validationError('Either the KeyConditions or KeyConditionExpression parameter must be specified in the request.');
+      }
+      const parser = new ExpressionParser(params);
+      const keyCondition = parser.condition(params.KeyConditionExpression);
+      const forward = params.ScanIndexForward !== false;
+      const candidates = this._sortedItems(table, keys).filter(keyCondition);
+      if (!forward) candidates.reverse();
+      return this._readPage(candidates, params, parser, keys, forward);
+    }, callback);
+  }
+
+  scan(params, callback) {
+    return this._execute(() => {
+      const table = this._table(params.TableName);
+      const keys = this._indexKeys(table, params.IndexName);
+      const parser = new ExpressionParser(params);
+      return this._readPage(this._segmentItems(this._sortedItems(table, keys), params, keys), params, parser, keys, true);
+    }, callback);
+  }
+
+  batchWrite(params, callback) {
+    return this._execute(() => {
+      const tableNames = Object.keys(params.RequestItems || {});
+      const requestsCount = tableNames.reduce((total, tableName) => total + params.RequestItems[tableName].length, 0);
+      if (requestsCount === 0 || requestsCount > 25) {
+        throw validationError('Member must have length less than or equal to 25 and greater than or equal to 1');
+      }
+      tableNames.forEach(tableName => {
+        const table = this._table(tableName);
+        params.RequestItems[tableName].forEach(request => {
+          if (request.PutRequest) {
+            table.items.set(this._keyId(table, request.PutRequest.Item), clone(request.PutRequest.Item));
+          } else if (request.DeleteRequest) {
+            table.items.delete(this._keyId(table, request.DeleteRequest.Key));
+          } else {
+            throw validationError('Supplied AttributeValue has more than one datatypes set, must contain exactly one of the supported datatypes');
+          }
+        });
+      });
+      return { UnprocessedItems: {} };
+    }, callback);
+  }
+
+  batchGet(params, callback) {
+    return this._execute(() => {
+      const tableNames = Object.keys(params.RequestItems || {});
+      const keysCount = tableNames.reduce((total, tableName) => total + params.RequestItems[tableName].Keys.length, 0);
+      if (keysCount === 0 || keysCount > 100) {
+        throw validationError('Too many items requested for the BatchGetItem call');
+      }
+      const responses = {};
+      tableNames.forEach((tableName) => {
+        const request = params.RequestItems[tableName];
+        const table = this._table(tableName);
+        const ids = request.Keys.map(key => this._keyId(table, key, true));
+        if (ids.some((id, i) => ids.indexOf(id) !== i)) throw validationError('Provided list of item keys contains duplicates');
+        const parser = new ExpressionParser(request);
+        const projection = request.ProjectionExpression ? parser.projection(request.ProjectionExpression) : null;
+        parser.checkUnused();
+        responses[tableName] = ids.filter(id => table.items.has(id))
+          .map(id => this._project(table.items.get(id), projection));
+      });
+      return { Responses: responses, UnprocessedKeys: {} };
+    }, callback);
+  }
+
+  transactWrite(params, callback) {
+    return this._execute(() => {
+      const requests = this._transactItems(params);
+      const writes = requests.map((request) => {
+        const type = Object.keys(request)[0];
+        if (['Put', 'Update', 'Delete', 'ConditionCheck'].indexOf(type) === -1) {
+          throw validationError(`Unsupported transaction operation: ${type}`);
+        }
+        return this._prepareWrite(type, request[type]);
+      });
+      const ids = writes.map(write => write.id);
+      if (ids.some((id, i) => ids.indexOf(id) !== i)) {
+        throw validationError('Transaction request cannot include multiple operations on one item');
+      }
+      if (writes.some(write => write.conditionFailed)) {
+        const reasons = writes.map(write => (write.conditionFailed ? 'ConditionalCheckFailed' : 'None'));
+        const error = dynamoError('TransactionCanceledException', `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.join(', ')}]`);
+        error.CancellationReasons = reasons.map(reason => ({ Code: reason }));
+        throw error;
+      }
+      writes.forEach(write => write.commit());
+      return {};
+    }, callback);
+  }
+
+  transactGet(params, callback) {
+    return this._execute(() => {
+      const requests = this._transactItems(params);
+      return { Responses: requests.map(request => this._getItem(request.Get)) };
+    }, callback);
+  }
+
+  _transactItems(params) {
+    const requests = params.TransactItems || [];
+    if (requests.length === 0 || requests.length > 100) {
+      throw validationError('Member must have length less than or equal to 100 and greater than or equal to 1');
+    }
+    return requests;
+  }
+
+  _getItem(params) {
+    const table = this._table(params.TableName);
+    const parser = new ExpressionParser(params);
+    const projection = params.ProjectionExpression ? parser.projection(params.ProjectionExpression) : null;
+    parser.checkUnused();
+    const item = table.items.get(this._keyId(table, params.Key, true));
+    return item ? { Item: this._project(item, projection) } : {};
+  }
+
+  // Validates a write and evaluates its condition without touching the table,
+  // so transactions can check every operation before committing any.
+  _prepareWrite(type, params) {
+    const table = this._table(params.TableName);
+    const id = type === 'Put' ? this._keyId(table, params.Item) : this._keyId(table, params.Key, true);
+    const parser = new ExpressionParser(params);
+    const condition = params.ConditionExpression ? parser.condition(params.ConditionExpression) : null;
+    let actions = null;
+    if (type === 'Update') {
+      actions = params.UpdateExpression ? parser.update(params.UpdateExpression) : this._legacyActions(params.AttributeUpdates);
+    }
+    parser.checkUnused();
+    const existing = table.items.get(id);
+    const conditionFailed = !!condition && !condition(existing || {});
+    const commit = () => {
+      if (conditionFailed) throw dynamoError('ConditionalCheckFailedException', 'The conditional request failed');
+      if (type === 'Put') {
+        table.items.set(id, clone(params.Item));
+      } else if (type === 'Update') {
+        const updated = clone(existing || params.Key);
+        const changed = this._applyUpdate(table, updated, existing || {}, actions);
+        table.items.set(id, updated);
+        return this._updateResult(params.ReturnValues, existing, updated, changed);
+      } else if (type === 'Delete') {
+        table.items.delete(id);
+      }
+      return params.ReturnValues === 'ALL_OLD' && existing ? { Attributes: clone(existing) } : {};
+    };
+    return { id: `${params.TableName}:${id}`, conditionFailed, commit };
+  }
+
+  _execute(operation, callback) {
+    let result;
+    let error = null;
+    try {
+      result = operation();
+    } catch (err) {
+      error = err;
+    }
+    if (callback) setImmediate(() => callback(error, error ? undefined : result));
+    return { promise: () => (error ? Promise.reject(error) : Promise.resolve(result)) };
+  }
+
+  _table(tableName) {
+    const table = this.tables[tableName];
+    if (!table) throw dynamoError('ResourceNotFoundException', 'Requested resource not found');
+    return table;
+  }
+
+  _tableKeys(table) {
+    return [table.hashKey, table.rangeKey].filter(key => !!key);
+  }
+
+  _indexKeys(table, indexName) {
+    if (!indexName) return this._tableKeys(table);
+    const index = table.indexes[indexName];
+    if (!index) throw validationError(`The table does not have the specified index: ${indexName}`);
+    const keys = [index.hashKey, index.rangeKey].concat(this._tableKeys(table)).filter(key => !!key);
+    return keys.filter((key, i) => keys.indexOf(key) === i);
+  }
+
+  _keyId(table, item, exact = false) {
+    const keys = this._tableKeys(table);
+    const values = keys.map(key => item && item[key]);
+    const invalidValue = values.some(value => ['S', 'N', 'B'].indexOf(typeOf(value)) === -1);
+    if (invalidValue || (exact && Object.keys(item).length !== keys.length)) {
+      throw validationError('The provided key element does not match the schema');
+    }
+    return JSON.stringify(values.map(value => [typeOf(value), Buffer.isBuffer(value) ? value.toString('base64') : value]));
+  }
+
+  _sortedItems(table, keys) {
+    return Array.from(table.items.values())
+      .filter(item => keys.every(key => item[key] !== undefined))
+      .sort((a, b) => this._compareKeys(a, b, keys));
+  }
+
+  // Items are spread over segments by their hash key, as DynamoDB does
+  _segmentItems(items, params, keys) {
+    if (params.TotalSegments === undefined && params.Segment === undefined) return items;
+    const total = params.TotalSegments;
+    if (!(total >= 1 && total <= 1000000) || !(params.Segment >= 0 && params.Segment < total)) {
+      throw validationError('The Segment parameter must be less than the TotalSegments parameter');
+    }
+    return items.filter(item => segmentOf(item[keys[0]], total) === params.Segment);
+  }
+
+  _compareKeys(a, b, keys) {
+    for (let i = 0; i < keys.length; i++) {
+      const order = compare(a[keys[i]], b[keys[i]]);
+      if (order) return order;
+    }
+    return 0;
+  }
+
+  _readPage(candidates, params, parser, keys, forward) {
+    const filter = params.FilterExpression ? parser.condition(params.FilterExpression) : null;
+    const projection = params.ProjectionExpression ? parser.projection(params.ProjectionExpression) : null;
+    parser.checkUnused();
+    let start = 0;
+    if (params.ExclusiveStartKey) {
+      if (keys.some(key => params.ExclusiveStartKey[key] === undefined)) {
+        throw validationError('The provided starting key is invalid');
+      }
+      start = candidates.findIndex(item => {
+        const order = this._compareKeys(item, params.ExclusiveStartKey, keys);
+        return forward ? order > 0 : order < 0;
+      });
+      if (start === -1) start = candidates.length;
+    }
+    const limit = Math.min(params.Limit || Number.MAX_SAFE_INTEGER, this.maxPageSize);
+    const evaluated = candidates.slice(start, start + limit);
+    const matched = filter ? evaluated.filter(filter) : evaluated;
+    const result = { Count: matched.length, ScannedCount: evaluated.length };
+    if (params.Select !== 'COUNT') result.Items = matched.map(item => this._project(item, projection));
+    if (start + limit < candidates.length) {
+      const last = evaluated[evaluated.length - 1];
+      result.LastEvaluatedKey = keys.reduce((key, attr) => Object.assign(key, { [attr]: clone(last[attr]) }), {});
+    }
+    return result;
+  }
+
+  _project(item, projection) {
+    if (!projection) return clone(item);
+    return projection.reduce((projected, path) => {
+      const value = getPath(item, path);
+      if (value !== undefined) setPath(projected, path, clone(value), true);
+      return projected;
+    }, {});
+  }
+
+  _legacyActions(attributeUpdates = {}) {
+    return Object.keys(attributeUpdates).map(attr => {
+      const update = attributeUpdates[attr];
+      const action = (update.Action || 'PUT').toUpperCase();
+      const path = [attr];
+      if (action === 'PUT') return { clause: 'SET', path, value: () => update.Value };
+      if (action === 'ADD') return { clause: 'ADD', path, value: () => update.Value };
+      if (update.Value === undefined) return { clause: 'REMOVE', path };
+      return { clause: 'DELETE', path, value: () => update.Value };
+    });
+  }
+
+  _applyUpdate(table, item, previous, actions) {
+    const keys = this._tableKeys(table);
+    const resolved = actions.map(action => {
+      if (keys.indexOf(action.path[0]) !== -1) {
+        throw validationError(`One or more parameter values were invalid: Cannot update attribute ${action.path[0]}. This attribute is part of the key`);
+      }
+      return Object.assign({}, action, { value: action.value && clone(action.value(previous)) });
+    });
+    resolved.forEach(action => {
+      if (action.clause === 'SET') {
+        setPath(item, action.path, action.value);
+      } else if (action.clause === 'REMOVE') {
+        removePath(item, action.path);
+      } else {
+        const current = getPath(item, action.path);
+        const value = action.clause === 'ADD' ? addToValue(current, action.value) : deleteFromValue(current, action.value);
+        if (value === undefined) {
+          removePath(item, action.path);
+        } else {
+          setPath(item, action.path, value);
+        }
+      }
+    });
+    return resolved.map(action => action.path[0]);
+  }
+
+  _updateResult(returnValues, existing, updated, changed) {
+    const pick = (item, attrs) => attrs.reduce((picked, attr) => {
+      if (item && item[attr] !== undefined) picked[attr] = clone(item[attr]);
+      return picked;
+    }, {});
+    switch (returnValues) {
+      case 'ALL_NEW':
+        return { Attributes: clone(updated) };
+      case 'ALL_OLD':
+        return existing ? { Attributes: clone(existing) } : {};
+      case 'UPDATED_NEW':
+        return { Attributes: pick(updated, changed) };
+      case 'UPDATED_OLD':
+        return existing ? { Attributes: pick(existing, changed) } : {};
+      default:
+        return {};
+    }
+  }
+}
+
+module.exports.MemoryDocumentClient = MemoryDocumentClient;
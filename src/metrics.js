@@ -0,0 +1,154 @@
+import { logger, logFor } from './logger';
+import { modelConfig } from './config';
+
+const readMethods = ['get', 'query', 'scan', 'batchGet', 'transactGet'];
+
+// Sinks are functions or objects with a record method, set with the metrics
+// setting of configure
+function sinkFor(model) {
+  const sink = modelConfig(model).metrics;
+  if (!sink) return null;
+  return typeof sink === 'function' ? sink : event => sink.record(event);
+}
+
+function capacities(method, data) {
+  return [].concat(data.ConsumedCapacity || []).reduce((total, consumed) => {
+    const units = consumed.CapacityUnits || 0;
+    const split = consumed.ReadCapacityUnits !== undefined || consumed.WriteCapacityUnits !== undefined;
+    const read = split ? consumed.ReadCapacityUnits || 0 : readMethods.indexOf(method) !== -1 ? units : 0;
+    const write = split ? consumed.WriteCapacityUnits || 0 : readMethods.indexOf(method) === -1 ? units : 0;
+    return { readCapacity: total.readCapacity + read, writeCapacity: total.writeCapacity + write };
+  }, { readCapacity: 0, writeCapacity: 0 });
+}
+
+function countRequests(requestItems = {}, listName) {
+  return Object.keys(requestItems).reduce((count, tableName) => {
+    const requests = requestItems[tableName];
+    return count + (listName ? (requests[listName] || []).length : requests.length);
+  }, 0);
+}
+
+// Items read or written by the request
+function itemCount(method, params, data) {
+  if (method === 'query' || method === 'scan') return data.Count || 0;
+  if (method === 'get') return data.Item ? 1 : 0;
+  if (method === 'batchGet') return Object.keys(data.Responses || {}).reduce((count, table) => count + data.Responses[table].length, 0);
+  if (method === 'batchWrite') return countRequests(params.RequestItems) - countRequests(data.UnprocessedItems);
+  if (method === 'transactGet') return (data.Responses || []).filter(response => !!response.Item).length;
+  if (method === 'transactWrite') return (params.TransactItems || []).length;
+  return 1;
+}
+
+function tableName(model, params) {
+  if (params.TableName) return params.TableName;
+  const tables = Object.keys(params.RequestItems || {});
+  return tables.length === 1 ? tables[0] : model.tableName;
+}
+
+// Sends an event per DynamoDB request, retries included:
+// { model, method, table, index, latency, retries, readCapacity, writeCapacity, items, error }
+function instrumented(model, method, params, retries, request) {
+  const sink = sinkFor(model);
+  if (!sink) return request(params);
+  const started = Date.now();
+  const requestParams = Object.assign({ ReturnConsumedCapacity: 'TOTAL' }, params);
+  const emit = (data, err) => {
+    const event = Object.assign({
+      model: model.name,
+      method,
+      table: tableName(model, params),
+      index: params.IndexName || null,
+      latency: Date.now() - started,
+      retries,
+      items: err ? 0 : itemCount(method, params, data),
+      error: err ? err.code || err.name : null
+    }, capacities(method, data || {}));
+    try {
+      sink(event);
+    } catch (sinkError) {
+      logFor(model, method).warn('Failing metrics sink', { error: sinkError });
+    }
+  };
+  return request(requestParams).then((data) => {
+    emit(data);
+    return data;
+  }, (err) => {
+    emit(null, err);
+    throw err;
+  });
+}
+
+function emptyTotals() {
+  return { calls: 0, errors: 0, retries: 0, latency: 0, readCapacity: 0, writeCapacity: 0, items: 0 };
+}
+
+function addEvent(totals, event) {
+  return {
+    calls: totals.calls + 1,
+    errors: totals.errors + (event.error ? 1 : 0),
+    retries: totals.retries + (event.retries > 0 ? 1 : 0),
+    latency: totals.latency + event.latency,
+    readCapacity: totals.readCapacity + event.readCapacity,
+    writeCapacity: totals.writeCapacity + event.writeCapacity,
+    items: totals.items + event.items
+  };
+}
+
+// Sink adding up the events of a Lambda invocation, overall and per model.
+// wrap(handler) resets it when the invocation starts and gives the totals to
+// onFlush when it ends, be the handler callback or promise based.
+class InvocationMetrics {
+  constructor(options = {}) {
+    this.onFlush = options.onFlush || (totals => logger.info('Invocation metrics', { totals }));
+    this.reset();
+  }
+
+  record(event) {
+    this.total = addEvent(this.total, event);
+    this.models[event.model] = addEvent(this.models[event.model] || emptyTotals(), event);
+  }
+
+  totals() {
+    return Object.assign({}, this.total, { models: Object.assign({}, this.models) });
+  }
+
+  reset() {
+    this.total = emptyTotals();
+    this.models = {};
+  }
+
+  flush() {
+    const totals = this.totals();
+    this.reset();
+    this.onFlush(totals);
+    return totals;
+  }
+
+  wrap(handler) {
+    return (event, context, callback) => {
+      this.reset();
+      let flushed = false;
+      const flushOnce = () => {
+        if (!flushed) this.flush();
+        flushed = true;
+      };
+      const result = handler(event, context, (err, response) => {
+        flushOnce();
+        if (callback) callback(err, response);
+      });
+      if (!result || typeof result.then !== 'function') return result;
+      return result.then((response) => {
+        flushOnce();
+        return response;
+      }, (err) => {
+        flushOnce();
+        throw err;
+      });
+    };
+  }
+}
+
+module.exports = {
+  instrumented,
+  InvocationMetrics
+};
@@ -10,6 +10,10 @@ class Automation extends Model {
     return 'userId';
   }
 
+  static get tenancy() {
+    return { attribute: 'userId' };
+  }
+
   static get rangeKey() {
     return 'id';
   }
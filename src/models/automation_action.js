@@ -21,6 +21,13 @@ class AutomationAction extends Model {
     return 'id';
   }
 
+  static get indexes() {
+    return {
+      footprintStatusIndex: { name: this.footprintStatusIndex, hashKey: 'status', rangeKey: 'footprint' },
+      automationIndex: { name: this.automationIndex, hashKey: 'automationId' }
+    };
+  }
+
   static allByStatusAndFootprint(status, footprint) {
     const options = {
       indexName: this.footprintStatusIndex,
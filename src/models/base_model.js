@@ -1,17 +1,29 @@
-import { DynamoDB } from 'aws-sdk';
 import Joi from 'joi';
-import moment from 'moment';
-import base64url from 'base64-url';
 import deepAssign from 'deep-assign';
 import omitEmpty from 'omit-empty';
 import Promise from 'bluebird';
-import { debug } from './../logger';
-
-const dynamoConfig = {
-  region: process.env.AWS_REGION || 'us-east-1'
-};
-const db = new DynamoDB.DocumentClient(dynamoConfig);
-
+import { logFor } from './../logger';
+import { configureModel, configuredModel, modelConfig, clientFor } from './../config';
+import { withoutVersion, withNextVersion, savedVersion, expectedVersion, versionCondition } from './../versioning';
+import { mergeConditions, buildConditionParams, rejectFailedCondition } from './../conditions';
+import { Transaction, transactGet } from './../transaction';
+import { batchGet } from './../batch_get';
+import { withRetries } from './../retry';
+import { instrumented } from './../metrics';
+import { enableCache, disableCache, readThrough, invalidating } from './../cache';
+import { createTableParams, timeToLiveParams, cloudFormationResource } from './../table_definitions';
+import { queryIndex, itemKey } from './../indexes';
+import { encodeCursor, decodeCursor, isBackwards } from './../cursors';
+import { queryIterator, streamFrom } from './../iterator';
+import { scan, scanAllPages } from './../scan';
+import { countBy, boundedCountBy } from './../count';
+import { encryptItems, encryptItem, decryptResponse, projectedFields, encryptedQuery, matchingPrefix } from './../encryption';
+import { buildFilterExpression } from './../filters';
+import { UpdateExpression } from './../update_expression';
+import { stampSavedItem, stampUpdate, keepCreatedAt, keepStoredCreatedAt, withoutUpdatedAt } from './../timestamps';
+import { stampExpiry, stampUpdateExpiry, isExpired, expiryProjection, withoutExpired, unexpiredFilters, backfillExpiry } from './../retention';
+import { addHook, removeHook, runHooks, withHooks } from './../hooks';
+import { clientError, ItemNotFoundError, ValidationError, EmptyPayloadError } from './../errors';
 
 function flattenArray(array) {
   return [].concat.apply([], array);
@@ -25,20 +37,61 @@ function chunkArray(array, chunkSize) {
 
 class BaseModel {
 
-  static save(item) {
-    debug('= Model.save', item);
+  static save(item, options = {}) {
+    logFor(this, 'save', this._buildKey(item[this.hashKey], item[this.rangeKey])).debug('Saving item', { item });
+    const events = { before: 'beforeSave', after: 'afterSave' };
+    return Promise.resolve(withHooks(this, events, item, { operation: 'save', options }, hooked => this._save(hooked, options)));
+  }
+
+  static _save(item, options = {}) {
     const itemParams = {
       TableName: this.tableName,
       Item: item,
       ReturnValues: 'ALL_OLD'
     };
-    itemParams.Item.createdAt = moment().unix();
-    return this._client('put', itemParams);
+    const stampedCreatedAt = stampSavedItem(this, item);
+    const version = savedVersion(this, item);
+    if (this.versionAttribute) itemParams.Item = withNextVersion(this, item);
+    mergeConditions(itemParams, buildConditionParams(this, options, versionCondition(this, version)));
+    const key = this._buildKey(item[this.hashKey], item[this.rangeKey]);
+    // Expiries are stamped per attempt, as they may run from a kept createdAt
+    const put = params => Promise.resolve(encryptItem(this, stampExpiry(this, params.Item)))
+      .then(storedItem => this._client('put', Object.assign({}, params, { Item: storedItem })));
+    return Promise.resolve(keepCreatedAt(this, key, itemParams, put, stampedCreatedAt && options.exists !== false))
+      .catch(rejectFailedCondition(this, key, version));
+  }
+
+  static createIfNotExists(item) {
+    return this.save(item, { exists: false });
+  }
+
+  static createTableParams(options = {}) {
+    return createTableParams(this, options);
+  }
+
+  static timeToLiveParams() {
+    return timeToLiveParams(this);
+  }
+
+  static cloudFormationResource(options = {}) {
+    return cloudFormationResource(this, options);
+  }
+
+  static addHook(event, hook) {
+    addHook(this, event, hook);
+    return this;
+  }
+
+  static removeHook(event, hook) {
+    removeHook(this, event, hook);
+    return this;
   }
 
   static create(item, validationOptions = {}) {
-    return this.validate(this.createSchema, item, validationOptions)
-      .then(createParams => this.save(createParams)
+    const context = { operation: 'create', options: validationOptions };
+    return Promise.resolve(runHooks(this, 'beforeValidate', item, context))
+      .then(hooked => this.validate(this.createSchema, hooked, validationOptions))
+      .then(createParams => this.createIfNotExists(createParams)
         .then(() => createParams));
   }
 
@@ -48,21 +101,32 @@ class BaseModel {
       .then(resultsArray => flattenArray(resultsArray));
   }
 
-  static saveAll(items) {
-    debug('= Model.saveAll', items);
+  static saveAll(items, options = {}) {
+    logFor(this, 'saveAll').debug('Saving items', { count: items.length });
     if (items.length === 0) return Promise.resolve([]);
-    return Promise.map(items, item => this.validate(this.createSchema, item))
-      .then((validItems) => {
+    const context = { operation: 'saveAll', options };
+    return Promise.map(items, item => runHooks(this, 'beforeValidate', item, context)
+      .then(hooked => this.validate(this.createSchema, hooked))
+      .then(validItem => runHooks(this, 'beforeSave', validItem, context)))
+      .then(hookedItems => this._saveAll(hookedItems, options)
+        .then(result => Promise.map(hookedItems, item => runHooks(this, 'afterSave', item, Object.assign({ result }, context)))
+          .then(() => result)));
+  }
+
+  static _saveAll(items, options = {}) {
+    const stampedItems = items.map(item => Object.assign({}, item));
+    const stamped = stampedItems.map(item => stampSavedItem(this, item));
+    return Promise.resolve(keepStoredCreatedAt(this, stampedItems, stamped, options))
+      .then(keptItems => encryptItems(this, keptItems.map(item => omitEmpty(stampExpiry(this, item)))))
+      .then((storedItems) => {
         const itemsParams = { RequestItems: {} };
-        itemsParams.RequestItems[this.tableName] = validItems.map(item => {
-          return { PutRequest: { Item: omitEmpty(item) } };
-        });
+        itemsParams.RequestItems[this.tableName] = storedItems.map(item => ({ PutRequest: { Item: item } }));
         return this._client('batchWrite', itemsParams);
       });
   }
 
   static deleteAll(keys) {
-    debug('= Model.deleteAll', keys);
+    logFor(this, 'deleteAll').debug('Deleting items', { keys });
     const itemsParams = { RequestItems: {} };
     itemsParams.RequestItems[this.tableName] = keys.map(key => {
       return { DeleteRequest: { Key: this._buildKey(key[0], key[1]) } };
@@ -70,42 +134,58 @@ class BaseModel {
     return this._client('batchWrite', itemsParams);
   }
 
+  static batchGet(keys, options = {}) {
+    if (keys.length === 0) return Promise.resolve([]);
+    return Promise.resolve(batchGet(this, keys, options));
+  }
+
+  static transaction() {
+    return new Transaction();
+  }
+
+  static transactGet(requests) {
+    return Promise.resolve(transactGet(this, requests));
+  }
+
   static get(hash, range, options = {}) {
-    return new Promise((resolve, reject) => {
-      debug('= Model.get', hash, range);
-      const params = {
-        TableName: this.tableName,
-        Key: this._buildKey(hash, range)
-      };
-      const dbOptions = this._buildOptions(options);
-      Object.assign(params, dbOptions);
-      this._client('get', params).then(result => {
-        if (result.Item) {
-          resolve(this._refineItem(result.Item, options));
-        } else {
-          resolve({});
-        }
-      })
-        .catch(err => reject(err));
-    });
+    logFor(this, 'get', this._buildKey(hash, range)).debug('Getting item');
+    const key = this._buildKey(hash, range);
+    const read = expiryProjection(this, options);
+    return Promise.resolve(readThrough(this, key, read.options, () => this._getItem(key, read.options)))
+      .then(item => (item && !isExpired(this, item) ? read.project(this._refineItem(item, options)) : {}));
+  }
+
+  static _getItem(key, options = {}) {
+    const params = Object.assign({ TableName: this.tableName, Key: key }, this._fieldsOptions(options));
+    return this._client('get', params).then(result => result.Item);
+  }
+
+  static enableCache(options = {}) {
+    enableCache(this, options);
+    return this;
+  }
+
+  static disableCache() {
+    disableCache(this);
+    return this;
   }
 
   static find(hash, range, options = {}) {
     return this.get(hash, range, options)
       .then((result) => {
-        if (Object.keys(result).length === 0) return Promise.reject(new Error('ItemNotFound'));
+        if (Object.keys(result).length === 0) {
+          return Promise.reject(new ItemNotFoundError({ model: this.name, key: this._buildKey(hash, range) }));
+        }
         return result;
       });
   }
 
-  static _buildOptions(options) {
-    debug('= Model._buildOptions', JSON.stringify(options));
+  static _buildOptions(options, query) {
     const fieldsOptions = this._fieldsOptions(options);
-    const pageOptions = this._buildPageOptions(options);
+    const pageOptions = this._buildPageOptions(options, query);
     const limitOptions = this._buildLimitOptions(options, pageOptions);
     const filterOptions = this._filterOptions(options);
     deepAssign(fieldsOptions, pageOptions, limitOptions, filterOptions);
-    debug('= Model._buildOptions fieldsOptions', JSON.stringify(fieldsOptions));
     return fieldsOptions;
   }
 
@@ -116,30 +196,19 @@ class BaseModel {
     return {};
   }
 
-  static _buildPageOptions(options = {}) {
-    var page = options.page;
-    if (page) {
-      if (page.charAt(0) === '-') {
-        var prevPage = page.substring(1, page.length);
-        return {
-          ExclusiveStartKey: this.lastEvaluatedKey(prevPage),
-          ScanIndexForward: !this.scanForward
-        };
-      } else {
-        return {
-          ExclusiveStartKey: this.lastEvaluatedKey(page),
-          ScanIndexForward: this.scanForward
-        };
-      }
-    }
-    return {};
+  static _buildPageOptions(options = {}, query) {
+    if (!options.page) return {};
+    const cursor = decodeCursor(this, options.page, query);
+    return {
+      ExclusiveStartKey: cursor.key,
+      ScanIndexForward: cursor.backwards ? !this.scanForward : this.scanForward
+    };
   }
 
   static _fieldsOptions(options) {
-    debug('= Model._fieldsOptions', JSON.stringify(options));
     const dbOptions = {};
     if (String(options.include_fields) === 'true' && options.fields) {
-      const fields = options.fields.split(',');
+      const fields = projectedFields(this, options.fields.split(','));
       dbOptions.ProjectionExpression = fields.map(field => `#${field}`).join(',');
       const fieldsMapping = fields.reduce((acumm, attrName) => {
         acumm[`#${attrName}`] = attrName;
@@ -151,28 +220,7 @@ class BaseModel {
   }
 
   static _filterOptions(options) {
-    debug('= Model._filterOptions', JSON.stringify(options));
-    const dbOptions = {};
-    if (options.filters) {
-      const attributeNamesMapping = {};
-      const attributeValuesMapping = {};
-      const filterExpressions = [];
-      Object.keys(options.filters).forEach(key => {
-        const attrName = `#${key}`;
-        attributeNamesMapping[attrName] = key;
-        const conditions = options.filters[key];
-        Object.keys(conditions).forEach(operand => {
-          const value = conditions[operand];
-          const attrValue = `:${key}`;
-          attributeValuesMapping[attrValue] = value;
-          filterExpressions.push(this._buildFilter(attrName, operand, [attrValue]));
-        });
-      });
-      dbOptions.ExpressionAttributeNames = attributeNamesMapping;
-      dbOptions.ExpressionAttributeValues = attributeValuesMapping;
-      dbOptions.FilterExpression = filterExpressions.join(' AND ');
-    }
-    return dbOptions;
+    return buildFilterExpression(unexpiredFilters(this, options.filters));
   }
 
   static _buildFilter(key, operand, values) {
@@ -193,7 +241,6 @@ class BaseModel {
   }
 
   static _refineItems(items, options) {
-    debug('= Model._refineItems', JSON.stringify(options));
     if (String(options.include_fields) === 'false' && options.fields) {
       return items.map(item => this._refineItem(item, options));
     } else {
@@ -202,7 +249,6 @@ class BaseModel {
   }
 
   static _refineItem(item, options) {
-    debug('= Model._refineItem', JSON.stringify(options));
     const refined = Object.assign({}, item);
     if (String(options.include_fields) === 'false' && options.fields) {
       const fields = options.fields.split(',');
@@ -211,45 +257,84 @@ class BaseModel {
     return refined;
   }
 
-  static update(params, hash, range) {
-    debug('= Model.update', hash, range, JSON.stringify(params));
-    if (Object.keys(params).length === 0) return Promise.reject(new Error('EmptyPayload'));
-    return this.validate(this.updateSchema, params)
-      .then(updateParams => {
-        const dbParams = {
-          TableName: this.tableName,
-          Key: this._buildKey(hash, range),
-          AttributeUpdates: this._buildAttributeUpdates(updateParams),
-          ReturnValues: 'ALL_NEW'
-        };
-        return this._client('update', dbParams)
-          .then(result => result.Attributes);
-      });
+  // Updates never create items unless the upsert option is set
+  static update(params, hash, range, options = {}) {
+    logFor(this, 'update', this._buildKey(hash, range)).debug('Updating item', { params });
+    const isExpression = params instanceof UpdateExpression;
+    const key = this._buildKey(hash, range);
+    if (isExpression ? params.isEmpty() : Object.keys(params).length === 0) {
+      return Promise.reject(new EmptyPayloadError({ model: this.name, key }));
+    }
+    const updateOptions = options.upsert ? options : Object.assign({ exists: true }, options);
+    const events = { before: 'beforeUpdate', after: 'afterUpdate' };
+    const context = { operation: 'update', key, options: updateOptions };
+    return Promise.resolve(runHooks(this, 'beforeValidate', params, context))
+      .then(hooked => this._validateUpdate(hooked, key))
+      .then(validParams => withHooks(this, events, validParams, context, hooked => this._update(hooked, hash, range, updateOptions)));
+  }
+
+  // The version is not part of the update schema, so it is put back after validating
+  static _validateUpdate(params, key) {
+    if (params instanceof UpdateExpression) return Promise.resolve(params);
+    const version = expectedVersion(this, params);
+    const validation = this.validate(this.updateSchema, withoutVersion(this, params))
+      .catch(ValidationError, err => Promise.reject(Object.assign(err, { key })));
+    return validation.then((validParams) => {
+      if (version === undefined) return validParams;
+      return Object.assign({}, validParams, { [this.versionAttribute]: version });
+    });
   }
 
-  static delete(hash, range) {
-    return new Promise((resolve, reject) => {
-      debug('= Model.delete', hash);
-      const params = {
+  static _update(params, hash, range, options = {}) {
+    const version = expectedVersion(this, params);
+    const conditionParams = buildConditionParams(this, options, versionCondition(this, version));
+    const key = this._buildKey(hash, range);
+    return Promise.resolve(encryptItem(this, params)).then((storedParams) => {
+      const dbParams = Object.assign({
         TableName: this.tableName,
-        Key: this._buildKey(hash, range)
-      };
-      this._client('delete', params).then(() => resolve(true))
-        .catch(err => reject(err));
-    });
+        Key: key,
+        ReturnValues: 'ALL_NEW'
+      }, this._buildUpdateParams(withoutVersion(this, storedParams), conditionParams));
+      return this._client('update', dbParams);
+    })
+      .catch(rejectFailedCondition(this, key, version))
+      .then(result => result.Attributes);
+  }
+
+  static updateIfExists(params, hash, range, options = {}) {
+    return this.update(params, hash, range, Object.assign({}, options, { exists: true }));
+  }
+
+  static delete(hash, range, options = {}) {
+    logFor(this, 'delete', this._buildKey(hash, range)).debug('Deleting item');
+    const events = { before: 'beforeDelete', after: 'afterDelete' };
+    const context = { operation: 'delete', options };
+    return Promise.resolve(withHooks(this, events, this._buildKey(hash, range), context, key => this._delete(key, options)));
+  }
+
+  static _delete(key, options = {}) {
+    const params = {
+      TableName: this.tableName,
+      Key: key
+    };
+    const version = expectedVersion(this, options);
+    mergeConditions(params, buildConditionParams(this, options, versionCondition(this, version)));
+    return this._client('delete', params)
+      .catch(rejectFailedCondition(this, params.Key, version))
+      .then(() => true);
+  }
+
+  static scan(options = {}) {
+    return Promise.resolve(scan(this, options));
+  }
+
+  static _scanAllPages(params) {
+    return Promise.resolve(scanAllPages(this, params)).then(items => withoutExpired(this, items));
   }
 
   static _getAllBy(key, value, options = {}) {
     return new Promise((resolve) => {
-      // If we are in presence of a query for GSI
-      // then we need to setup propagate the GSI hashKey
-      // to build the pagination key. Range key is already
-      // provided in options.range.
-      if (key !== this.hashKey) {
-        options.gsiHashKey = key;
-      }
       const params = this._buildDynamoDBParams(key, value, options);
-      debug('= Model._getAllBy', key, value, options);
       resolve(this._client('query', params));
     });
   }
@@ -260,10 +345,21 @@ class BaseModel {
       ScanIndexForward: this.scanForward
     };
     const keyParams = this._buildKeyParams(key, value, options);
-    const dbOptions = this._buildOptions(options, params);
+    const dbOptions = this._buildOptions(options, this._cursorQuery(key, value, options));
     return deepAssign(params, keyParams, dbOptions);
   }
 
+  // Cursors only page through the query they were issued for
+  static _cursorQuery(key, value, options = {}) {
+    return {
+      key: key || this.hashKey,
+      value,
+      index: queryIndex(this, key, options).name,
+      range: options.range,
+      filters: options.filters
+    };
+  }
+
   static allBy(key, value, options = {}) {
     if (!options.recursive) return this._allBy(key, value, options);
     delete options.recursive;
@@ -278,19 +374,32 @@ class BaseModel {
       }).catch(e => Promise.reject(e));
   }
 
+  static iterateBy(key, value, options = {}) {
+    logFor(this, 'iterateBy').debug('Iterating over query', { hashKey: key, value });
+    return queryIterator(this, key, value, options);
+  }
+
+  static streamBy(key, value, options = {}) {
+    return streamFrom(this.iterateBy(key, value, options), options);
+  }
+
   static _allBy(key, value, options = {}) {
     return new Promise((resolve, reject) => {
-      debug('= Model.allBy', key, value);
-      const params = this._buildDynamoDBParams(key, value, options);
-      this._getAllBy(key, value, options).then((result) => {
-        const response = this._buildResponse(result, params, options);
-        resolve(response);
+      const encrypted = encryptedQuery(this, key, value, options);
+      const queryValue = encrypted.value;
+      const queryOptions = encrypted.options;
+      logFor(this, 'allBy').debug('Querying items', { hashKey: key, value: queryValue, options: queryOptions });
+      const params = this._buildDynamoDBParams(key, queryValue, queryOptions);
+      this._getAllBy(key, queryValue, queryOptions).then((result) => {
+        const index = queryIndex(this, key, queryOptions);
+        const query = this._cursorQuery(key, queryValue, queryOptions);
+        const response = this._buildResponse(result, params, Object.assign({}, queryOptions, { index, query }));
+        resolve(matchingPrefix(encrypted, response));
       }).catch(err => reject(err));
     });
   }
 
   static _recursiveAllBy(key, value, options, results) {
-    debug('= Model._recursiveAllBy', key, value, options, results);
     if (!results.nextPage) return Promise.resolve(results);
     if (options.limit) {
       if (results.items.length >= options.limit) return Promise.resolve(results);
@@ -309,7 +418,7 @@ class BaseModel {
       hashKeyParams.KeyConditionExpression,
       rangeKeyParams.KeyConditionExpression
     ].filter(item => !!item).join(' AND ');
-    const index = { IndexName: options.indexName };
+    const index = { IndexName: queryIndex(this, key, options).name };
     const params = deepAssign(hashKeyParams, rangeKeyParams, { KeyConditionExpression: keyCondition }, index);
     return params;
   }
@@ -337,13 +446,14 @@ class BaseModel {
   }
 
   static allBetween(hash, rangeStart, rangeEnd) {
-    debug('= Model.allBetween', hash, rangeStart, rangeEnd);
+    logFor(this, 'allBetween').debug('Querying items between', { hash, rangeStart, rangeEnd });
     const params = {
       TableName: this.tableName,
       KeyConditionExpression: '#hkey = :hvalue AND #rkey BETWEEN :start AND :end',
       ExpressionAttributeNames: { '#hkey': this.hashKey, '#rkey': this.rangeKey },
       ExpressionAttributeValues: { ':hvalue': hash, ':start': rangeStart, ':end': rangeEnd }
     };
+    deepAssign(params, this._filterOptions({}));
     return this._client('query', params).then(result => this._buildResponse(result));
   }
 
@@ -359,7 +469,6 @@ class BaseModel {
   }
 
   static _buildPaginationKey(result, params, items, options) {
-    debug('= Model._buildPaginationKey', JSON.stringify(params));
     const paginationKey = {};
     if (items && items.length > 0) {
       if (this._hasNextPage(result, options)) {
@@ -381,15 +490,13 @@ class BaseModel {
   }
 
   static _buildNextKey(lastItem, options = {}) {
-    debug('= Model._buildNextKey', lastItem);
     const lastKey = this._buildItemKey(lastItem, options);
-    return { nextPage: this.nextPage(lastKey) };
+    return { nextPage: this.nextPage(lastKey, options.query) };
   }
 
   static _buildPrevKey(firstItem, options = {}) {
-    debug('= Model._buildPrevKey', firstItem);
     const firstItemKey = this._buildItemKey(firstItem, options);
-    return { prevPage: this.prevPage(firstItemKey) };
+    return { prevPage: this.prevPage(firstItemKey, options.query) };
   }
 
   static _isFirstPage(result, params, options = {}) {
@@ -398,68 +505,53 @@ class BaseModel {
   }
 
   static _isPaginatingBackwards(options) {
-    return options.page && options.page.charAt(0) === '-';
+    return !!options.page && isBackwards(options.page);
   }
 
-  static countBy(key, value) {
-    return new Promise((resolve, reject) => {
-      debug('= Model.allBy', key, value);
-      const params = {
-        TableName: this.tableName,
-        KeyConditionExpression: '#hkey = :hvalue',
-        ExpressionAttributeNames: { '#hkey': key },
-        ExpressionAttributeValues: { ':hvalue': value },
-        Select: 'COUNT'
-      };
-      this._client('query', params).then((result) => {
-        resolve(result.Count);
-      })
-        .catch(err => reject(err));
-    });
+  static backfillExpiry(options = {}) {
+    return Promise.resolve(backfillExpiry(this, options));
+  }
+
+  static countBy(key, value, options = {}) {
+    return Promise.resolve(countBy(this, key, value, options));
+  }
+
+  static boundedCountBy(key, value, options = {}) {
+    return Promise.resolve(boundedCountBy(this, key, value, options));
   }
 
   static increment(attribute, count, hash, range) {
-    debug('= Model.increment', hash, range, attribute, count);
-    const params = {
-      TableName: this.tableName,
-      Key: this._buildKey(hash, range),
-      AttributeUpdates: {}
-    };
-    params.AttributeUpdates[attribute] = {
-      Action: 'ADD',
-      Value: count
-    };
-    return this._client('update', params);
+    return this.incrementAll(hash, range, { [attribute]: count });
   }
 
-  // TODO: It could be a good idea to make increment based on this
-  static incrementAll(hash, range, attrValuesObj) {
-    debug('= Model.incrementAttrs', hash, range, attrValuesObj);
-    const params = {
+  static incrementAll(hash, range, attrValuesObj, options = {}) {
+    logFor(this, 'increment', this._buildKey(hash, range)).debug('Incrementing attributes', { increments: attrValuesObj });
+    const events = { before: 'beforeIncrement', after: 'afterIncrement' };
+    const context = { operation: 'increment', key: this._buildKey(hash, range), options };
+    return Promise.resolve(withHooks(this, events, attrValuesObj, context, hooked => this._incrementAll(hash, range, hooked, options)));
+  }
+
+  static _incrementAll(hash, range, attrValuesObj, options = {}) {
+    const increments = Object.assign({}, attrValuesObj);
+    if (this.versionAttribute) increments[this.versionAttribute] = 1;
+    const key = this._buildKey(hash, range);
+    const params = Object.assign({
       TableName: this.tableName,
-      Key: this._buildKey(hash, range),
-      AttributeUpdates: {}
-    };
-    for (let key in attrValuesObj) {
-      params.AttributeUpdates[key] = {
-        Action: 'ADD',
-        Value: attrValuesObj[key]
-      };
-    }
-    return this._client('update', params);
+      Key: key
+    }, mergeConditions(this._buildUpdateExpression(new UpdateExpression(), increments), buildConditionParams(this, options)));
+    return this._client('update', params).catch(rejectFailedCondition(this, key));
   }
 
-  static prevPage(key) {
-    debug('= prevPage', key);
-    return `-${new Buffer(JSON.stringify(key)).toString('base64')}`;
+  static prevPage(key, query) {
+    return encodeCursor(this, key, query, true);
   }
 
-  static nextPage(key) {
-    return base64url.encode(JSON.stringify(key));
+  static nextPage(key, query) {
+    return encodeCursor(this, key, query);
   }
 
-  static lastEvaluatedKey(nextPage) {
-    return JSON.parse(base64url.decode(nextPage));
+  static lastEvaluatedKey(page, query) {
+    return decodeCursor(this, page, query).key;
   }
 
   static get tableName() {
@@ -482,10 +574,30 @@ class BaseModel {
     return 50;
   }
 
+  static get retryPolicy() {
+    return {};
+  }
+
+  static get indexes() {
+    return {};
+  }
+
+  static get attributeTypes() {
+    return {};
+  }
+
   static get schema() {
     return null;
   }
 
+  static get versionAttribute() {
+    return null;
+  }
+
+  static get timestamps() {
+    return {};
+  }
+
   static get scanForward() {
     return false;
   }
@@ -512,7 +624,8 @@ class BaseModel {
 
   static validate(schema, item, options = {}) {
     if (!schema) return Promise.resolve(item);
-    return Joi.validate(item, schema, options);
+    return Promise.resolve(Joi.validate(item, schema, options))
+      .catch(err => Promise.reject(err.isJoi ? new ValidationError({ model: this.name, cause: err }) : err));
   }
 
   static _buildKey(hash, range) {
@@ -525,70 +638,59 @@ class BaseModel {
   }
 
   static _buildItemKey(item, options = {}) {
-    debug('= _buildItemKey', item, options);
-    const key = {};
-    // Workaround to solve GSI key format
-    if (options.gsiHashKey) key[options.gsiHashKey] = item[options.gsiHashKey];
-    //
-    key[this.hashKey] = item[this.hashKey];
-    if (options.range) {
-      debug('= _buildItemKey', 'Has Range');
-      const operand = Object.keys(options.range)[0];
-      const rangeKey = Object.keys(options.range[operand])[0];
-      key[rangeKey] = item[rangeKey];
-    }
-    if (this.rangeKey) {
-      debug('= _buildItemKey', 'Does not have range');
-      key[this.rangeKey] = item[this.rangeKey];
-    }
-    return key;
+    return itemKey(this, item, options.index || queryIndex(this, null, options));
   }
 
-  static _buildAttributeUpdates(params) {
-    const attrUpdates = {};
-    for (let key in params) {
-      if (key !== this.hashKey && key !== this.rangeKey) {
-        const value = params[key];
-        if (value === null) {
-          attrUpdates[key] = { Action: 'DELETE' };
-        } else {
-          attrUpdates[key] = {
-            Action: 'PUT',
-            Value: value
-          };
-        }
-      }
-    }
-    return attrUpdates;
+  static _buildUpdateParams(params, conditionParams = {}) {
+    const increments = this.versionAttribute ? { [this.versionAttribute]: 1 } : {};
+    return mergeConditions(this._buildUpdateExpression(params, increments), conditionParams);
+  }
+
+  // params are either an UpdateExpression or plain attributes to set (or remove when null)
+  static _buildUpdateExpression(params, increments = {}) {
+    const expression = params instanceof UpdateExpression
+      ? params.clone()
+      : UpdateExpression.fromAttributes(withoutUpdatedAt(this, params), [this.hashKey, this.rangeKey]);
+    Object.keys(increments).forEach(key => expression.add([key], increments[key]));
+    return stampUpdateExpiry(this, stampUpdate(this, expression), params).params();
   }
 
   static _client(method, params, retries = 0) {
+    logFor(this, method).debug('Sending request', { params, retries });
+    const request = () => instrumented(this, method, params, retries, requestParams => this._request(method, requestParams));
+    return Promise.resolve(invalidating(method, params, withRetries(this, method, params, retries, request))
+      .then(data => decryptResponse(this, method, data)));
+  }
+
+  static _request(method, params) {
     return new Promise((resolve, reject) => {
-      debug('Model._client', JSON.stringify(params));
       this._db()[method](params, (err, data) => {
         if (err) {
-          debug('= Model._client', method, 'Error', err);
-          reject(err);
+          logFor(this, method).debug('Request failed', { error: err });
+          reject(clientError(this, params, err));
         } else {
-          debug('= Model._client', method, 'Success');
-          if (data.UnprocessedItems && Object.keys(data.UnprocessedItems).length > 0 && retries < this.maxRetries) {
-            debug('= Model._client', method, 'Some unprocessed items... Retrying', JSON.stringify(data));
-            const retryParams = { RequestItems: data.UnprocessedItems };
-            const delay = this.retryDelay * Math.pow(2, retries);
-            setTimeout(() => {
-              resolve(this._client(method, retryParams, retries + 1));
-            }, delay);
-          } else {
-            debug('= Model._client', method, 'resolving', JSON.stringify(data));
-            resolve(data);
-          }
+          logFor(this, method).debug('Request succeeded', { data });
+          resolve(data);
         }
       });
     });
   }
 
+  static configure(config) {
+    configureModel(this, config);
+    return this;
+  }
+
+  static withConfig(config) {
+    return configuredModel(this, config);
+  }
+
+  static get dbConfig() {
+    return modelConfig(this);
+  }
+
   static _db() {
-    return db;
+    return clientFor(this);
   }
 
 }
@@ -1,5 +1,6 @@
-import { debug } from './../logger';
+import { logFor } from './../logger';
 import { Model } from './model';
+import { UpdateExpression } from './../update_expression';
 import Joi from 'joi';
 import moment from 'moment';
 import deepAssign from 'deep-assign';
@@ -26,10 +27,26 @@ class Campaign extends Model {
     return 'userId';
   }
 
+  static get tenancy() {
+    return { attribute: 'userId' };
+  }
+
   static get rangeKey() {
     return 'id';
   }
 
+  static get indexes() {
+    return {
+      sentAtIndex: { name: this.sentAtIndex, type: 'local', rangeKey: 'sentAt' },
+      scheduledAtIndex: { name: this.scheduledAtIndex, type: 'local', rangeKey: 'scheduledAt' },
+      archivedIndex: { name: this.archivedIndex, hashKey: 'userId' }
+    };
+  }
+
+  static get attributeTypes() {
+    return { sentAt: 'N', scheduledAt: 'N' };
+  }
+
   static get schema() {
     return Joi.object({
       userId: Joi.string().required(),
@@ -50,7 +67,7 @@ class Campaign extends Model {
   }
 
   static isValidToBeSent(campaign) {
-    debug('= Campaign.isValidToBeSent', campaign);
+    logFor(this, 'isValidToBeSent', this._buildKey(campaign.userId, campaign.id)).debug('Validating campaign');
     const schema = Joi.alternatives().try(
       Joi.object({
         userId: Joi.string().required(),
@@ -93,29 +110,18 @@ class Campaign extends Model {
   }
 
   static sentLastMonth(userId) {
-    debug('= Campaign.sentLastMonth', userId);
     return this.sentLastNDays(userId, 30);
   }
 
   static sentLastNDays(userId, n = 1) {
-    return new Promise((resolve, reject) => {
-      debug('= Campaign.sentLastNDays', userId, n);
-      const lastMonthTimestamp = moment().subtract(n, 'days').unix();
-      const params = {
-        TableName: this.tableName,
-        IndexName: this.sentAtIndex,
-        KeyConditionExpression: 'userId = :userId and sentAt > :lastDays',
-        ExpressionAttributeValues: { ':lastDays': lastMonthTimestamp, ':userId': userId },
-        Select: 'COUNT'
-      };
-      return this._client('query', params).then(result => resolve(result.Count))
-        .catch(err => reject(err));
-    });
+    logFor(this, 'sentLastNDays').debug('Counting sent campaigns', { userId, days: n });
+    const lastDaysTimestamp = moment().subtract(n, 'days').unix();
+    return this.countBy('userId', userId, { indexName: this.sentAtIndex, range: { gt: { sentAt: lastDaysTimestamp } } });
   }
 
   static sentBy(userId, options = {}) {
     return new Promise((resolve, reject) => {
-      debug('= Campaign.sentBy', userId);
+      logFor(this, 'sentBy').debug('Querying sent campaigns', { userId });
       const filterOptions = { filters: { status: { eq: 'sent' } } };
       const sentByOptions = deepAssign(options, filterOptions);
       return this.allBy('userId', userId, sentByOptions).then(result => resolve(result))
@@ -125,8 +131,8 @@ class Campaign extends Model {
 
   static allByArchiveStatus(userId, options = {}) {
     return new Promise((resolve, reject) => {
-      debug('= Campaign.archived', userId);
-      const defaultOptions = { IndexName: this.archivedIndex };
+      logFor(this, 'allByArchiveStatus').debug('Querying archived campaigns', { userId });
+      const defaultOptions = { indexName: this.archivedIndex };
       const archivedOptions = deepAssign(defaultOptions, options);
       return this.allBy('userId', userId, archivedOptions).then(result => resolve(result))
         .catch(err => reject(err));
@@ -134,33 +140,20 @@ class Campaign extends Model {
   }
 
   static schedule(userId, campaignId, scheduledAt) {
-    debug('= Campaign.schedule', userId, campaignId, scheduledAt);
+    logFor(this, 'schedule', this._buildKey(userId, campaignId)).debug('Scheduling campaign', { scheduledAt });
     const params = { scheduledAt, status: 'scheduled' };
     return this.update(params, userId, campaignId);
   }
 
   static cancelSchedule(userId, campaignId) {
-    return new Promise((resolve, reject) => {
-      debug('= Campaign.cancelSchedule', userId, campaignId);
-      const params = {
-        TableName: this.tableName,
-        Key: this._buildKey(userId, campaignId),
-        UpdateExpression: 'SET #status=:status REMOVE #scheduledAt',
-        ExpressionAttributeNames: {
-          '#status': 'status',
-          '#scheduledAt': 'scheduledAt'
-        },
-        ExpressionAttributeValues: { ':status': 'draft' },
-        ReturnValues: 'ALL_NEW'
-      };
-      return this._client('update', params).then(result => resolve(result.Attributes))
-        .catch(err => reject(err));
-    });
+    logFor(this, 'cancelSchedule', this._buildKey(userId, campaignId)).debug('Cancelling schedule');
+    const expression = new UpdateExpression().set('status', 'draft').remove('scheduledAt');
+    return this.update(expression, userId, campaignId);
   }
 
   static scheduledInPast() {
     return new Promise((resolve, reject) => {
-      debug('= Campaign.scheduledInPast');
+      logFor(this, 'scheduledInPast').debug('Scanning campaigns scheduled in the past');
       const params = {
         TableName: this.tableName,
         IndexName: this.scheduledAtIndex,
@@ -173,7 +166,7 @@ class Campaign extends Model {
           '#status': 'status'
         }
       };
-      return this._client('scan', params).then(result => resolve(result.Items))
+      return this._scanAllPages(params).then(items => resolve(items))
         .catch(err => reject(err));
     });
   }
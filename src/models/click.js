@@ -1,4 +1,5 @@
 import { Model } from './model';
+import { retentionDays } from './../retention';
 
 class Click extends Model {
 
@@ -13,6 +14,10 @@ class Click extends Model {
   static get rangeKey() {
     return 'linkId';
   }
+
+  static get retention() {
+    return retentionDays(process.env.CLICKS_RETENTION_DAYS);
+  }
 }
 
 module.exports.Click = Click;
@@ -1,4 +1,5 @@
 import { Model } from './model';
+import { retentionDays } from './../retention';
 
 class ClickReport extends Model {
 
@@ -13,6 +14,14 @@ class ClickReport extends Model {
   static get rangeKey() {
     return 'timestamp';
   }
+
+  static get retention() {
+    return retentionDays(process.env.CLICKS_REPORT_RETENTION_DAYS);
+  }
+
+  static get attributeTypes() {
+    return { timestamp: 'N' };
+  }
 }
 
 module.exports.ClickReport = ClickReport;
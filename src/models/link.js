@@ -1,5 +1,6 @@
-import { debug } from './../logger';
+import { logFor } from './../logger';
 import { Model } from './model';
+import { UpdateExpression } from './../update_expression';
 
 class Link extends Model {
 
@@ -8,7 +9,7 @@ class Link extends Model {
   }
 
   static saveAll(linksParams) {
-    debug('= Link.saveAll', linksParams);
+    logFor(this, 'saveAll').debug('Saving links', { links: linksParams });
     let itemsParams = {RequestItems: {}};
     itemsParams.RequestItems[this.tableName] = linksParams.map((link) => {
       return {
@@ -19,27 +20,15 @@ class Link extends Model {
   }
 
   static incrementOpens(campaignId, count = 1) {
-    debug('= Link.incrementOpens', campaignId, count);
     return this.increment('opensCount', count, campaignId);
   }
 
   static incrementClicks(campaignId, linkId, count = 1) {
-    debug('= Link.incrementClicks', campaignId, linkId, count);
-    const addParams = {
-      Key: {
-        id: campaignId
-      },
-      TableName: this.tableName,
-      UpdateExpression: 'ADD #linksList.#linkId.#attrName :clicksCount',
-      ExpressionAttributeNames: {
-        '#linksList': 'links',
-        '#linkId': linkId,
-        '#attrName': 'clicksCount'
-      },
-      ExpressionAttributeValues: {
-        ':clicksCount': count
-      }
-    };
+    logFor(this, 'incrementClicks', this._buildKey(campaignId)).debug('Incrementing clicks', { linkId, count });
+    const addParams = Object.assign({
+      Key: this._buildKey(campaignId),
+      TableName: this.tableName
+    }, this._buildUpdateExpression(new UpdateExpression().add(['links', linkId, 'clicksCount'], count)));
     return this._client('update', addParams);
   }
 }
@@ -1,6 +1,7 @@
 import Joi from 'joi';
 import { Model } from './model';
-import { debug } from './../logger';
+import { logFor } from './../logger';
+import { UpdateExpression } from './../update_expression';
 
 class List extends Model {
 
@@ -12,6 +13,10 @@ class List extends Model {
     return 'userId';
   }
 
+  static get tenancy() {
+    return { attribute: 'userId' };
+  }
+
   static get rangeKey() {
     return 'id';
   }
@@ -25,53 +30,22 @@ class List extends Model {
   }
 
   static isValid(object) {
-    debug('= List.isValid');
     return this._validateSchema(this.schema, object, { allowUnknown: true });
   }
 
   static createFileImportStatus(userId, listId, file, status) {
-    debug('= List.createFileImportStatus', userId, listId, file, status);
-    const addParams = {
-      Key: {
-        userId,
-        id: listId
-      },
-      TableName: this.tableName,
-      UpdateExpression: 'SET #importStatus.#file = :newStatus',
-      ExpressionAttributeNames: {
-        '#importStatus': 'importStatus',
-        '#file': file
-      },
-      ExpressionAttributeValues: {
-        ':newStatus': status
-      }
-    };
-    return this._client('update', addParams);
+    logFor(this, 'createFileImportStatus', this._buildKey(userId, listId)).debug('Creating import status', { file, status });
+    const expression = new UpdateExpression().set(['importStatus', file], status);
+    return this.update(expression, userId, listId, { upsert: true });
   }
 
   static updateImportStatus(userId, listId, file, status) {
-    debug('= List.updateImportStatus', userId, listId, file, status);
-    const addParams = {
-      Key: {
-        userId,
-        id: listId
-      },
-      TableName: this.tableName,
-      UpdateExpression: 'SET #importStatus.#file.#status = :newStatus, #importStatus.#file.#dateField = :newDate, #importStatus.#file.#importing = :importingValue',
-      ExpressionAttributeNames: {
-        '#importStatus': 'importStatus',
-        '#file': file,
-        '#status': 'status',
-        '#dateField': status.dateField,
-        '#importing': 'importing'
-      },
-      ExpressionAttributeValues: {
-        ':newStatus': status.text,
-        ':newDate': status.dateValue,
-        ':importingValue': status.isImporting
-      }
-    };
-    return this._client('update', addParams);
+    logFor(this, 'updateImportStatus', this._buildKey(userId, listId)).debug('Updating import status', { file, status });
+    const expression = new UpdateExpression()
+      .set(['importStatus', file, 'status'], status.text)
+      .set(['importStatus', file, status.dateField], status.dateValue)
+      .set(['importStatus', file, 'importing'], status.isImporting);
+    return this.update(expression, userId, listId, { upsert: true });
   }
 
   static appendMetadataAttributes(metadataAttributes = [], {listId, userId, list}) {
@@ -1,5 +1,6 @@
 import Joi from 'joi';
 import { Model } from './model';
+import { InvalidSegmentError } from './../errors';
 
 
 const conditionTypes = {
@@ -21,10 +22,20 @@ class ListSegment extends Model {
     return 'listId';
   }
 
+  static get tenancy() {
+    return { attribute: 'userId' };
+  }
+
   static get rangeKey() {
     return 'id';
   }
 
+  static get indexes() {
+    return {
+      segmentIdIndex: { name: this.segmentIdIndex, hashKey: 'id' }
+    };
+  }
+
   static get conditionTypes() {
     return conditionTypes;
   }
@@ -53,25 +64,14 @@ class ListSegment extends Model {
     })).min(1);
   }
 
-  static save(item) {
-    if (this.isValid(item, { allowUnknown: true })) return super.save(item);
-    return Promise.reject({ name: 'ListSegmentError', type: 'InvalidSegment', message: 'provided object is not valid' });
-  }
-
-  static update(params, hash, range) {
-    if (params.conditions) {
-      return this.validateConditions(params.conditions)
-        .then(() => super.update(params, hash, range));
-    }
-    return super.update(params, hash, range);
-  }
-
   static validConditions(conditions) {
     return this._validateSchema(this.conditionsSchema, conditions);
   }
 
   static validateConditions(conditions) {
-    return this.validConditions(conditions) ? Promise.resolve(conditions) : Promise.reject({ name: 'ListSegmentError', type: 'InvalidConditions', message: 'provided object is not valid' });
+    const { error } = Joi.validate(conditions, this.conditionsSchema);
+    if (!error) return Promise.resolve(conditions);
+    return Promise.reject(new InvalidSegmentError({ model: this.name, type: 'InvalidConditions', cause: error }));
   }
 
   static getBySegmentId(segmentId) {
@@ -83,4 +83,16 @@ class ListSegment extends Model {
   }
 }
 
+ListSegment.addHook('beforeSave', (item, { model }) => {
+  const { error } = Joi.validate(item, model.schema, { allowUnknown: true });
+  if (error) {
+    const key = model._buildKey(item[model.hashKey], item[model.rangeKey]);
+    throw new InvalidSegmentError({ model: model.name, key, type: 'InvalidSegment', cause: error });
+  }
+});
+
+ListSegment.addHook('beforeUpdate', (params, { model }) => {
+  if (params.conditions) return model.validateConditions(params.conditions).then(() => params);
+});
+
 module.exports.ListSegment = ListSegment;
@@ -1,4 +1,5 @@
 import { Model } from './model';
+import { retentionDays } from './../retention';
 
 class Open extends Model {
 
@@ -13,6 +14,10 @@ class Open extends Model {
   static get rangeKey() {
     return 'campaignId';
   }
+
+  static get retention() {
+    return retentionDays(process.env.OPENS_RETENTION_DAYS);
+  }
 }
 
 module.exports.Open = Open;
@@ -1,4 +1,5 @@
 import { Model } from './model';
+import { retentionDays } from './../retention';
 
 class OpenReport extends Model {
 
@@ -13,6 +14,14 @@ class OpenReport extends Model {
   static get rangeKey() {
     return 'timestamp';
   }
+
+  static get retention() {
+    return retentionDays(process.env.OPENS_REPORT_RETENTION_DAYS);
+  }
+
+  static get attributeTypes() {
+    return { timestamp: 'N' };
+  }
 }
 
 module.exports.OpenReport = OpenReport;
@@ -1,5 +1,6 @@
 import deepAssign from 'deep-assign';
 import { Model } from './model';
+import { List } from './list';
 
 const statuses = {
   subscribed: 'subscribed',
@@ -37,10 +38,26 @@ class Recipient extends Model {
     return 'listId';
   }
 
+  static get tenancy() {
+    return { parent: List, foreignKey: 'listId' };
+  }
+
   static get rangeKey() {
     return 'id';
   }
 
+  static get indexes() {
+    return {
+      emailIndex: { name: this.emailIndex, type: 'local', rangeKey: 'email' },
+      statusIndex: { name: this.statusIndex, type: 'local', rangeKey: 'status' },
+      globalEmailIndex: { name: this.globalEmailIndex, hashKey: 'email' }
+    };
+  }
+
+  static get encryptedAttributes() {
+    return { email: { blindIndex: true }, metadata: {} };
+  }
+
   static get statuses() {
     return statuses;
   }
@@ -49,6 +66,8 @@ class Recipient extends Model {
     return subscriptionOrigins;
   }
 
+  // With email encrypted the prefix can't be queried on its blind index, so
+  // it's matched on the decrypted items and pages may hold fewer than limit
   static emailBeginsWith(listId, email, options = {}) {
     const indexOptions = {
       indexName: this.emailIndex,
@@ -1,6 +1,7 @@
 import moment from 'moment';
-import { debug } from './../logger';
+import { logFor } from './../logger';
 import { Model } from './model';
+import { retentionDays } from './../retention';
 
 class ScheduledEmail extends Model {
   static get tableName() {
@@ -15,8 +16,12 @@ class ScheduledEmail extends Model {
     return 'id';
   }
 
+  static get retention() {
+    return retentionDays(process.env.SCHEDULED_EMAILS_RETENTION_DAYS, { from: 'sentAt' });
+  }
+
   static toBeSent() {
-    debug('= ScheduledEmail.toBeSent');
+    logFor(this, 'toBeSent').debug('Scanning emails to be sent');
     const params = {
       TableName: this.tableName,
       FilterExpression: 'scheduledAt < :now and #status = :status and attribute_not_exists(sentAt)',
@@ -28,8 +33,7 @@ class ScheduledEmail extends Model {
         '#status': 'status'
       }
     };
-    return this._client('scan', params)
-      .then(result => result.Items);
+    return this._scanAllPages(params);
   }
 }
 
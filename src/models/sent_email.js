@@ -1,4 +1,5 @@
 import { Model } from './model';
+import { retentionDays } from './../retention';
 
 class SentEmail extends Model {
 
@@ -9,6 +10,14 @@ class SentEmail extends Model {
   static get hashKey() {
     return 'messageId';
   }
+
+  static get retention() {
+    return retentionDays(process.env.SENT_EMAILS_RETENTION_DAYS);
+  }
+
+  static get encryptedAttributes() {
+    return { email: {}, data: {} };
+  }
 }
 
 module.exports.SentEmail = SentEmail;
@@ -0,0 +1,58 @@
+import { ValidationError } from './errors';
+
+// Hands out #prefixN/:prefixN placeholders, reusing the name ones
+class Placeholders {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.names = {};
+    this.values = {};
+    this.namesCount = 0;
+    this.valuesCount = 0;
+  }
+
+  // Strings are dotted paths with optional list indexes (metadata.tags[0]),
+  // arrays hold literal names and numeric list indexes (['importStatus', file])
+  path(path) {
+    if (Array.isArray(path)) {
+      return path.reduce((expression, segment) => {
+        if (typeof segment === 'number') return `${expression}[${segment}]`;
+        return expression ? `${expression}.${this.name(segment)}` : this.name(segment);
+      }, '');
+    }
+    return path.split('.').map((segment) => {
+      const match = /^([^[\]]+)((?:\[\d+\])*)$/.exec(segment);
+      if (!match) throw new ValidationError({}, `Invalid attribute path ${path}`);
+      return `${this.name(match[1])}${match[2]}`;
+    }).join('.');
+  }
+
+  name(name) {
+    const existing = Object.keys(this.names).find(placeholder => this.names[placeholder] === name);
+    if (existing) return existing;
+    const placeholder = `#${this.prefix}${this.namesCount++}`;
+    this.names[placeholder] = name;
+    return placeholder;
+  }
+
+  value(value) {
+    const placeholder = `:${this.prefix}${this.valuesCount++}`;
+    this.values[placeholder] = value;
+    return placeholder;
+  }
+
+  params() {
+    const params = {};
+    if (Object.keys(this.names).length > 0) params.ExpressionAttributeNames = Object.assign({}, this.names);
+    if (Object.keys(this.values).length > 0) params.ExpressionAttributeValues = Object.assign({}, this.values);
+    return params;
+  }
+}
+
+// The top-level attribute a path (see Placeholders#path) writes to
+function rootAttribute(path) {
+  if (Array.isArray(path)) return path[0];
+  return path.split('.')[0].replace(/(?:\[\d+\])+$/, '');
+}
+
+module.exports.Placeholders = Placeholders;
+module.exports.rootAttribute = rootAttribute;
@@ -0,0 +1,168 @@
+import moment from 'moment';
+import { logFor } from './logger';
+import { timestampsFor } from './timestamps';
+import { mergeConditions } from './conditions';
+import { buildFilterExpression, buildConditionExpression } from './filters';
+import { UpdateExpression } from './update_expression';
+import { mapWithConcurrency } from './scan';
+import { ConfigurationError } from './errors';
+
+const defaultRetention = { attribute: 'expiresAt', from: null };
+const periodUnits = ['years', 'months', 'weeks', 'days', 'hours', 'minutes', 'seconds'];
+const defaultBackfillConcurrency = 10;
+
+// Models keeping their items for a while declare a retention: the period in
+// moment units ({ days: 90 }), the TTL attribute DynamoDB expires items by
+// and the attribute holding the epoch seconds the period runs from. Items
+// expire relative to their creation unless from is given, in which case they
+// don't expire until they have that attribute, as scheduled emails once sent.
+function retentionFor(model) {
+  if (!model.retention) return null;
+  const retention = Object.assign({}, defaultRetention, model.retention);
+  const period = periodUnits.reduce((units, unit) => {
+    if (retention[unit] !== undefined) units[unit] = retention[unit];
+    return units;
+  }, {});
+  const seconds = moment.duration(period).asSeconds();
+  if (!(seconds > 0)) throw new ConfigurationError({ model: model.name, setting: 'retention' }, `${model.name} retention needs a period`);
+  return Object.assign(retention, { seconds });
+}
+
+// TTL attributes are always in epoch seconds, whatever the timestamps unit
+function expiryBase(model, retention, item) {
+  if (retention.from) return typeof item[retention.from] === 'number' ? item[retention.from] : null;
+  const timestamps = timestampsFor(model);
+  const createdAt = timestamps.createdAt ? item[timestamps.createdAt] : undefined;
+  if (typeof createdAt !== 'number') return moment().unix();
+  return timestamps.unit === 'ms' ? Math.floor(createdAt / 1000) : createdAt;
+}
+
+function expiryFor(model, retention, item) {
+  const base = expiryBase(model, retention, item);
+  return base === null ? null : Math.floor(base + retention.seconds);
+}
+
+// Stamps the item in place, unless it sets its expiry itself
+function stampExpiry(model, item) {
+  const retention = retentionFor(model);
+  if (!retention || item[retention.attribute] !== undefined) return item;
+  const expiry = expiryFor(model, retention, item);
+  if (expiry !== null) item[retention.attribute] = expiry;
+  return item;
+}
+
+// Updates and increments may create the item, so they set its expiry unless it
+// has one already. Those setting the attribute the period runs from set it
+// over again; update expressions can't, as their values can't be read.
+function stampUpdateExpiry(model, expression, attributes) {
+  const retention = retentionFor(model);
+  const plain = attributes instanceof UpdateExpression ? {} : attributes;
+  if (!retention || plain[retention.attribute] !== undefined) return expression;
+  const expiry = expiryFor(model, retention, plain);
+  if (expiry === null) return expression;
+  if (retention.from) return expression.set([retention.attribute], expiry);
+  return expression.setIfNotExists([retention.attribute], expiry);
+}
+
+// DynamoDB may take days to delete expired items, so reads skip them
+function isExpired(model, item) {
+  const retention = retentionFor(model);
+  if (!retention || !item) return false;
+  const expiry = item[retention.attribute];
+  return typeof expiry === 'number' && expiry <= moment().unix();
+}
+
+// Gets projecting their fields read the TTL attribute too, so expired items
+// can be told apart, project dropping it again when it wasn't asked for
+function expiryProjection(model, options) {
+  const retention = retentionFor(model);
+  const projecting = String(options.include_fields) === 'true' && !!options.fields;
+  if (!retention || !projecting || options.fields.split(',').indexOf(retention.attribute) !== -1) {
+    return { options, project: item => item };
+  }
+  return {
+    options: Object.assign({}, options, { fields: `${options.fields},${retention.attribute}` }),
+    project: (item) => {
+      const projected = Object.assign({}, item);
+      delete projected[retention.attribute];
+      return projected;
+    }
+  };
+}
+
+// Models of this package read their period in days from an env var, as they
+// do their table names, and keep their items forever when it isn't set
+function retentionDays(days, retention = {}) {
+  if (days === undefined || days === null || days === '') return null;
+  return Object.assign({ days: Number(days) }, retention);
+}
+
+function withoutExpired(model, items) {
+  return items.filter(item => !isExpired(model, item));
+}
+
+// Queries and scans filter expired items out on DynamoDB's side
+function unexpiredFilters(model, filters) {
+  const retention = retentionFor(model);
+  if (!retention) return filters;
+  const attribute = retention.attribute;
+  const unexpired = { or: [{ [attribute]: { notExists: true } }, { [attribute]: { gt: moment().unix() } }] };
+  return filters && Object.keys(filters).length > 0 ? { and: [filters, unexpired] } : unexpired;
+}
+
+function backfillItem(model, retention, item) {
+  const key = model._buildKey(item[model.hashKey], item[model.rangeKey]);
+  const expiry = expiryFor(model, retention, item);
+  if (expiry === null) return Promise.resolve(false);
+  const expression = new UpdateExpression().set([retention.attribute], expiry);
+  const condition = buildConditionExpression({ [model.hashKey]: { exists: true }, [retention.attribute]: { notExists: true } });
+  const params = Object.assign({ TableName: model.tableName, Key: key }, mergeConditions(expression.params(), condition));
+  return model._client('update', params)
+    .then(() => true)
+    .catch((err) => {
+      if (!err || err.code !== 'ConditionalCheckFailedException') throw err;
+      return false;
+    });
+}
+
+// Sets the TTL attribute of the items saved before the model declared its
+// retention, a page at a time. It bypasses hooks and updatedAt, and skips the
+// items deleted or given an expiry meanwhile. Resolves to { found, updated }.
+function backfillExpiry(model, options = {}) {
+  const retention = retentionFor(model);
+  if (!retention) {
+    return Promise.reject(new ConfigurationError({ model: model.name, setting: 'retention' }, `${model.name} doesn't declare a retention`));
+  }
+  const log = logFor(model, 'backfillExpiry');
+  const concurrency = options.concurrency || defaultBackfillConcurrency;
+  const missing = { [retention.attribute]: { notExists: true } };
+  const filters = retention.from ? { and: [missing, { [retention.from]: { exists: true } }] } : missing;
+  const params = Object.assign({ TableName: model.tableName }, buildFilterExpression(filters));
+  const backfillPage = (startKey, totals) => {
+    const pageParams = startKey ? Object.assign({}, params, { ExclusiveStartKey: startKey }) : params;
+    return model._client('scan', pageParams).then((result) => {
+      const items = result.Items || [];
+      return mapWithConcurrency(items, concurrency, item => backfillItem(model, retention, item)).then((updates) => {
+        const pageTotals = {
+          found: totals.found + items.length,
+          updated: totals.updated + updates.filter(updated => updated).length
+        };
+        log.info('Backfilled a page', pageTotals);
+        return result.LastEvaluatedKey ? backfillPage(result.LastEvaluatedKey, pageTotals) : pageTotals;
+      });
+    });
+  };
+  return backfillPage(null, { found: 0, updated: 0 });
+}
+
+module.exports = {
+  retentionFor,
+  stampExpiry,
+  stampUpdateExpiry,
+  isExpired,
+  expiryProjection,
+  retentionDays,
+  withoutExpired,
+  unexpiredFilters,
+  backfillExpiry
+};
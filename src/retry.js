@@ -0,0 +1,73 @@
+import { logFor } from './logger';
+import { ModelError, ThrottlingError, TransientError } from './errors';
+
+// Models override retryPolicy with any of these; maxRetries and retryDelay
+// are kept as the defaults
+function retryPolicyFor(model) {
+  return Object.assign({
+    maxAttempts: model.maxRetries + 1,
+    baseDelay: model.retryDelay,
+    maxDelay: 20000,
+    errors: [ThrottlingError, TransientError],
+    onRetry: null
+  }, model.retryPolicy);
+}
+
+// Full jitter: anything between nothing and the capped exponential backoff
+function backoffDelay(policy, retries) {
+  return Math.random() * Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, retries));
+}
+
+// Transient errors, as timeouts, may come after DynamoDB applied the request,
+// so they are only retried for requests that can be applied twice: updates,
+// whose ADD actions would add twice, and transactions aren't
+const idempotentMethods = ['get', 'batchGet', 'query', 'scan', 'transactGet', 'put', 'delete', 'batchWrite'];
+
+function isRetryable(policy, method, err) {
+  if (!policy.errors.some(errorClass => err instanceof errorClass)) return false;
+  return !(err instanceof TransientError) || idempotentMethods.indexOf(method) !== -1;
+}
+
+function wait(delay) {
+  return new Promise(resolve => setTimeout(resolve, delay));
+}
+
+// Retried batchGet calls only return the items read on that attempt
+function mergeBatchResponses(data, retried) {
+  if (!data.Responses) return retried;
+  const responses = Object.assign({}, data.Responses);
+  Object.keys(retried.Responses || {}).forEach((tableName) => {
+    responses[tableName] = (responses[tableName] || []).concat(retried.Responses[tableName]);
+  });
+  return Object.assign({}, retried, { Responses: responses });
+}
+
+// Retries go through model._client again, `retries` being the number of
+// attempts made so far. Failed requests are retried when the error is one of
+// the policy's classes, batch requests while there are unprocessed items.
+function withRetries(model, method, params, retries, request) {
+  const policy = retryPolicyFor(model);
+  const canRetry = retries + 1 < policy.maxAttempts;
+  const retry = (retryParams, error) => {
+    const delay = backoffDelay(policy, retries);
+    logFor(model, method).info('Retrying request', { retries: retries + 1, delay, error: error && error.code });
+    if (policy.onRetry) policy.onRetry({ model: model.name, method, retries: retries + 1, delay, error });
+    return wait(delay).then(() => model._client(method, retryParams, retries + 1));
+  };
+  return request().then((data) => {
+    const unprocessed = data.UnprocessedItems || data.UnprocessedKeys;
+    if (!unprocessed || Object.keys(unprocessed).length === 0 || !canRetry) return data;
+    return retry({ RequestItems: unprocessed }).then(retried => mergeBatchResponses(data, retried));
+  }, (err) => {
+    if (canRetry && isRetryable(policy, method, err)) return retry(params, err);
+    if (err instanceof ModelError && err.retries === undefined) err.retries = retries;
+    throw err;
+  });
+}
+
+module.exports = {
+  retryPolicyFor,
+  backoffDelay,
+  mergeBatchResponses,
+  withRetries
+};
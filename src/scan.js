@@ -0,0 +1,88 @@
+import { logFor } from './logger';
+
+function scanQuery(options) {
+  return { index: options.indexName, filters: options.filters, segment: options.segment, totalSegments: options.totalSegments };
+}
+
+function scanParams(model, options) {
+  const params = Object.assign({ TableName: model.tableName }, model._buildOptions(options, scanQuery(options)));
+  delete params.ScanIndexForward;
+  if (options.indexName) params.IndexName = options.indexName;
+  if (options.totalSegments) {
+    params.Segment = options.segment || 0;
+    params.TotalSegments = options.totalSegments;
+  }
+  return params;
+}
+
+// Follows LastEvaluatedKey until every page of the scan has been read
+function scanAllPages(model, params, items = []) {
+  return model._client('scan', params).then((result) => {
+    const allItems = items.concat(result.Items || []);
+    if (!result.LastEvaluatedKey) return allItems;
+    return scanAllPages(model, Object.assign({}, params, { ExclusiveStartKey: result.LastEvaluatedKey }), allItems);
+  });
+}
+
+function scanPage(model, options) {
+  return Promise.resolve().then(() => model._client('scan', scanParams(model, options))).then((result) => {
+    const response = { items: model._refineItems(result.Items || [], options) };
+    if (result.LastEvaluatedKey) response.nextPage = model.nextPage(result.LastEvaluatedKey, scanQuery(options));
+    return response;
+  });
+}
+
+function scanRecursively(model, options, items = []) {
+  return scanPage(model, options).then((result) => {
+    const allItems = items.concat(result.items);
+    const limit = options.limit || Number.MAX_SAFE_INTEGER;
+    if (!result.nextPage || allItems.length >= limit) {
+      return Object.assign({}, result, { items: allItems.slice(0, limit) });
+    }
+    return scanRecursively(model, Object.assign({}, options, { page: result.nextPage }), allItems);
+  });
+}
+
+function mapWithConcurrency(values, concurrency, fn) {
+  const results = new Array(values.length);
+  let nextIndex = 0;
+  const worker = () => {
+    if (nextIndex >= values.length) return Promise.resolve();
+    const index = nextIndex++;
+    return fn(values[index]).then((result) => {
+      results[index] = result;
+      return worker();
+    });
+  };
+  const workersCount = Math.max(1, Math.min(concurrency || values.length, values.length));
+  return Promise.all(Array.from({ length: workersCount }, worker)).then(() => results);
+}
+
+// parallel reads the whole table split in that many segments, at most
+// concurrency of them at a time
+function parallelScan(model, options) {
+  const segmentOptions = Object.assign({}, options, { totalSegments: options.parallel });
+  ['parallel', 'concurrency', 'page', 'limit'].forEach(option => delete segmentOptions[option]);
+  const segments = Array.from({ length: options.parallel }, (value, i) => i);
+  return mapWithConcurrency(segments, options.concurrency, (segment) => {
+    logFor(model, 'scan').debug('Scanning segment', { segment, totalSegments: options.parallel });
+    return scanRecursively(model, Object.assign({}, segmentOptions, { segment }));
+  }).then(results => ({ items: results.reduce((items, result) => items.concat(result.items), []) }));
+}
+
+function scan(model, options = {}) {
+  logFor(model, 'scan').debug('Scanning table', { options });
+  if (options.parallel) return parallelScan(model, options);
+  if (options.recursive) {
+    const pageOptions = Object.assign({}, options);
+    delete pageOptions.recursive;
+    return scanRecursively(model, pageOptions);
+  }
+  return scanPage(model, options);
+}
+
+module.exports = {
+  scan,
+  scanAllPages,
+  mapWithConcurrency
+};
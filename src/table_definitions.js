@@ -0,0 +1,131 @@
+import { logFor } from './logger';
+import { retentionFor } from './retention';
+import { ConfigurationError } from './errors';
+
+const projectionTypes = { all: 'ALL', keys: 'KEYS_ONLY' };
+
+// Models declare their indexes by the name of the getter holding the index
+// name: { type: 'global' | 'local', hashKey, rangeKey, projection }. Local
+// indexes share the table hash key, projections are 'all' (the default),
+// 'keys' or a list of attributes.
+function indexDefinitions(model) {
+  const indexes = model.indexes || {};
+  return Object.keys(indexes).map((id) => {
+    const index = indexes[id];
+    const type = index.type || 'global';
+    if (type !== 'global' && type !== 'local') {
+      throw new ConfigurationError({ model: model.name, setting: 'indexes' }, `Unknown index type ${type} for ${model.name}.${id}`);
+    }
+    return {
+      id,
+      name: index.name,
+      type,
+      hashKey: type === 'local' ? model.hashKey : index.hashKey,
+      rangeKey: index.rangeKey || null,
+      projection: index.projection || 'all'
+    };
+  });
+}
+
+function keySchema(hashKey, rangeKey) {
+  const schema = [{ AttributeName: hashKey, KeyType: 'HASH' }];
+  if (rangeKey) schema.push({ AttributeName: rangeKey, KeyType: 'RANGE' });
+  return schema;
+}
+
+function projection(index) {
+  if (Array.isArray(index.projection)) return { ProjectionType: 'INCLUDE', NonKeyAttributes: index.projection };
+  return { ProjectionType: projectionTypes[index.projection] };
+}
+
+function throughput(options) {
+  return { ReadCapacityUnits: options.readCapacity, WriteCapacityUnits: options.writeCapacity || options.readCapacity };
+}
+
+// Key attributes are strings unless the model's attributeTypes say otherwise
+function attributeDefinitions(model, indexes) {
+  const attributes = [model.hashKey, model.rangeKey];
+  indexes.forEach(index => attributes.push(index.hashKey, index.rangeKey));
+  return attributes
+    .filter((attribute, i) => !!attribute && attributes.indexOf(attribute) === i)
+    .map(attribute => ({ AttributeName: attribute, AttributeType: (model.attributeTypes || {})[attribute] || 'S' }));
+}
+
+function indexParams(model, index, options) {
+  if (!index.name) throw new ConfigurationError({ model: model.name, setting: 'indexes' }, `Missing name for index ${model.name}.${index.id}`);
+  const params = {
+    IndexName: index.name,
+    KeySchema: keySchema(index.hashKey, index.rangeKey),
+    Projection: projection(index)
+  };
+  if (index.type === 'global' && options.readCapacity) params.ProvisionedThroughput = throughput(options);
+  return params;
+}
+
+// Tables are billed on demand unless readCapacity (and writeCapacity) are given
+function createTableParams(model, options = {}) {
+  logFor(model, 'createTableParams').debug('Building table definition');
+  if (!model.tableName) throw new ConfigurationError({ model: model.name, setting: 'tableName' }, `Missing table name for ${model.name}`);
+  const indexes = indexDefinitions(model);
+  const params = {
+    TableName: model.tableName,
+    AttributeDefinitions: attributeDefinitions(model, indexes),
+    KeySchema: keySchema(model.hashKey, model.rangeKey)
+  };
+  const withType = type => indexes.filter(index => index.type === type).map(index => indexParams(model, index, options));
+  const globalIndexes = withType('global');
+  const localIndexes = withType('local');
+  if (globalIndexes.length > 0) params.GlobalSecondaryIndexes = globalIndexes;
+  if (localIndexes.length > 0) params.LocalSecondaryIndexes = localIndexes;
+  if (options.readCapacity) {
+    params.ProvisionedThroughput = throughput(options);
+  } else {
+    params.BillingMode = 'PAY_PER_REQUEST';
+  }
+  if (options.streamViewType) {
+    params.StreamSpecification = { StreamEnabled: true, StreamViewType: options.streamViewType };
+  }
+  return params;
+}
+
+// CreateTable can't enable the TTL of models declaring a retention, which
+// takes an UpdateTimeToLive call with these params once the table is active
+function timeToLiveParams(model) {
+  const retention = retentionFor(model);
+  if (!retention) return null;
+  return { TableName: model.tableName, TimeToLiveSpecification: { AttributeName: retention.attribute, Enabled: true } };
+}
+
+function cloudFormationResource(model, options = {}) {
+  const properties = createTableParams(model, options);
+  const timeToLive = timeToLiveParams(model);
+  if (properties.ProvisionedThroughput) properties.BillingMode = 'PROVISIONED';
+  if (timeToLive) properties.TimeToLiveSpecification = timeToLive.TimeToLiveSpecification;
+  return { Type: 'AWS::DynamoDB::Table', Properties: properties };
+}
+
+// Resources are named after the models: Campaign becomes CampaignTable
+function cloudFormationResources(models, options = {}) {
+  return models.reduce((resources, model) => {
+    return Object.assign(resources, { [`${model.name}Table`]: cloudFormationResource(model, options) });
+  }, {});
+}
+
+function cloudFormationTemplate(models, options = {}) {
+  return { AWSTemplateFormatVersion: '2010-09-09', Resources: cloudFormationResources(models, options) };
+}
+
+// Goes under the resources section of serverless.yml
+function serverlessResources(models, options = {}) {
+  return { Resources: cloudFormationResources(models, options) };
+}
+
+module.exports = {
+  indexDefinitions,
+  createTableParams,
+  timeToLiveParams,
+  cloudFormationResource,
+  cloudFormationResources,
+  cloudFormationTemplate,
+  serverlessResources
+};
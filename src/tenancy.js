@@ -0,0 +1,333 @@
+import { logFor } from './logger';
+import { CrossTenantError, ConditionalCheckFailedError, ValidationError } from './errors';
+import { Campaign } from './models/campaign';
+import { List } from './models/list';
+import { ListSegment } from './models/list_segment';
+import { Recipient } from './models/recipient';
+import { Report } from './models/report';
+import { Sender } from './models/sender';
+import { EmailTemplate } from './models/email_template';
+import { Automation } from './models/automation';
+
+const tenantModels = { Campaign, List, ListSegment, Recipient, Report, Sender, EmailTemplate, Automation };
+
+// Models tell how their items belong to a user with their tenancy getter:
+// { attribute } when items hold the id of their owner, { parent, foreignKey }
+// when they belong to an item of a model that does, as recipients do to lists.
+function tenancyField(tenancy) {
+  return tenancy.attribute || tenancy.foreignKey;
+}
+
+function isEmpty(item) {
+  return !item || Object.keys(item).length === 0;
+}
+
+function crossTenant(model, scope, key) {
+  logFor(model, 'forUser', key).warn('Rejecting cross-tenant access', { userId: scope.userId });
+  return new CrossTenantError({ model: model.name, key, userId: scope.userId });
+}
+
+// Parent items found to be the user's are remembered for the facade's lifetime
+function ownsParent(scope, tenancy, value) {
+  const cacheKey = `${tenancy.parent.name}:${JSON.stringify(value)}`;
+  if (!scope.parents.has(cacheKey)) {
+    const options = { include_fields: true, fields: tenancy.parent.hashKey };
+    const lookup = tenancy.parent.get(scope.userId, value, options).then(parent => !isEmpty(parent));
+    scope.parents.set(cacheKey, lookup);
+    const forget = () => scope.parents.delete(cacheKey);
+    lookup.then(owned => owned ? null : forget(), forget);
+  }
+  return scope.parents.get(cacheKey);
+}
+
+// Resolves to true when the key attribute alone proves the items are the
+// user's, to false when the items themselves have to be checked, and rejects
+// when it points to another user's items.
+function keyOwnership(model, scope, attribute, value) {
+  const tenancy = model.tenancy;
+  const key = { [attribute]: value };
+  if (attribute === tenancy.attribute) {
+    return value === scope.userId ? Promise.resolve(true) : Promise.reject(crossTenant(model, scope, key));
+  }
+  if (attribute === tenancy.foreignKey) {
+    return ownsParent(scope, tenancy, value).then((owned) => {
+      if (!owned) throw crossTenant(model, scope, key);
+      return true;
+    });
+  }
+  return Promise.resolve(false);
+}
+
+function checkItems(model, scope, items) {
+  const tenancy = model.tenancy;
+  const field = tenancyField(tenancy);
+  const found = items.filter(item => !isEmpty(item));
+  const keyOf = item => model._buildKey(item[model.hashKey], item[model.rangeKey]);
+  if (tenancy.attribute) {
+    const foreign = found.find(item => item[field] !== scope.userId);
+    return foreign ? Promise.reject(crossTenant(model, scope, keyOf(foreign))) : Promise.resolve();
+  }
+  return Promise.all(found.map(item => keyOwnership(model, scope, field, item[field])));
+}
+
+// Reads whose key doesn't prove ownership project the tenancy field too, so
+// the items can be checked before it's dropped again
+function verifiedRead(model, scope, options, read, itemsOf) {
+  const field = tenancyField(model.tenancy);
+  const fields = String(options.include_fields) === 'true' && options.fields ? options.fields.split(',') : null;
+  const projecting = !!fields && fields.indexOf(field) === -1;
+  const readOptions = projecting ? Object.assign({}, options, { fields: fields.concat(field).join(',') }) : options;
+  return read(readOptions).then((result) => {
+    const items = itemsOf(result);
+    return checkItems(model, scope, items).then(() => {
+      if (projecting) items.forEach(item => delete item[field]);
+      return result;
+    });
+  });
+}
+
+const queryItems = result => (Array.isArray(result) ? result : result.items);
+
+// Conditions proving the item to be the user's. Items of a parent that their
+// key doesn't point to are read first, their write then being conditioned on
+// the parent checked.
+function ownerConditions(model, scope, hash, range) {
+  const tenancy = model.tenancy;
+  return keyOwnership(model, scope, model.hashKey, hash).then((owned) => {
+    if (tenancy.attribute) return { [tenancy.attribute]: { eq: scope.userId } };
+    if (owned) return {};
+    const options = { include_fields: true, fields: tenancy.foreignKey };
+    return model.get(hash, range, options).then((item) => {
+      if (isEmpty(item)) throw crossTenant(model, scope, model._buildKey(hash, range));
+      const parent = item[tenancy.foreignKey];
+      return keyOwnership(model, scope, tenancy.foreignKey, parent).then(() => ({ [tenancy.foreignKey]: { eq: parent } }));
+    });
+  });
+}
+
+// Counted items can't be checked, so counts that aren't scoped by their key
+// are filtered by owner, which items belonging to a parent lack
+function ownedCount(model, scope, key, value, options, count) {
+  return keyOwnership(model, scope, key || model.hashKey, value).then((owned) => {
+    if (owned) return count(options);
+    if (!model.tenancy.attribute) {
+      throw new ValidationError({ model: model.name }, `${model.name} items can only be counted by ${model.tenancy.foreignKey} for a user`);
+    }
+    return count(Object.assign({}, options, { filters: userFilters(model, scope, options.filters) }));
+  });
+}
+
+// Missing items are the user's for saves, which may create them
+function failedOwnerCondition(model, scope, key, conditions, missingOwned = false) {
+  return (err) => {
+    if (!(err instanceof ConditionalCheckFailedError)) throw err;
+    const params = { TableName: model.tableName, Key: key, ConsistentRead: true };
+    return model._client('get', params).then((result) => {
+      const item = result.Item;
+      const owned = isEmpty(item)
+        ? missingOwned
+        : Object.keys(conditions).every(field => item[field] === conditions[field].eq);
+      if (!owned) throw crossTenant(model, scope, key);
+      throw err;
+    });
+  };
+}
+
+function withConditions(options, conditions) {
+  const allConditions = [options.conditions, conditions].filter(condition => condition && Object.keys(condition).length > 0);
+  if (allConditions.length === 0) return options;
+  return Object.assign({}, options, { conditions: allConditions.length > 1 ? { and: allConditions } : allConditions[0] });
+}
+
+// Updates, increments and deletes only apply to existing items that are still
+// the user's when written, so they can't create items for other users. Their
+// failed conditions reject with a CrossTenantError unless the item is the user's.
+function ownedWrite(model, scope, hash, range, options, write) {
+  const key = model._buildKey(hash, range);
+  return ownerConditions(model, scope, hash, range).then((conditions) => {
+    const writeOptions = Object.assign(withConditions(options, conditions), { exists: true });
+    delete writeOptions.upsert;
+    return write(writeOptions).catch(failedOwnerCondition(model, scope, key, conditions));
+  });
+}
+
+// Items saved through the facade get the user's id, or have their parent checked
+function ownedItem(model, scope, item) {
+  const tenancy = model.tenancy;
+  const key = model._buildKey(item[model.hashKey], item[model.rangeKey]);
+  if (tenancy.attribute) {
+    const owner = item[tenancy.attribute];
+    if (owner !== undefined && owner !== scope.userId) return Promise.reject(crossTenant(model, scope, key));
+    return Promise.resolve(Object.assign({ [tenancy.attribute]: scope.userId }, item));
+  }
+  return keyOwnership(model, scope, tenancy.foreignKey, item[tenancy.foreignKey]).then(() => item);
+}
+
+// Puts replace the item under their key, so saves whose key doesn't prove the
+// item to be the user's are conditioned on there being none, or on the stored
+// one being the user's too
+function ownedSave(model, scope, owned, options, save) {
+  return keyOwnership(model, scope, model.hashKey, owned[model.hashKey]).then((proven) => {
+    if (proven) return save(owned, options);
+    const field = tenancyField(model.tenancy);
+    const conditions = { [field]: { eq: owned[field] } };
+    const ownerConditions = { or: [{ [model.hashKey]: { exists: false } }, conditions] };
+    const key = model._buildKey(owned[model.hashKey], owned[model.rangeKey]);
+    return save(owned, withConditions(options, ownerConditions)).catch(failedOwnerCondition(model, scope, key, conditions, true));
+  });
+}
+
+function userFilters(model, scope, filters) {
+  const ownerFilter = { [model.tenancy.attribute]: { eq: scope.userId } };
+  return filters && Object.keys(filters).length > 0 ? { and: [filters, ownerFilter] } : ownerFilter;
+}
+
+function scopeModel(model, scope) {
+  if (!model.tenancy) throw new Error(`${model.name} doesn't declare its tenancy`);
+
+  class TenantModel extends model {
+    static get userId() {
+      return scope.userId;
+    }
+
+    static save(item, options = {}) {
+      return ownedItem(model, scope, item)
+        .then(owned => ownedSave(model, scope, owned, options, (ownedItem, saveOptions) => super.save(ownedItem, saveOptions)));
+    }
+
+    // Batch writes can't be conditional, so items whose key doesn't prove them
+    // to be the user's are saved one by one
+    static saveAll(items, options = {}) {
+      return Promise.all(items.map(item => ownedItem(model, scope, item))).then((owned) => {
+        const hashes = owned.map(item => item[model.hashKey]);
+        return Promise.all(hashes.map(hash => keyOwnership(model, scope, model.hashKey, hash))).then((proven) => {
+          if (proven.every(isProven => isProven)) return super.saveAll(owned, options);
+          return Promise.all(owned.map(item => ownedSave(model, scope, item, {}, (ownedItem, saveOptions) => super.save(ownedItem, saveOptions))))
+            .then(() => ({ UnprocessedItems: {} }));
+        });
+      });
+    }
+
+    static get(hash, range, options = {}) {
+      return keyOwnership(model, scope, model.hashKey, hash).then((owned) => {
+        if (owned) return super.get(hash, range, options);
+        return verifiedRead(model, scope, options, readOptions => super.get(hash, range, readOptions), item => [item]);
+      });
+    }
+
+    static batchGet(keys, options = {}) {
+      return Promise.all(keys.map(key => keyOwnership(model, scope, model.hashKey, [].concat(key)[0])))
+        .then((owned) => {
+          if (owned.every(isOwned => isOwned)) return super.batchGet(keys, options);
+          return verifiedRead(model, scope, options, readOptions => super.batchGet(keys, readOptions), items => items);
+        });
+    }
+
+    static _allBy(key, value, options = {}) {
+      return keyOwnership(model, scope, key || model.hashKey, value).then((owned) => {
+        if (owned) return super._allBy(key, value, options);
+        return verifiedRead(model, scope, options, readOptions => super._allBy(key, value, readOptions), queryItems);
+      });
+    }
+
+    static allBetween(hash, rangeStart, rangeEnd) {
+      return keyOwnership(model, scope, model.hashKey, hash).then((owned) => {
+        const read = () => super.allBetween(hash, rangeStart, rangeEnd);
+        return owned ? read() : verifiedRead(model, scope, {}, read, queryItems);
+      });
+    }
+
+    static countBy(key, value, options = {}) {
+      return ownedCount(model, scope, key, value, options, countOptions => super.countBy(key, value, countOptions));
+    }
+
+    static boundedCountBy(key, value, options = {}) {
+      return ownedCount(model, scope, key, value, options, countOptions => super.boundedCountBy(key, value, countOptions));
+    }
+
+    static scan(options = {}) {
+      const scanOptions = model.tenancy.attribute
+        ? Object.assign({}, options, { filters: userFilters(model, scope, options.filters) })
+        : options;
+      return verifiedRead(model, scope, scanOptions, readOptions => super.scan(readOptions), queryItems);
+    }
+
+    static update(params, hash, range, options = {}) {
+      const owner = model.tenancy.attribute && params[model.tenancy.attribute];
+      if (owner !== undefined && owner !== scope.userId) {
+        return Promise.reject(crossTenant(model, scope, model._buildKey(hash, range)));
+      }
+      return ownedWrite(model, scope, hash, range, options, writeOptions => super.update(params, hash, range, writeOptions));
+    }
+
+    static delete(hash, range, options = {}) {
+      return ownedWrite(model, scope, hash, range, options, writeOptions => super.delete(hash, range, writeOptions));
+    }
+
+    // Batch writes can't be conditional, so the items are deleted one by one
+    static deleteAll(keys) {
+      return Promise.all(keys.map((key) => {
+        const [hash, range] = [].concat(key);
+        return ownedWrite(model, scope, hash, range, {}, writeOptions => super._delete(model._buildKey(hash, range), writeOptions));
+      })).then(() => ({ UnprocessedItems: {} }));
+    }
+
+    static incrementAll(hash, range, attrValuesObj, options = {}) {
+      return ownedWrite(model, scope, hash, range, options, writeOptions => super.incrementAll(hash, range, attrValuesObj, writeOptions));
+    }
+
+    // Raw scans, as campaigns scheduled in the past are found with, only
+    // resolve the user's items
+    static _scanAllPages(params) {
+      const read = () => super._scanAllPages(params);
+      if (!model.tenancy.attribute) return verifiedRead(model, scope, {}, read, items => items);
+      return read().then(items => items.filter(item => item[model.tenancy.attribute] === scope.userId));
+    }
+
+    // Transaction writes can't be checked before their commit, so they are
+    // left to the unscoped models
+    static transaction() {
+      throw new ValidationError({ model: model.name }, `Transactions can't be scoped to a user, use ${model.name}.transaction() instead`);
+    }
+
+    static transactGet(requests) {
+      const models = requests.map(request => request.model || model);
+      const unscoped = models.find(requestModel => !requestModel.tenancy);
+      if (unscoped) return Promise.reject(new ValidationError({ model: unscoped.name }, `${unscoped.name} items can't be read for a user`));
+      return Promise.all(requests.map((request, i) => keyOwnership(models[i], scope, models[i].hashKey, request.hash))).then((owned) => {
+        const checked = requests.map((request, i) => {
+          const field = tenancyField(models[i].tenancy);
+          const fields = request.fields ? request.fields.split(',') : null;
+          return !owned[i] && !!fields && fields.indexOf(field) === -1 ? field : null;
+        });
+        const readRequests = requests.map((request, i) => Object.assign({}, request, {
+          model: models[i],
+          fields: checked[i] ? `${request.fields},${checked[i]}` : request.fields
+        }));
+        return super.transactGet(readRequests).then(items => Promise.all(items.map((item, i) => (owned[i] ? null : checkItems(models[i], scope, [item]))))
+          .then(() => items.map((item, i) => {
+            if (checked[i]) delete item[checked[i]];
+            return item;
+          })));
+      });
+    }
+  }
+
+  Object.defineProperty(TenantModel, 'name', { value: model.name });
+  return TenantModel;
+}
+
+// Facade of the models scoped to a user: keys, queries and saved items are
+// checked to be the user's, rejecting with a CrossTenantError otherwise.
+function forUser(userId, models = tenantModels) {
+  if (!userId) throw new Error('forUser expects a userId');
+  const scope = { userId, parents: new Map() };
+  return Object.keys(models).reduce((scoped, name) => {
+    scoped[name] = scopeModel(models[name], scope);
+    return scoped;
+  }, {});
+}
+
+module.exports = {
+  forUser
+};
@@ -0,0 +1,126 @@
+import moment from 'moment';
+import { mergeConditions } from './conditions';
+
+const defaultTimestamps = { createdAt: 'createdAt', updatedAt: 'updatedAt', unit: 's' };
+
+// Models override timestamps with any of these keys, a falsy name disabling it
+function timestampsFor(model) {
+  return Object.assign({}, defaultTimestamps, model.timestamps);
+}
+
+function currentTime(model) {
+  return timestampsFor(model).unit === 'ms' ? moment().valueOf() : moment().unix();
+}
+
+// Stamps the item in place, keeping the createdAt it was loaded with.
+// Returns whether createdAt was stamped.
+function stampSavedItem(model, item) {
+  const timestamps = timestampsFor(model);
+  const now = currentTime(model);
+  const stampCreatedAt = !!timestamps.createdAt && item[timestamps.createdAt] === undefined;
+  if (stampCreatedAt) item[timestamps.createdAt] = now;
+  if (timestamps.updatedAt) item[timestamps.updatedAt] = now;
+  return stampCreatedAt;
+}
+
+// updatedAt is always stamped, so updates can't set it themselves
+function withoutUpdatedAt(model, attributes) {
+  const timestamps = timestampsFor(model);
+  if (!timestamps.updatedAt || !attributes.hasOwnProperty(timestamps.updatedAt)) return attributes;
+  const copy = Object.assign({}, attributes);
+  delete copy[timestamps.updatedAt];
+  return copy;
+}
+
+function stampUpdate(model, expression) {
+  const timestamps = timestampsFor(model);
+  if (timestamps.updatedAt) expression.set([timestamps.updatedAt], currentTime(model));
+  return expression;
+}
+
+const createdAtAttempts = 3;
+
+function createdAtCondition(name, createdAt) {
+  const names = { '#keptCreatedAt': name };
+  if (createdAt === undefined) return { ConditionExpression: 'attribute_not_exists(#keptCreatedAt)', ExpressionAttributeNames: names };
+  return {
+    ConditionExpression: '#keptCreatedAt = :keptCreatedAt',
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: { ':keptCreatedAt': createdAt }
+  };
+}
+
+function storedCreatedAt(model, key) {
+  const name = timestampsFor(model).createdAt;
+  const params = {
+    TableName: model.tableName,
+    Key: key,
+    ConsistentRead: true,
+    ProjectionExpression: '#createdAt',
+    ExpressionAttributeNames: { '#createdAt': name }
+  };
+  return model._client('get', params).then(result => (result.Item || {})[name]);
+}
+
+function putKeepingCreatedAt(model, key, params, put, createdAt, attempts) {
+  const name = timestampsFor(model).createdAt;
+  const item = Object.assign({}, params.Item, createdAt === undefined ? {} : { [name]: createdAt });
+  const attemptParams = mergeConditions(Object.assign({}, params, { Item: item }), createdAtCondition(name, createdAt));
+  return put(attemptParams).catch((err) => {
+    if (!err || err.code !== 'ConditionalCheckFailedException' || attempts <= 1) throw err;
+    return storedCreatedAt(model, key).then((stored) => {
+      // The createdAt condition held, so it was the caller's that failed
+      if (stored === createdAt) throw err;
+      return putKeepingCreatedAt(model, key, params, put, stored, attempts - 1);
+    });
+  });
+}
+
+// Puts replace the whole item, so one stamping a new createdAt is conditioned
+// on there being none stored. Saves over existing items then read the stored
+// createdAt and put it back with the item, conditioned on it not changing.
+// put is given the params of each attempt, its item a copy of params.Item.
+function keepCreatedAt(model, key, params, put, stamped) {
+  if (!stamped || !timestampsFor(model).createdAt) return put(params);
+  return putKeepingCreatedAt(model, key, params, put, undefined, createdAtAttempts);
+}
+
+// Transactions can't retry one of their puts, so a put stamping a new
+// createdAt reads the stored one when committing instead, conditioned on it
+// not changing meanwhile. Resolves to the params of the put.
+function withStoredCreatedAt(model, key, params, stamped) {
+  const name = timestampsFor(model).createdAt;
+  if (!stamped || !name) return Promise.resolve(params);
+  return storedCreatedAt(model, key).then((createdAt) => {
+    const item = Object.assign({}, params.Item, createdAt === undefined ? {} : { [name]: createdAt });
+    return mergeConditions(Object.assign({}, params, { Item: item }), createdAtCondition(name, createdAt));
+  });
+}
+
+// Batch writes can't be conditioned, so with the keepCreatedAt option the
+// createdAt of the items that stamped a new one is read beforehand. It's off
+// by default, as it doubles the cost of bulk imports of new items. Items are
+// updated in place.
+function keepStoredCreatedAt(model, items, stamped, options = {}) {
+  const name = timestampsFor(model).createdAt;
+  const stampedItems = items.filter((item, i) => stamped[i]);
+  if (!options.keepCreatedAt || !name || stampedItems.length === 0) return Promise.resolve(items);
+  const keys = stampedItems.map(item => [item[model.hashKey], item[model.rangeKey]]);
+  return model.batchGet(keys, { consistentRead: true, include_fields: true, fields: name }).then((storedItems) => {
+    stampedItems.forEach((item, i) => {
+      if (storedItems[i][name] !== undefined) item[name] = storedItems[i][name];
+    });
+    return items;
+  });
+}
+
+module.exports = {
+  timestampsFor,
+  currentTime,
+  stampSavedItem,
+  withoutUpdatedAt,
+  stampUpdate,
+  keepCreatedAt,
+  withStoredCreatedAt,
+  keepStoredCreatedAt
+};
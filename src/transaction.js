@@ -0,0 +1,130 @@
+import { logger, logFor } from './logger';
+import { withoutVersion, withNextVersion, savedVersion, expectedVersion, versionCondition } from './versioning';
+import { mergeConditions, buildConditionParams } from './conditions';
+import { TransactionCanceledError, ValidationError } from './errors';
+import { stampSavedItem, withStoredCreatedAt } from './timestamps';
+import { stampExpiry, isExpired, expiryProjection } from './retention';
+import { encryptItem, decryptItems } from './encryption';
+
+const maxTransactionItems = 100;
+
+// DynamoDB only reports the reasons in the message for some SDK versions
+function cancellationCodes(err, count) {
+  if (err.CancellationReasons) return err.CancellationReasons.map(reason => (reason ? reason.Code : 'None'));
+  const match = /\[(.*)\]/.exec(err.message || '');
+  if (match) return match[1].split(',').map(code => code.trim());
+  return new Array(count).fill('Unknown');
+}
+
+// Collects writes on any model so they are committed all together or not at all
+class Transaction {
+  constructor() {
+    this.operations = [];
+  }
+
+  // Like save, puts keep the createdAt of the item they overwrite, read when
+  // committing
+  put(model, item, options = {}) {
+    const key = model._buildKey(item[model.hashKey], item[model.rangeKey]);
+    const params = { TableName: model.tableName, Item: Object.assign({}, item) };
+    const stampedCreatedAt = stampSavedItem(model, params.Item);
+    const version = savedVersion(model, item);
+    if (model.versionAttribute) params.Item = withNextVersion(model, params.Item);
+    mergeConditions(params, buildConditionParams(model, options, versionCondition(model, version)));
+    const prepare = () => withStoredCreatedAt(model, key, params, stampedCreatedAt && options.exists !== false)
+      .then(keptParams => encryptItem(model, stampExpiry(model, Object.assign({}, keptParams.Item)))
+        .then(storedItem => Object.assign({}, keptParams, { Item: storedItem })));
+    return this._add('Put', model, key, params, prepare);
+  }
+
+  // Like Model.update, updates never create items unless the upsert option is set
+  update(model, attributes, hash, range, options = {}) {
+    const key = model._buildKey(hash, range);
+    const increments = model.versionAttribute ? { [model.versionAttribute]: 1 } : {};
+    const updateOptions = options.upsert ? options : Object.assign({ exists: true }, options);
+    const conditionParams = buildConditionParams(model, updateOptions, versionCondition(model, expectedVersion(model, attributes)));
+    const buildParams = storedAttributes => Object.assign(
+      { TableName: model.tableName, Key: key },
+      mergeConditions(model._buildUpdateExpression(withoutVersion(model, storedAttributes), increments), conditionParams)
+    );
+    const prepare = () => encryptItem(model, attributes).then(buildParams);
+    return this._add('Update', model, key, buildParams(attributes), prepare);
+  }
+
+  delete(model, hash, range, options = {}) {
+    const key = model._buildKey(hash, range);
+    const params = { TableName: model.tableName, Key: key };
+    mergeConditions(params, buildConditionParams(model, options, versionCondition(model, expectedVersion(model, options))));
+    return this._add('Delete', model, key, params);
+  }
+
+  conditionCheck(model, hash, range, options = {}) {
+    const key = model._buildKey(hash, range);
+    const params = { TableName: model.tableName, Key: key };
+    mergeConditions(params, buildConditionParams(model, options, versionCondition(model, expectedVersion(model, options))));
+    if (!params.ConditionExpression) throw new ValidationError({ model: model.name, key }, 'A condition check needs conditions, exists or version');
+    return this._add('ConditionCheck', model, key, params);
+  }
+
+  commit() {
+    logger.debug('Committing transaction', { operation: 'transactWrite', count: this.operations.length });
+    if (this.operations.length === 0) return Promise.resolve(true);
+    if (this.operations.length > maxTransactionItems) {
+      return Promise.reject(new ValidationError({}, `Transactions can't hold more than ${maxTransactionItems} operations`));
+    }
+    // Encrypted attributes are only encrypted when committing, as it's asynchronous
+    const prepared = this.operations.map(operation => (operation.prepare ? operation.prepare() : operation.params));
+    return Promise.all(prepared)
+      .then((operationsParams) => {
+        const params = { TransactItems: this.operations.map((operation, i) => ({ [operation.type]: operationsParams[i] })) };
+        return this.operations[0].model._client('transactWrite', params);
+      })
+      .then(() => true)
+      .catch((err) => {
+        if (!err || err.code !== 'TransactionCanceledException') throw err;
+        const cause = err.cause || err;
+        const codes = cancellationCodes(cause, this.operations.length);
+        const reasons = this.operations.map((operation, i) => ({
+          model: operation.model.name,
+          type: operation.type,
+          key: operation.key,
+          code: codes[i] || 'None'
+        }));
+        throw new TransactionCanceledError({ reasons, cause });
+      });
+  }
+
+  _add(type, model, key, params, prepare) {
+    this.operations.push({ type, model, key, params, prepare });
+    return this;
+  }
+}
+
+// Requests are { model, hash, range, fields }, model defaulting to the caller.
+// Items come back in request order, {} standing for missing ones.
+function transactGet(defaultModel, requests) {
+  logFor(defaultModel, 'transactGet').debug('Getting items', { count: requests.length });
+  if (requests.length === 0) return Promise.resolve([]);
+  const models = requests.map(request => request.model || defaultModel);
+  const expiries = requests.map((request, i) => expiryProjection(models[i], { fields: request.fields, include_fields: true }));
+  const params = {
+    TransactItems: requests.map((request, i) => {
+      const model = models[i];
+      const get = { TableName: model.tableName, Key: model._buildKey(request.hash, request.range) };
+      if (request.fields) {
+        Object.assign(get, model._fieldsOptions(expiries[i].options));
+      }
+      return { Get: get };
+    })
+  };
+  return defaultModel._client('transactGet', params)
+    .then(result => Promise.all(result.Responses.map((response, i) => {
+      const item = response && response.Item && !isExpired(models[i], response.Item) ? expiries[i].project(response.Item) : {};
+      return decryptItems(models[i], [item]).then(items => items[0]);
+    })));
+}
+
+module.exports = {
+  Transaction,
+  transactGet
+};
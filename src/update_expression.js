@@ -0,0 +1,84 @@
+import { Placeholders } from './placeholders';
+import { ValidationError } from './errors';
+
+// Collects SET/REMOVE/ADD/DELETE actions on attribute paths (see
+// Placeholders#path) and compiles them to an UpdateExpression
+class UpdateExpression {
+  constructor() {
+    this.actions = [];
+  }
+
+  // Plain update params: null values remove the attribute, keys are skipped
+  static fromAttributes(attributes, keys = []) {
+    const expression = new UpdateExpression();
+    Object.keys(attributes).filter(name => keys.indexOf(name) === -1).forEach((name) => {
+      if (attributes[name] === null) {
+        expression.remove([name]);
+      } else {
+        expression.set([name], attributes[name]);
+      }
+    });
+    return expression;
+  }
+
+  set(path, value) {
+    return this._push('SET', path, (target, placeholders) => `${target} = ${placeholders.value(value)}`);
+  }
+
+  setIfNotExists(path, value) {
+    return this._push('SET', path, (target, placeholders) => `${target} = if_not_exists(${target}, ${placeholders.value(value)})`);
+  }
+
+  append(path, values) {
+    return this._push('SET', path, (target, placeholders) => {
+      return `${target} = list_append(if_not_exists(${target}, ${placeholders.value([])}), ${placeholders.value(values)})`;
+    });
+  }
+
+  prepend(path, values) {
+    return this._push('SET', path, (target, placeholders) => {
+      return `${target} = list_append(${placeholders.value(values)}, if_not_exists(${target}, ${placeholders.value([])}))`;
+    });
+  }
+
+  remove(path) {
+    return this._push('REMOVE', path, target => target);
+  }
+
+  // Numbers are added to numeric attributes, sets to set attributes
+  add(path, value) {
+    return this._push('ADD', path, (target, placeholders) => `${target} ${placeholders.value(value)}`);
+  }
+
+  delete(path, set) {
+    return this._push('DELETE', path, (target, placeholders) => `${target} ${placeholders.value(set)}`);
+  }
+
+  isEmpty() {
+    return this.actions.length === 0;
+  }
+
+  clone() {
+    const copy = new UpdateExpression();
+    copy.actions = this.actions.slice();
+    return copy;
+  }
+
+  params(prefix = 'u') {
+    if (this.isEmpty()) throw new ValidationError({}, 'Update expressions need at least one action');
+    const placeholders = new Placeholders(prefix);
+    const clauses = ['SET', 'REMOVE', 'ADD', 'DELETE'].map((clause) => {
+      const actions = this.actions.filter(action => action.clause === clause)
+        .map(action => action.build(placeholders.path(action.path), placeholders));
+      return actions.length > 0 ? `${clause} ${actions.join(', ')}` : null;
+    }).filter(clause => !!clause);
+    return Object.assign({ UpdateExpression: clauses.join(' ') }, placeholders.params());
+  }
+
+  _push(clause, path, build) {
+    this.actions.push({ clause, path, build });
+    return this;
+  }
+}
+
+module.exports.UpdateExpression = UpdateExpression;
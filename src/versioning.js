@@ -0,0 +1,45 @@
+function withoutVersion(model, attributes) {
+  if (!model.versionAttribute || !attributes.hasOwnProperty(model.versionAttribute)) return attributes;
+  const copy = Object.assign({}, attributes);
+  delete copy[model.versionAttribute];
+  return copy;
+}
+
+function withNextVersion(model, item) {
+  const version = item[model.versionAttribute] || 0;
+  return Object.assign({}, item, { [model.versionAttribute]: version + 1 });
+}
+
+// Saves always check the version, null standing for an item that has none yet
+function savedVersion(model, item) {
+  if (!model.versionAttribute) return undefined;
+  return item[model.versionAttribute] === undefined ? null : item[model.versionAttribute];
+}
+
+// Updates and deletes only check the version when one is given
+function expectedVersion(model, attributes) {
+  return model.versionAttribute ? attributes[model.versionAttribute] : undefined;
+}
+
+function versionCondition(model, expectedVersion) {
+  if (expectedVersion === undefined) return {};
+  if (expectedVersion === null) {
+    return {
+      ConditionExpression: 'attribute_not_exists(#version)',
+      ExpressionAttributeNames: { '#version': model.versionAttribute }
+    };
+  }
+  return {
+    ConditionExpression: '#version = :expectedVersion',
+    ExpressionAttributeNames: { '#version': model.versionAttribute },
+    ExpressionAttributeValues: { ':expectedVersion': expectedVersion }
+  };
+}
+
+module.exports = {
+  withoutVersion,
+  withNextVersion,
+  savedVersion,
+  expectedVersion,
+  versionCondition
+};
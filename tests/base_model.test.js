@@ -7,8 +7,8 @@ const AWS = require('aws-sdk');
 import * as sinon from 'sinon';
 import * as sinonAsPromised from 'sinon-as-promised';
 import { BaseModel } from '../src/models/base_model';
+import './helpers';
 import Joi from 'joi';
-import base64url from 'base64-url';
 import omitEmpty from 'omit-empty';
 import moment from 'moment';
 import cuid from 'cuid';
@@ -141,7 +141,6 @@ describe('BaseModel', () => {
     const rangeValue = 'some range value';
     const item = { myKey: 1, myRange: 2, anAttribute: 'its value', someAttribute: 'some_value', anotherAttribute: 'value', another: 'value' };
     const lastEvaluatedKey = { myKey: 1, myRange: 2 };
-    const nextPage = base64url.encode(JSON.stringify(lastEvaluatedKey));
     const items = Array(5).fill().map(() => item);
     let tNameStub;
     let hashStub;
@@ -235,14 +234,14 @@ describe('BaseModel', () => {
           expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#hkey', BaseModel.hashKey);
           expect(args[1]).to.have.deep.property('ExpressionAttributeValues.:hvalue', value);
           expect(result).to.have.property('items');
-          expect(result).to.have.property('nextPage', nextPage);
+          expect(BaseModel.lastEvaluatedKey(result.nextPage)).to.deep.equal(lastEvaluatedKey);
           done();
         }).catch(done);
       });
 
       context('when the nexPage param was provided', () => {
         it('includes the ExclusiveStartKey in the query', (done) => {
-          const page = nextPage;
+          const page = BaseModel.nextPage(lastEvaluatedKey, BaseModel._cursorQuery(null, value));
           BaseModel.allBy(null, value, { page }).then(() => {
             const args = BaseModel._client.lastCall.args;
             expect(args[1].ExclusiveStartKey).to.deep.equal(lastEvaluatedKey);
@@ -416,8 +415,18 @@ describe('BaseModel', () => {
     describe('#countBy', () => {
       const key = 'key';
       const value = 'value';
+
+      before(() => {
+        BaseModel._client.withArgs('query').resolves({ Count: 3 });
+      });
+
+      after(() => {
+        BaseModel._client.withArgs('query').resolves({ Items: items, LastEvaluatedKey: lastEvaluatedKey });
+      });
+
       it('calls the DynamoDB query method with correct params', (done) => {
         BaseModel.countBy(key, value).then((result) => {
+          expect(result).to.equal(3);
           const args = BaseModel._client.lastCall.args;
           expect(args[0]).to.equal('query');
           expect(args[1]).to.have.property('TableName', tableName);
@@ -475,8 +484,12 @@ describe('BaseModel', () => {
           expect(params).to.have.deep.property(`RequestItems.${tableName}`);
 
           for (let item of params.RequestItems[tableName]) {
-            expect(item).to.have.deep.property('PutRequest.Item');
-            expect(nItems).to.include.something.that.deep.equals(item.PutRequest.Item);
+            expect(item).to.have.deep.property('PutRequest.Item.createdAt');
+            expect(item).to.have.deep.property('PutRequest.Item.updatedAt');
+            const savedItem = Object.assign({}, item.PutRequest.Item);
+            delete savedItem.createdAt;
+            delete savedItem.updatedAt;
+            expect(nItems).to.include.something.that.deep.equals(savedItem);
           }
           done();
         });
@@ -553,10 +566,26 @@ describe('BaseModel', () => {
           expect(args[0]).to.equal('update');
           expect(args[1]).to.have.property('TableName');
           expect(args[1]).to.have.property('Key');
-          expect(args[1].AttributeUpdates).to.deep.equal(BaseModel._buildAttributeUpdates(params));
+          expect(args[1]).to.have.property('UpdateExpression', BaseModel._buildUpdateExpression(params).UpdateExpression);
+          expect(args[1]).to.have.property('ConditionExpression', 'attribute_exists(#existsKey)');
+          expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#existsKey', BaseModel.hashKey);
           done();
         });
       });
+
+      context('when the upsert option was provided', () => {
+        it('does not require the item to exist', (done) => {
+          const params = { att: 'value' };
+          BaseModel.update(params, hashValue, rangeValue, { upsert: true }).then(() => {
+            const args = BaseModel._client.lastCall.args;
+            expect(args[1]).not.to.have.property('ConditionExpression');
+            expect(args[1]).to.have.property('UpdateExpression', 'SET #u0 = :u0, #u1 = :u1');
+            expect(args[1].ExpressionAttributeValues).to.deep.include({ ':u0': 'value' });
+            done();
+          }).catch(done);
+        });
+      });
+
       context('when the update payload is empty', () => {
         it('raises an error', (done) => {
           ValidModel.update({}, '1')
@@ -569,6 +598,15 @@ describe('BaseModel', () => {
 
       context('when the update payload exists', () => {
         const payload = { id: '1', email: 'ups@example.com' };
+        const now = 1500000000;
+        let clock;
+
+        beforeEach(() => {
+          clock = sinon.useFakeTimers(now * 1000, 'Date');
+        });
+
+        afterEach(() => clock.restore());
+
         it('validates and resolves accordingly', (done) => {
           const params = { email: payload.email };
           ValidModel.update(params, '1')
@@ -577,7 +615,9 @@ describe('BaseModel', () => {
               expect(args[0]).to.equal('update');
               expect(args[1]).to.have.property('TableName');
               expect(args[1]).to.have.property('Key');
-              expect(args[1].AttributeUpdates).to.deep.equal(BaseModel._buildAttributeUpdates(Object.assign({}, params, { updatedAt: 1111111 })));
+              expect(args[1]).to.have.property('UpdateExpression', 'SET #u0 = :u0, #u1 = :u1');
+              expect(args[1].ExpressionAttributeNames).to.deep.equal({ '#u0': 'email', '#u1': 'updatedAt', '#existsKey': 'myKey' });
+              expect(args[1].ExpressionAttributeValues).to.deep.equal({ ':u0': payload.email, ':u1': now });
               done();
             }).catch(done);
         });
@@ -593,8 +633,10 @@ describe('BaseModel', () => {
           expect(args[0]).to.equal('update');
           expect(args[1]).to.have.property('TableName');
           expect(args[1]).to.have.property('Key');
-          expect(args[1]).to.have.deep.property(`AttributeUpdates.${countAttribute}.Action`, 'ADD');
-          expect(args[1]).to.have.deep.property(`AttributeUpdates.${countAttribute}.Value`, count);
+          expect(args[1]).to.have.property('UpdateExpression', 'SET #u0 = :u0 ADD #u1 :u1');
+          expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u0', 'updatedAt');
+          expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u1', `${countAttribute}`);
+          expect(args[1]).to.have.deep.property('ExpressionAttributeValues.:u1', count);
           done();
         });
       });
@@ -611,10 +653,9 @@ describe('BaseModel', () => {
           expect(args[0]).to.equal('update');
           expect(args[1]).to.have.property('TableName');
           expect(args[1]).to.have.property('Key');
-          expect(args[1]).to.have.deep.property('AttributeUpdates.attr1.Action', 'ADD');
-          expect(args[1]).to.have.deep.property('AttributeUpdates.attr1.Value', 1);
-          expect(args[1]).to.have.deep.property('AttributeUpdates.attr2.Action', 'ADD');
-          expect(args[1]).to.have.deep.property('AttributeUpdates.attr2.Value', -2);
+          expect(args[1]).to.have.property('UpdateExpression', 'SET #u0 = :u0 ADD #u1 :u1, #u2 :u2');
+          expect(args[1].ExpressionAttributeNames).to.deep.equal({ '#u0': 'updatedAt', '#u1': 'attr1', '#u2': 'attr2' });
+          expect(args[1].ExpressionAttributeValues).to.deep.include({ ':u1': 1, ':u2': -2 });
           done();
         });
       });
@@ -729,32 +770,26 @@ describe('BaseModel', () => {
     });
   });
 
-  describe('#_buildAttributeUpdates()', () => {
-    it('returns a correct AttributeUpdates object', () => {
+  describe('#_buildUpdateExpression()', () => {
+    it('sets every attribute but the keys', () => {
       const params = { someAttribute: 'some value', anotherAttribute: 'another value' };
       params[BaseModel.hashKey] = 'some value';
-      params[BaseModel.rangeKey] = 'some value';
-      const attributeUpdates = BaseModel._buildAttributeUpdates(params);
-      for (let key in params) {
-        if (key === BaseModel.hashKey || key === BaseModel.rangeKey) {
-          expect(attributeUpdates).not.to.have.property(key);
-        } else {
-          expect(attributeUpdates).to.have.deep.property(`${key}.Action`, 'PUT');
-          expect(attributeUpdates).to.have.deep.property(`${key}.Value`, params[key]);
-        }
-      }
+      const updateParams = BaseModel._buildUpdateExpression(params);
+      expect(updateParams).to.have.property('UpdateExpression', 'SET #u0 = :u0, #u1 = :u1, #u2 = :u2');
+      expect(updateParams.ExpressionAttributeNames).to.deep.equal({ '#u0': 'someAttribute', '#u1': 'anotherAttribute', '#u2': 'updatedAt' });
+      expect(updateParams.ExpressionAttributeValues).to.deep.include({ ':u0': 'some value', ':u1': 'another value' });
     });
 
-    it('deletes an attribute if null was passed as its value', () => {
-      const params = {
-        someAttribute: 'some value',
-        anotherAttribute: 'another value',
-        toBeDeleted: null
-      };
-      params[BaseModel.hashKey] = 'some value';
-      params[BaseModel.rangeKey] = 'some value';
-      const attributeUpdates = BaseModel._buildAttributeUpdates(params);
-      expect(attributeUpdates.toBeDeleted).to.deep.equal({ Action: 'DELETE' });
+    it('removes an attribute if null was passed as its value', () => {
+      const params = { someAttribute: 'some value', toBeDeleted: null };
+      const updateParams = BaseModel._buildUpdateExpression(params);
+      expect(updateParams).to.have.property('UpdateExpression', 'SET #u0 = :u0, #u1 = :u1 REMOVE #u2');
+      expect(updateParams).to.have.deep.property('ExpressionAttributeNames.#u2', 'toBeDeleted');
+    });
+
+    it('adds the increments', () => {
+      const updateParams = BaseModel._buildUpdateExpression({ status: 'sent' }, { version: 1 });
+      expect(updateParams).to.have.property('UpdateExpression', 'SET #u0 = :u0, #u1 = :u1 ADD #u2 :u2');
     });
   });
 
@@ -779,14 +814,14 @@ describe('BaseModel', () => {
         const email = 'da';
         const options = { filters: { status: { eq: status }, name: { ne: name }, email: { bw: email } } };
         const dbOptions = BaseModel._buildOptions(options);
-        const filterExpression = '#status = :status AND #name <> :name AND begins_with(#email, :email)';
+        const filterExpression = '#filter0 = :filter0 AND #filter1 <> :filter1 AND begins_with(#filter2, :filter2)';
         expect(dbOptions).to.have.property('FilterExpression', filterExpression);
-        expect(dbOptions).to.have.deep.property('ExpressionAttributeNames.#status', 'status');
-        expect(dbOptions).to.have.deep.property('ExpressionAttributeNames.#name', 'name');
-        expect(dbOptions).to.have.deep.property('ExpressionAttributeNames.#email', 'email');
-        expect(dbOptions).to.have.deep.property('ExpressionAttributeValues.:status', status);
-        expect(dbOptions).to.have.deep.property('ExpressionAttributeValues.:name', name);
-        expect(dbOptions).to.have.deep.property('ExpressionAttributeValues.:email', email);
+        expect(dbOptions).to.have.deep.property('ExpressionAttributeNames.#filter0', 'status');
+        expect(dbOptions).to.have.deep.property('ExpressionAttributeNames.#filter1', 'name');
+        expect(dbOptions).to.have.deep.property('ExpressionAttributeNames.#filter2', 'email');
+        expect(dbOptions).to.have.deep.property('ExpressionAttributeValues.:filter0', status);
+        expect(dbOptions).to.have.deep.property('ExpressionAttributeValues.:filter1', name);
+        expect(dbOptions).to.have.deep.property('ExpressionAttributeValues.:filter2', email);
         done();
       });
     });
@@ -0,0 +1,116 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+import * as sinon from 'sinon';
+import { Model } from '../src/models/model';
+import { BaseModel } from '../src/models/base_model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { memoryModel } from './helpers';
+
+chai.use(chaiAsPromised);
+
+describe('Batch reads', () => {
+  const client = new MemoryDocumentClient();
+
+  const BatchLink = memoryModel(Model, 'BatchLink', client, {
+    tableName: 'batch-links',
+    hashKey: 'campaignId',
+    rangeKey: 'id',
+    retryDelay: 1
+  });
+
+  const BatchList = memoryModel(BaseModel, 'BatchList', client, {
+    tableName: 'batch-lists'
+  });
+
+  beforeEach(() => {
+    client.createTableFor(BatchLink);
+    client.createTableFor(BatchList);
+    const lists = Array.from({ length: 150 }, (value, i) => ({ PutRequest: { Item: { id: `list-${i}`, name: `List ${i}` } } }));
+    const writes = [];
+    for (let i = 0; i < lists.length; i += 25) {
+      writes.push(client.batchWrite({ RequestItems: { 'batch-lists': lists.slice(i, i + 25) } }).promise());
+    }
+    writes.push(BatchLink.save({ campaignId: 'campaign', id: '1', url: 'https://a.com', clicksCount: 2 }));
+    writes.push(BatchLink.save({ campaignId: 'campaign', id: '2', url: 'https://b.com', clicksCount: 0 }));
+    return Promise.all(writes);
+  });
+
+  afterEach(() => {
+    if (client.batchGet.restore) client.batchGet.restore();
+  });
+
+  describe('#batchGet', () => {
+    it('returns the items in request order with {} for missing ones', (done) => {
+      BatchLink.batchGet([['campaign', '2'], ['campaign', 'missing'], ['campaign', '1']]).then((items) => {
+        expect(items.map(item => item.id)).to.deep.equal(['2', undefined, '1']);
+        expect(items[1]).to.deep.equal({});
+        done();
+      }).catch(done);
+    });
+
+    it('accepts plain hash keys and repeated keys', (done) => {
+      const batchGetSpy = sinon.spy(client, 'batchGet');
+      BatchList.batchGet(['list-3', 'list-1', 'list-3']).then((items) => {
+        expect(items.map(item => item.name)).to.deep.equal(['List 3', 'List 1', 'List 3']);
+        expect(batchGetSpy.firstCall.args[0].RequestItems['batch-lists'].Keys).to.deep.equal([{ id: 'list-3' }, { id: 'list-1' }]);
+        done();
+      }).catch(done);
+    });
+
+    it('chunks the keys by 100', (done) => {
+      const batchGetSpy = sinon.spy(client, 'batchGet');
+      const keys = Array.from({ length: 150 }, (value, i) => `list-${i}`);
+      BatchList.batchGet(keys).then((items) => {
+        expect(batchGetSpy).to.have.been.calledTwice;
+        expect(batchGetSpy.firstCall.args[0].RequestItems['batch-lists'].Keys).to.have.length(100);
+        expect(items).to.have.length(150);
+        expect(items[149]).to.have.property('id', 'list-149');
+        done();
+      }).catch(done);
+    });
+
+    it('projects the requested fields', (done) => {
+      BatchLink.batchGet([['campaign', '1']], { fields: 'url', include_fields: true }).then((items) => {
+        expect(items).to.deep.equal([{ url: 'https://a.com' }]);
+        done();
+      }).catch(done);
+    });
+
+    it('removes the excluded fields', (done) => {
+      BatchLink.batchGet([['campaign', '1']], { fields: 'url', include_fields: false }).then((items) => {
+        expect(items[0]).not.to.have.property('url');
+        expect(items[0]).to.have.property('clicksCount', 2);
+        done();
+      }).catch(done);
+    });
+
+    it('retries unprocessed keys', (done) => {
+      const batchGet = client.batchGet.bind(client);
+      const batchGetStub = sinon.stub(client, 'batchGet', (params, callback) => {
+        if (batchGetStub.callCount > 1) return batchGet(params, callback);
+        const keys = params.RequestItems['batch-links'].Keys;
+        return batchGet({ RequestItems: { 'batch-links': { Keys: keys.slice(0, 1) } } }, (err, data) => {
+          callback(err, Object.assign({}, data, { UnprocessedKeys: { 'batch-links': { Keys: keys.slice(1) } } }));
+        });
+      });
+      BatchLink.batchGet([['campaign', '1'], ['campaign', '2']]).then((items) => {
+        expect(batchGetStub).to.have.been.calledTwice;
+        expect(batchGetStub.secondCall.args[0].RequestItems['batch-links'].Keys).to.deep.equal([{ campaignId: 'campaign', id: '2' }]);
+        expect(items.map(item => item.id)).to.deep.equal(['1', '2']);
+        done();
+      }).catch(done);
+    });
+
+    it('rejects when keys are still unprocessed after the retries', () => {
+      sinon.stub(client, 'batchGet', (params, callback) => {
+        setImmediate(() => callback(null, { Responses: {}, UnprocessedKeys: params.RequestItems }));
+      });
+      return expect(BatchLink.batchGet([['campaign', '1']])).to.be.rejectedWith('unprocessed');
+    });
+
+    it('resolves empty requests without calling DynamoDB', () => {
+      return expect(BatchList.batchGet([])).to.eventually.deep.equal([]);
+    });
+  });
+});
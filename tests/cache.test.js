@@ -0,0 +1,231 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+import * as sinon from 'sinon';
+import { Model } from '../src/models/model';
+import { BaseModel } from '../src/models/base_model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { LruCache } from '../src/cache';
+import { ConfigurationError } from '../src/errors';
+import { memoryModel } from './helpers';
+
+describe('Cache', () => {
+  const client = new MemoryDocumentClient();
+
+  const CachedSender = memoryModel(Model, 'CachedSender', client, {
+    tableName: 'cached-senders',
+    hashKey: 'userId',
+    rangeKey: 'id'
+  });
+
+  const CachedBaseSender = memoryModel(BaseModel, 'CachedBaseSender', client, {
+    tableName: CachedSender.tableName,
+    hashKey: 'userId',
+    rangeKey: 'id'
+  });
+
+  let getSpy;
+  let batchGetSpy;
+
+  beforeEach(() => {
+    client.createTableFor(CachedSender);
+    CachedSender.enableCache();
+    CachedBaseSender.enableCache();
+    return CachedSender.saveAll([
+      { userId: 'user', id: '1', email: 'one@example.com', verified: false },
+      { userId: 'user', id: '2', email: 'two@example.com', verified: false }
+    ]).then(() => {
+      getSpy = sinon.spy(client, 'get');
+      batchGetSpy = sinon.spy(client, 'batchGet');
+    });
+  });
+
+  afterEach(() => {
+    getSpy.restore();
+    batchGetSpy.restore();
+    CachedSender.disableCache();
+    CachedBaseSender.disableCache();
+  });
+
+  describe('LruCache', () => {
+    it('evicts the least recently used entries', () => {
+      const cache = new LruCache({ maxSize: 2 });
+      cache.set('a', { id: 'a' });
+      cache.set('b', { id: 'b' });
+      cache.get('a');
+      cache.set('c', { id: 'c' });
+      expect(cache.get('a')).to.deep.equal({ id: 'a' });
+      expect(cache.get('b')).to.be.undefined;
+      expect(cache.get('c')).to.deep.equal({ id: 'c' });
+    });
+
+    it('expires entries after their ttl', () => {
+      const clock = sinon.useFakeTimers(Date.now());
+      const cache = new LruCache();
+      cache.set('a', { id: 'a' }, 1000);
+      clock.tick(999);
+      expect(cache.get('a')).to.deep.equal({ id: 'a' });
+      clock.tick(1);
+      expect(cache.get('a')).to.be.undefined;
+      clock.restore();
+    });
+
+    it('hands out copies of the cached items', () => {
+      const cache = new LruCache();
+      cache.set('a', { id: 'a' });
+      cache.get('a').id = 'b';
+      expect(cache.get('a')).to.deep.equal({ id: 'a' });
+    });
+  });
+
+  describe('#get', () => {
+    it('reads items once', (done) => {
+      CachedSender.get('user', '1')
+        .then(() => CachedSender.get('user', '1', { fields: 'createdAt,updatedAt', include_fields: false }))
+        .then((sender) => {
+          expect(sender).to.deep.equal({ userId: 'user', id: '1', email: 'one@example.com', verified: false });
+          expect(getSpy.callCount).to.equal(1);
+          done();
+        }).catch(done);
+    });
+
+    it('skips the cache for projected reads and missing items', (done) => {
+      CachedSender.get('user', '1', { fields: 'email', include_fields: true })
+        .then(() => CachedSender.get('user', '1', { fields: 'email', include_fields: true }))
+        .then(() => CachedSender.get('user', 'missing'))
+        .then(() => CachedSender.get('user', 'missing'))
+        .then((sender) => {
+          expect(sender).to.deep.equal({});
+          expect(getSpy.callCount).to.equal(4);
+          done();
+        }).catch(done);
+    });
+
+    it('works with pluggable backends', (done) => {
+      const entries = {};
+      const backend = {
+        get: key => Promise.resolve(entries[key]),
+        set: (key, item, ttl) => Promise.resolve(Object.assign(entries, { [key]: Object.assign({ ttl }, item) })),
+        delete: key => Promise.resolve(delete entries[key])
+      };
+      CachedBaseSender.enableCache({ backend, ttl: 5000 });
+      CachedBaseSender.get('user', '1')
+        .then(() => CachedBaseSender.get('user', '1'))
+        .then((sender) => {
+          expect(sender).to.have.property('ttl', 5000);
+          expect(getSpy.callCount).to.equal(1);
+          return CachedBaseSender.update({ verified: true }, 'user', '1');
+        })
+        .then(() => {
+          expect(entries).to.deep.equal({});
+          done();
+        }).catch(done);
+    });
+
+    it('is shared with the models derived with withConfig', (done) => {
+      const ConfiguredSender = CachedSender.withConfig({ client });
+      CachedSender.get('user', '1')
+        .then(() => ConfiguredSender.get('user', '1'))
+        .then(() => {
+          expect(getSpy.callCount).to.equal(1);
+          done();
+        }).catch(done);
+    });
+
+    it('is refused to models with encrypted attributes', () => {
+      class EncryptedSender extends CachedSender {
+        static get encryptedAttributes() {
+          return { email: { blindIndex: true } };
+        }
+      }
+      expect(() => EncryptedSender.enableCache()).to.throw(ConfigurationError, /encrypted attributes/);
+    });
+
+    it('is not shared with models without a cache', (done) => {
+      class UncachedSender extends CachedSender {}
+      UncachedSender.get('user', '1')
+        .then(() => UncachedSender.get('user', '1'))
+        .then(() => {
+          expect(getSpy.callCount).to.equal(2);
+          done();
+        }).catch(done);
+    });
+  });
+
+  describe('invalidation', () => {
+    const cachedRead = () => CachedSender.get('user', '1').then(() => CachedSender.get('user', '1'));
+    const writes = {
+      save: () => CachedSender.save({ userId: 'user', id: '1', email: 'new@example.com' }),
+      saveAll: () => CachedSender.saveAll([{ userId: 'user', id: '1', email: 'new@example.com' }]),
+      update: () => CachedSender.update({ email: 'new@example.com' }, 'user', '1'),
+      increment: () => CachedSender.increment('sentCount', 1, 'user', '1'),
+      delete: () => CachedSender.delete('user', '1'),
+      deleteAll: () => CachedSender.deleteAll([['user', '1']]),
+      transaction: () => CachedSender.transaction().update(CachedSender, { email: 'new@example.com' }, 'user', '1').commit(),
+      'writes of other models of the table': () => CachedBaseSender.update({ email: 'new@example.com' }, 'user', '1')
+    };
+
+    Object.keys(writes).forEach((write) => {
+      it(`happens on ${write}`, (done) => {
+        let reads;
+        cachedRead()
+          .then(() => writes[write]())
+          .then(() => {
+            // Saves over items read their createdAt
+            reads = getSpy.callCount;
+            return CachedSender.get('user', '1');
+          })
+          .then(() => {
+            expect(getSpy.callCount).to.equal(reads + 1);
+            done();
+          }).catch(done);
+      });
+    });
+
+    it('happens on failed writes', (done) => {
+      cachedRead()
+        .then(() => CachedSender.save({ userId: 'user', id: '1' }, { exists: false }))
+        .catch(() => CachedSender.get('user', '1'))
+        .then(() => {
+          expect(getSpy.callCount).to.equal(2);
+          done();
+        }).catch(done);
+    });
+
+    it('keeps items read while they were written out of the cache', (done) => {
+      const read = CachedSender.get('user', '1');
+      CachedSender.update({ email: 'new@example.com' }, 'user', '1')
+        .then(() => read)
+        .then(() => CachedSender.get('user', '1'))
+        .then((sender) => {
+          expect(sender).to.have.property('email', 'new@example.com');
+          done();
+        }).catch(done);
+    });
+  });
+
+  describe('#batchGet', () => {
+    it('only requests the keys that missed', (done) => {
+      CachedSender.get('user', '1')
+        .then(() => CachedSender.batchGet([['user', '2'], ['user', '1'], ['user', 'missing']]))
+        .then((senders) => {
+          expect(senders.map(sender => sender.id)).to.deep.equal(['2', '1', undefined]);
+          expect(batchGetSpy.firstCall.args[0].RequestItems['cached-senders'].Keys).to.have.length(2);
+          return CachedSender.get('user', '2');
+        })
+        .then(() => {
+          expect(getSpy.callCount).to.equal(1);
+          done();
+        }).catch(done);
+    });
+
+    it('skips requests when every key is cached', (done) => {
+      CachedBaseSender.batchGet([['user', '1'], ['user', '2']])
+        .then(() => CachedBaseSender.batchGet([['user', '1'], ['user', '2']]))
+        .then((senders) => {
+          expect(senders).to.have.length(2);
+          expect(batchGetSpy.callCount).to.equal(1);
+          done();
+        }).catch(done);
+    });
+  });
+});
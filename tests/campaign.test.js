@@ -4,6 +4,7 @@ const chaiAsPromised = require('chai-as-promised');
 import * as sinon from 'sinon';
 import * as sinonAsPromised from 'sinon-as-promised';
 import { Campaign } from '../src/models/campaign';
+import { IndexNotFoundError } from '../src/errors';
 import moment from 'moment';
 
 const sinonChai = require('sinon-chai');
@@ -97,6 +98,25 @@ describe('Campaign', () => {
     });
   });
 
+  describe('#update', () => {
+    it('only updates existing campaigns', (done) => {
+      Campaign.update({ status: 'sent' }, userId, campaignId).then(() => {
+        const args = Campaign._client.lastCall.args;
+        expect(args[0]).to.equal('update');
+        expect(args[1]).to.have.property('ConditionExpression', 'attribute_exists(#existsKey)');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#existsKey', campaignHashKey);
+        done();
+      }).catch(done);
+    });
+
+    it('creates campaigns when upserting', (done) => {
+      Campaign.update({ status: 'sent' }, userId, campaignId, { upsert: true }).then(() => {
+        expect(Campaign._client.lastCall.args[1]).not.to.have.property('ConditionExpression');
+        done();
+      }).catch(done);
+    });
+  });
+
   describe('#scheduledInPast()', () => {
     it('calls the DynamoDB query method with correct params', done => {
       Campaign.scheduledInPast(userId).then(() => {
@@ -136,10 +156,12 @@ describe('Campaign', () => {
         expect(args[1]).to.have.property('TableName', tableName);
         expect(args[1]).to.have.deep.property(`Key.${campaignHashKey}`, userId);
         expect(args[1]).to.have.deep.property(`Key.${campaignRangeKey}`, campaignId);
-        expect(args[1]).to.have.deep.property('ExpressionAttributeValues.:status', 'draft');
-        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#status', 'status');
-        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#scheduledAt', 'scheduledAt');
-        expect(args[1]).to.have.property('UpdateExpression', 'SET #status=:status REMOVE #scheduledAt');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeValues.:u0', 'draft');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u0', 'status');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u1', 'updatedAt');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u2', 'scheduledAt');
+        expect(args[1]).to.have.property('UpdateExpression', 'SET #u0 = :u0, #u1 = :u1 REMOVE #u2');
+        expect(args[1]).to.have.property('ReturnValues', 'ALL_NEW');
         done();
       }).catch(done);
     });
@@ -153,9 +175,11 @@ describe('Campaign', () => {
         expect(args[1]).to.have.property('TableName', tableName);
         expect(args[1]).to.have.property('IndexName', sentAtIndexName);
         expect(args[1]).to.have.property('Select', 'COUNT');
-        expect(args[1]).to.have.deep.property('ExpressionAttributeValues.:lastDays');
-        expect(args[1]).to.have.deep.property('ExpressionAttributeValues.:userId', userId);
-        expect(args[1]).to.have.property('KeyConditionExpression', 'userId = :userId and sentAt > :lastDays');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#hkey', 'userId');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#rkey', 'sentAt');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeValues.:hvalue', userId);
+        expect(args[1].ExpressionAttributeValues[':rvalue']).to.be.closeTo(moment().subtract(1, 'days').unix(), 5);
+        expect(args[1]).to.have.property('KeyConditionExpression', '#hkey = :hvalue AND #rkey > :rvalue');
         done();
       }).catch(done);
     });
@@ -178,14 +202,57 @@ describe('Campaign', () => {
         const args = Campaign._client.lastCall.args;
         expect(args[0]).to.equal('query');
         expect(args[1]).to.have.property('TableName', tableName);
-        expect(args[1]).to.have.deep.property('ExpressionAttributeValues.:status', 'sent');
-        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#status', 'status');
+        expect(args[1]).to.have.property('FilterExpression', '#filter0 = :filter0');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeValues.:filter0', 'sent');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#filter0', 'status');
         done();
       })
         .catch(err => done(err));
     });
   });
 
+  describe('#allByArchiveStatus()', () => {
+    const archivedIndexName = 'archived-index';
+    let archivedIndexStub;
+
+    before(() => {
+      archivedIndexStub = sinon.stub(Campaign, 'archivedIndex', { get: () => archivedIndexName });
+    });
+
+    it('queries the archived index', (done) => {
+      Campaign.allByArchiveStatus(userId).then(() => {
+        const args = Campaign._client.lastCall.args;
+        expect(args[0]).to.equal('query');
+        expect(args[1]).to.have.property('IndexName', archivedIndexName);
+        done();
+      }).catch(done);
+    });
+
+    after(() => archivedIndexStub.restore());
+  });
+
+  describe('#allBy()', () => {
+    it('selects the index matching the range key', (done) => {
+      Campaign.allBy('userId', userId, { range: { gt: { sentAt: 10 } } }).then(() => {
+        const args = Campaign._client.lastCall.args;
+        expect(args[1]).to.have.property('IndexName', sentAtIndexName);
+        done();
+      }).catch(done);
+    });
+
+    it('queries the table by its own keys', (done) => {
+      Campaign.allBy('userId', userId, { range: { bw: { id: 'a' } } }).then(() => {
+        const args = Campaign._client.lastCall.args;
+        expect(args[1]).not.to.have.property('IndexName');
+        done();
+      }).catch(done);
+    });
+
+    it('rejects when no index supports the query', () => {
+      return expect(Campaign.allBy('status', 'sent')).to.be.rejectedWith(IndexNotFoundError, 'No Campaign index can be queried by status');
+    });
+  });
+
   describe('#hashKey', () => {
     it('returns the hash key name', () => {
       expect(Campaign.hashKey).to.equal(campaignHashKey);
@@ -0,0 +1,168 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+import Joi from 'joi';
+import { Model } from '../src/models/model';
+import { BaseModel } from '../src/models/base_model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { buildConditions, mergeConditions } from '../src/conditions';
+import { ConditionalCheckFailedError, StaleItemError } from '../src/errors';
+import { memoryModel } from './helpers';
+
+chai.use(chaiAsPromised);
+
+describe('Conditional writes', () => {
+  const tableName = 'conditional-table';
+  const client = new MemoryDocumentClient();
+
+  const ConditionalModel = memoryModel(Model, 'ConditionalModel', client, {
+    tableName,
+    hashKey: 'userId',
+    rangeKey: 'id'
+  });
+
+  const ConditionalBaseModel = memoryModel(BaseModel, 'ConditionalBaseModel', client, {
+    tableName,
+    hashKey: 'userId',
+    rangeKey: 'id',
+    createSchema: Joi.object({ userId: Joi.string(), id: Joi.string(), status: Joi.string() })
+  });
+
+  class VersionedModel extends ConditionalModel {
+    static get versionAttribute() {
+      return 'version';
+    }
+  }
+
+  beforeEach(() => {
+    client.createTableFor(ConditionalModel);
+    return ConditionalModel.save({ userId: 'user', id: '1', status: 'draft', sentCount: 5 });
+  });
+
+  describe('#buildConditions', () => {
+    it('builds a ConditionExpression with unique placeholders', () => {
+      const conditions = buildConditions(Model, { status: { eq: 'draft', ne: 'sent' }, sentCount: { btw: [1, 10] } });
+      expect(conditions.ConditionExpression).to.equal('#cond0 = :cond0 AND #cond0 <> :cond1 AND #cond1 BETWEEN :cond2 AND :cond3');
+      expect(conditions.ExpressionAttributeNames).to.deep.equal({ '#cond0': 'status', '#cond1': 'sentCount' });
+      expect(conditions.ExpressionAttributeValues).to.deep.equal({
+        ':cond0': 'draft',
+        ':cond1': 'sent',
+        ':cond2': 1,
+        ':cond3': 10
+      });
+    });
+
+    it('throws on unknown operands', () => {
+      expect(() => buildConditions(Model, { status: { like: 'draft' } })).to.throw('Unknown operand like');
+    });
+  });
+
+  describe('#mergeConditions', () => {
+    it('ANDs condition expressions and merges placeholders', () => {
+      const merged = mergeConditions(
+        { ConditionExpression: 'a', ExpressionAttributeNames: { '#a': 'a' } },
+        { ConditionExpression: 'b', ExpressionAttributeValues: { ':b': null } }
+      );
+      expect(merged).to.deep.equal({
+        ConditionExpression: '(a) AND (b)',
+        ExpressionAttributeNames: { '#a': 'a' },
+        ExpressionAttributeValues: { ':b': null }
+      });
+    });
+  });
+
+  describe('#createIfNotExists', () => {
+    it('creates new items', (done) => {
+      ConditionalModel.createIfNotExists({ userId: 'user', id: '2' })
+        .then(() => ConditionalModel.get('user', '2'))
+        .then((item) => {
+          expect(item).to.have.property('id', '2');
+          done();
+        }).catch(done);
+    });
+
+    it('rejects with a ConditionalCheckFailedError when the item exists', (done) => {
+      ConditionalModel.createIfNotExists({ userId: 'user', id: '1' }).catch((err) => {
+        expect(err).to.be.an.instanceof(ConditionalCheckFailedError);
+        expect(err).to.have.property('model', 'ConditionalModel');
+        expect(err).to.have.deep.property('key.id', '1');
+        expect(err).to.have.deep.property('cause.code', 'ConditionalCheckFailedException');
+        done();
+      }).catch(done);
+    });
+
+    it('is used by BaseModel.create', () => {
+      const result = ConditionalBaseModel.create({ userId: 'user', id: '1', status: 'sent' });
+      return expect(result).to.be.rejectedWith(ConditionalCheckFailedError);
+    });
+  });
+
+  describe('#updateIfExists', () => {
+    it('updates existing items', (done) => {
+      ConditionalModel.updateIfExists({ status: 'sent' }, 'user', '1').then((item) => {
+        expect(item).to.have.property('status', 'sent');
+        done();
+      }).catch(done);
+    });
+
+    it('does not create phantom items', (done) => {
+      ConditionalModel.updateIfExists({ status: 'sent' }, 'user', 'missing').catch((err) => {
+        expect(err).to.be.an.instanceof(ConditionalCheckFailedError);
+        expect(client.items(tableName)).to.have.length(1);
+        done();
+      }).catch(done);
+    });
+
+    it('is the default for BaseModel.update', (done) => {
+      ConditionalBaseModel.update({ status: 'sent' }, 'user', 'missing')
+        .catch((err) => {
+          expect(err).to.be.an.instanceof(ConditionalCheckFailedError);
+          return ConditionalBaseModel.update({ status: 'sent' }, 'user', 'missing', { upsert: true });
+        })
+        .then((item) => {
+          expect(item).to.have.property('status', 'sent');
+          done();
+        }).catch(done);
+    });
+  });
+
+  describe('conditions option', () => {
+    it('guards saves', () => {
+      const result = ConditionalModel.save({ userId: 'user', id: '1' }, { conditions: { status: { eq: 'sent' } } });
+      return expect(result).to.be.rejectedWith(ConditionalCheckFailedError);
+    });
+
+    it('guards updates', (done) => {
+      ConditionalModel.update({ status: 'sent' }, 'user', '1', { conditions: { status: { eq: 'draft' }, sentCount: { btw: [1, 10] } } })
+        .then((item) => {
+          expect(item).to.have.property('status', 'sent');
+          return ConditionalModel.update({ status: 'draft' }, 'user', '1', { conditions: { status: { eq: 'draft' } } });
+        })
+        .catch((err) => {
+          expect(err).to.be.an.instanceof(ConditionalCheckFailedError);
+          done();
+        }).catch(done);
+    });
+
+    it('guards deletes', (done) => {
+      ConditionalModel.delete('user', '1', { conditions: { sentCount: { gt: 10 } } })
+        .catch((err) => {
+          expect(err).to.be.an.instanceof(ConditionalCheckFailedError);
+          return ConditionalModel.delete('user', '1', { conditions: { sentCount: { le: 5 } } });
+        })
+        .then(() => {
+          expect(client.items(tableName)).to.be.empty;
+          done();
+        }).catch(done);
+    });
+
+    it('tells failed conditions apart from stale versions', (done) => {
+      VersionedModel.update({ status: 'sent' }, 'user', '1', { conditions: { status: { eq: 'sent' } } })
+        .catch((err) => {
+          expect(err).to.be.an.instanceof(ConditionalCheckFailedError);
+          expect(err).not.to.be.an.instanceof(StaleItemError);
+          done();
+        }).catch(done);
+    });
+  });
+});
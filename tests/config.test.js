@@ -0,0 +1,80 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+const AWS = require('aws-sdk');
+import { configure, resetConfig, clientFor } from '../src/config';
+import { Model } from '../src/models/model';
+import { BaseModel } from '../src/models/base_model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+
+describe('config', () => {
+  class ParentModel extends Model { }
+  class ChildModel extends ParentModel { }
+
+  afterEach(() => resetConfig());
+
+  describe('#configure', () => {
+    it('builds the DocumentClient with the global settings', () => {
+      configure({ region: 'eu-west-1', endpoint: 'http://localhost:8000', timeout: 1000 });
+      const client = clientFor(Model);
+      expect(client).to.be.an.instanceof(AWS.DynamoDB.DocumentClient);
+      expect(client.options).to.have.property('region', 'eu-west-1');
+      expect(client.options).to.have.property('endpoint', 'http://localhost:8000');
+      expect(client.options).to.have.deep.property('httpOptions.timeout', 1000);
+    });
+
+    it('leaves retries to the models unless maxRetries is set', () => {
+      expect(clientFor(Model).options).to.have.property('maxRetries', 0);
+      configure({ maxRetries: 3 });
+      expect(clientFor(Model).options).to.have.property('maxRetries', 3);
+    });
+
+    it('defaults to the AWS_REGION', () => {
+      expect(BaseModel.dbConfig).to.have.property('region', process.env.AWS_REGION || 'us-east-1');
+    });
+
+    it('reuses the client between calls', () => {
+      expect(clientFor(Model)).to.equal(clientFor(Model));
+    });
+  });
+
+  describe('.configure', () => {
+    it('overrides the global settings for the model and its subclasses', () => {
+      configure({ region: 'eu-west-1' });
+      ParentModel.configure({ region: 'us-west-2' });
+      ChildModel.configure({ endpoint: 'http://localhost:8000' });
+      expect(Model.dbConfig).to.have.property('region', 'eu-west-1');
+      expect(ParentModel.dbConfig).to.have.property('region', 'us-west-2');
+      expect(ChildModel.dbConfig).to.have.property('region', 'us-west-2');
+      expect(clientFor(ChildModel).options).to.have.property('endpoint', 'http://localhost:8000');
+    });
+
+    it('uses a custom client when one is given', () => {
+      const client = new MemoryDocumentClient();
+      ParentModel.configure({ client });
+      expect(clientFor(ChildModel)).to.equal(client);
+      expect(clientFor(Model)).not.to.equal(client);
+    });
+  });
+
+  describe('.withConfig', () => {
+    it('returns a subclass bound to the given settings', () => {
+      const client = new MemoryDocumentClient();
+      const Configured = ChildModel.withConfig({ client });
+      expect(clientFor(Configured)).to.equal(client);
+      expect(Configured.prototype).to.be.an.instanceof(ChildModel);
+      expect(clientFor(ChildModel)).not.to.equal(client);
+    });
+
+    it('keeps the name of the model', () => {
+      expect(ChildModel.withConfig({ region: 'us-west-2' })).to.have.property('name', 'ChildModel');
+    });
+
+    it('reuses the subclass and its client for the same settings', () => {
+      const Configured = ChildModel.withConfig({ region: 'us-west-2' });
+      expect(ChildModel.withConfig({ region: 'us-west-2' })).to.equal(Configured);
+      expect(clientFor(ChildModel.withConfig({ region: 'us-west-2' }))).to.equal(clientFor(Configured));
+      expect(ChildModel.withConfig({ region: 'eu-west-1' })).not.to.equal(Configured);
+      expect(ParentModel.withConfig({ region: 'us-west-2' })).not.to.equal(Configured);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+import * as sinon from 'sinon';
+import { Model } from '../src/models/model';
+import { BaseModel } from '../src/models/base_model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { memoryModel } from './helpers';
+
+describe('Counts', () => {
+  const client = new MemoryDocumentClient();
+  const statuses = ['subscribed', 'subscribed', 'bounced', 'subscribed', 'unsubscribed', 'subscribed', 'subscribed'];
+
+  const CountedRecipient = memoryModel(Model, 'CountedRecipient', client, {
+    tableName: 'counted-recipients',
+    hashKey: 'listId',
+    rangeKey: 'id',
+    statusIndex: 'status-index',
+    indexes: { statusIndex: { name: 'status-index', type: 'local', rangeKey: 'status' } }
+  });
+
+  const CountedBaseRecipient = memoryModel(BaseModel, 'CountedBaseRecipient', client, {
+    tableName: CountedRecipient.tableName,
+    hashKey: 'listId',
+    rangeKey: 'id'
+  });
+
+  let querySpy;
+
+  beforeEach(() => {
+    client.createTableFor(CountedRecipient);
+    client.maxPageSize = 2;
+    const recipients = statuses.map((status, i) => ({ listId: 'list', id: `${i}`, status, email: `${i}@example.com` }))
+      .concat({ listId: 'other-list', id: '0', status: 'subscribed' });
+    return CountedRecipient.saveAll(recipients).then(() => {
+      querySpy = sinon.spy(client, 'query');
+    });
+  });
+
+  afterEach(() => {
+    client.maxPageSize = Number.MAX_SAFE_INTEGER;
+    querySpy.restore();
+  });
+
+  describe('#countBy', () => {
+    it('follows every page', (done) => {
+      CountedBaseRecipient.countBy('listId', 'list').then((count) => {
+        expect(count).to.equal(statuses.length);
+        expect(querySpy.callCount).to.equal(4);
+        expect(querySpy.firstCall.args[0]).to.have.property('Select', 'COUNT');
+        done();
+      }).catch(done);
+    });
+
+    it('counts the items matching the filters', (done) => {
+      CountedRecipient.countBy('listId', 'list', { filters: { status: { eq: 'subscribed' } } }).then((count) => {
+        expect(count).to.equal(5);
+        done();
+      }).catch(done);
+    });
+
+    it('queries the selected index', (done) => {
+      CountedRecipient.countBy('listId', 'list', { range: { eq: { status: 'subscribed' } } }).then((count) => {
+        expect(count).to.equal(5);
+        expect(querySpy.firstCall.args[0]).to.have.property('IndexName', 'status-index');
+        done();
+      }).catch(done);
+    });
+
+    it('ignores paging and projection options', (done) => {
+      CountedRecipient.countBy('listId', 'list', { limit: 1, fields: 'email', include_fields: true }).then((count) => {
+        expect(count).to.equal(statuses.length);
+        expect(querySpy.firstCall.args[0]).not.to.have.property('Limit');
+        expect(querySpy.firstCall.args[0]).not.to.have.property('ProjectionExpression');
+        done();
+      }).catch(done);
+    });
+
+    it('counts every page whatever the maxPages', (done) => {
+      CountedRecipient.countBy('listId', 'list', { maxPages: 2 }).then((count) => {
+        expect(count).to.equal(statuses.length);
+        done();
+      }).catch(done);
+    });
+  });
+
+  describe('#boundedCountBy', () => {
+    it('stops after maxPages with an approximate count', (done) => {
+      CountedRecipient.boundedCountBy('listId', 'list', { maxPages: 2 }).then((result) => {
+        expect(result).to.deep.equal({ count: 4, approximate: true });
+        expect(querySpy.callCount).to.equal(2);
+        return CountedRecipient.boundedCountBy('listId', 'list', { maxPages: 10 });
+      }).then((result) => {
+        expect(result).to.deep.equal({ count: statuses.length, approximate: false });
+        done();
+      }).catch(done);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+import base64url from 'base64-url';
+import { Model } from '../src/models/model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { encodeCursor, decodeCursor, isBackwards } from '../src/cursors';
+import { InvalidCursorError, ConfigurationError } from '../src/errors';
+import { memoryModel } from './helpers';
+
+chai.use(chaiAsPromised);
+
+describe('Cursors', () => {
+  const tableName = 'cursors-table';
+  const client = new MemoryDocumentClient();
+  const key = { userId: 'user', id: '2' };
+  const query = { key: 'userId', value: 'user', filters: { status: { eq: 'sent' } } };
+
+  const PagedModel = memoryModel(Model, 'PagedModel', client, {
+    tableName,
+    hashKey: 'userId',
+    rangeKey: 'id'
+  });
+
+  class OtherSecretModel extends PagedModel {}
+  class UnsignedModel extends PagedModel {}
+
+  const tamper = (cursor, position) => {
+    const bytes = Buffer.from(base64url.unescape(cursor), 'base64');
+    bytes[position] = bytes[position] ^ 1;
+    return base64url.escape(bytes.toString('base64'));
+  };
+
+  const decodeError = (cursor, decodeQuery = query) => {
+    try {
+      decodeCursor(PagedModel, cursor, decodeQuery);
+    } catch (err) {
+      return err;
+    }
+    return null;
+  };
+
+  before(() => {
+    PagedModel.configure({ cursorSecret: 'secret' });
+    OtherSecretModel.configure({ cursorSecret: 'another secret' });
+    UnsignedModel.configure({ cursorSecret: null });
+  });
+
+  describe('#encodeCursor', () => {
+    it('round trips keys and directions', () => {
+      const cursor = encodeCursor(PagedModel, key, query);
+      expect(cursor).to.match(/^[A-Za-z0-9_-]+$/);
+      expect(decodeCursor(PagedModel, cursor, query)).to.deep.equal({ key, backwards: false });
+      expect(isBackwards(cursor)).to.be.false;
+      expect(isBackwards(encodeCursor(PagedModel, key, query, true))).to.be.true;
+    });
+
+    it('does not depend on the order of the query attributes', () => {
+      const cursor = encodeCursor(PagedModel, key, { value: 'user', key: 'userId', filters: query.filters });
+      expect(decodeCursor(PagedModel, cursor, query).key).to.deep.equal(key);
+    });
+
+    it('requires a cursorSecret', () => {
+      expect(() => encodeCursor(UnsignedModel, key, query)).to.throw(ConfigurationError, 'UnsignedModel needs the cursorSecret setting');
+    });
+  });
+
+  describe('#decodeCursor', () => {
+    const cursor = () => encodeCursor(PagedModel, key, query);
+
+    it('rejects tampered cursors', () => {
+      const err = decodeError(tamper(cursor(), 60));
+      expect(err).to.be.an.instanceof(InvalidCursorError);
+      expect(err).to.have.property('reason', 'signature');
+      expect(err).to.have.property('model', 'PagedModel');
+    });
+
+    it('rejects flipped directions', () => {
+      expect(decodeError(tamper(cursor(), 1))).to.have.property('reason', 'signature');
+    });
+
+    it('rejects cursors signed with another secret', () => {
+      expect(decodeError(encodeCursor(OtherSecretModel, key, query))).to.have.property('reason', 'signature');
+    });
+
+    it('rejects unknown versions', () => {
+      expect(decodeError(tamper(cursor(), 0))).to.have.property('reason', 'version');
+    });
+
+    it('rejects malformed cursors', () => {
+      expect(decodeError(base64url.encode(JSON.stringify(key)))).to.have.property('reason', 'malformed');
+      expect(decodeError('-e30=')).to.have.property('reason', 'malformed');
+    });
+
+    it('rejects cursors of other queries', () => {
+      expect(decodeError(cursor(), Object.assign({}, query, { value: 'another-user' }))).to.have.property('reason', 'query');
+      expect(decodeError(cursor(), { key: 'userId', value: 'user' })).to.have.property('reason', 'query');
+    });
+
+    it('skips the query check when no query is given', () => {
+      expect(decodeCursor(PagedModel, cursor()).key).to.deep.equal(key);
+    });
+  });
+
+  describe('paginating', () => {
+    beforeEach(() => {
+      client.createTableFor(PagedModel);
+      return PagedModel.saveAll(['1', '2', '3'].map(id => ({ userId: 'user', id, status: 'sent' }))
+        .concat({ userId: 'other', id: '1', status: 'sent' }));
+    });
+
+    it('rejects cursors used with another partition', (done) => {
+      PagedModel.allBy('userId', 'user', { limit: 1 })
+        .then(result => PagedModel.allBy('userId', 'other', { limit: 1, page: result.nextPage }))
+        .catch((err) => {
+          expect(err).to.be.an.instanceof(InvalidCursorError);
+          expect(err).to.have.property('reason', 'query');
+          done();
+        }).catch(done);
+    });
+
+    it('rejects cursors used with other filters', (done) => {
+      PagedModel.allBy('userId', 'user', { limit: 1 })
+        .then(result => PagedModel.allBy('userId', 'user', { limit: 1, page: result.nextPage, filters: { status: { eq: 'draft' } } }))
+        .catch((err) => {
+          expect(err).to.have.property('reason', 'query');
+          done();
+        }).catch(done);
+    });
+
+    it('rejects scan cursors used with other filters', (done) => {
+      PagedModel.scan({ limit: 1 })
+        .then(result => PagedModel.scan({ limit: 1, page: result.nextPage, filters: { status: { eq: 'draft' } } }))
+        .catch((err) => {
+          expect(err).to.be.an.instanceof(InvalidCursorError);
+          done();
+        }).catch(done);
+    });
+
+    it('pages forwards and backwards', (done) => {
+      PagedModel.allBy('userId', 'user', { limit: 1 })
+        .then(result => PagedModel.allBy('userId', 'user', { limit: 1, page: result.nextPage }))
+        .then((result) => {
+          expect(result.items.map(item => item.id)).to.deep.equal(['2']);
+          return PagedModel.allBy('userId', 'user', { limit: 1, page: result.prevPage });
+        })
+        .then((result) => {
+          expect(result.items.map(item => item.id)).to.deep.equal(['3']);
+          done();
+        }).catch(done);
+    });
+  });
+});
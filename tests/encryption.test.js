@@ -0,0 +1,259 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+import * as sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import crypto from 'crypto';
+import { Model } from '../src/models/model';
+import { BaseModel } from '../src/models/base_model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { UpdateExpression } from '../src/update_expression';
+import { LocalKeyProvider, KmsKeyProvider } from '../src/encryption';
+import { ValidationError } from '../src/errors';
+import { memoryModel } from './helpers';
+
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+
+describe('Encryption', () => {
+  const tableName = 'encrypted-recipients';
+  const client = new MemoryDocumentClient();
+  const keyProvider = new LocalKeyProvider(crypto.randomBytes(32));
+
+  const EncryptedRecipient = memoryModel(Model, 'EncryptedRecipient', client, {
+    tableName,
+    hashKey: 'listId',
+    rangeKey: 'id',
+    indexes: {
+      emailIndex: { name: 'email-index', type: 'local', rangeKey: 'email' },
+      globalEmailIndex: { name: 'global-email-index', hashKey: 'email' }
+    },
+    encryptedAttributes: { email: { blindIndex: true }, metadata: {} }
+  });
+
+  const EncryptedBaseRecipient = memoryModel(BaseModel, 'EncryptedBaseRecipient', client, {
+    tableName,
+    hashKey: 'listId',
+    rangeKey: 'id',
+    encryptedAttributes: { email: { blindIndex: true }, metadata: {} }
+  });
+
+  const recipients = [
+    { listId: 'list', id: '1', email: 'john@example.com', metadata: { name: 'John' }, status: 'subscribed' },
+    { listId: 'list', id: '2', email: 'jane@example.com', metadata: { name: 'Jane' }, status: 'subscribed' },
+    { listId: 'list', id: '3', email: 'joe@example.org', metadata: { name: 'Joe' }, status: 'bounced' }
+  ];
+  const storedItem = id => client.items(tableName).find(item => item.id === id);
+
+  beforeEach(() => {
+    const encryption = { keyProvider, blindIndexKey: 'blind-index-secret' };
+    EncryptedRecipient.configure({ encryption });
+    EncryptedBaseRecipient.configure({ encryption });
+    client.createTableFor(EncryptedRecipient);
+    return EncryptedRecipient.saveAll(recipients);
+  });
+
+  afterEach(() => {
+    client.maxPageSize = Number.MAX_SAFE_INTEGER;
+    EncryptedRecipient.configure({ encryption: null });
+    EncryptedBaseRecipient.configure({ encryption: null });
+  });
+
+  describe('LocalKeyProvider', () => {
+    it('wraps data keys with its master key', (done) => {
+      keyProvider.generateDataKey().then((dataKey) => {
+        expect(dataKey.keyId).to.equal('local');
+        expect(dataKey.plaintext).to.have.length(32);
+        return keyProvider.decryptDataKey(dataKey.encrypted).then((plaintext) => {
+          expect(plaintext.equals(dataKey.plaintext)).to.be.true;
+          done();
+        });
+      }).catch(done);
+    });
+
+    it('rejects master keys of the wrong size', () => {
+      expect(() => new LocalKeyProvider(crypto.randomBytes(16))).to.throw('32 bytes long');
+    });
+  });
+
+  describe('KmsKeyProvider', () => {
+    it('uses the data keys of the KMS key', (done) => {
+      const plaintext = crypto.randomBytes(32);
+      const kms = {
+        generateDataKey: sinon.stub().returns({ promise: () => Promise.resolve({ KeyId: 'arn:key', Plaintext: plaintext, CiphertextBlob: Buffer.from('wrapped') }) }),
+        decrypt: sinon.stub().returns({ promise: () => Promise.resolve({ Plaintext: plaintext }) })
+      };
+      const provider = new KmsKeyProvider({ keyId: 'alias/recipients', kms });
+      provider.generateDataKey().then((dataKey) => {
+        expect(kms.generateDataKey).to.have.been.calledWith({ KeyId: 'alias/recipients', KeySpec: 'AES_256' });
+        expect(dataKey).to.include({ keyId: 'arn:key', encrypted: Buffer.from('wrapped').toString('base64') });
+        return provider.decryptDataKey(dataKey.encrypted, dataKey.keyId);
+      }).then((decrypted) => {
+        expect(kms.decrypt.firstCall.args[0].CiphertextBlob.toString()).to.equal('wrapped');
+        expect(decrypted.equals(plaintext)).to.be.true;
+        done();
+      }).catch(done);
+    });
+
+    it('reuses data keys within their age and uses', (done) => {
+      const clock = sinon.useFakeTimers(Date.now(), 'Date');
+      const kms = {
+        generateDataKey: sinon.stub().returns({ promise: () => Promise.resolve({ Plaintext: crypto.randomBytes(32), CiphertextBlob: Buffer.from('wrapped') }) })
+      };
+      const provider = new KmsKeyProvider({ keyId: 'alias/recipients', kms, dataKeyMaxAge: 1000, dataKeyMaxUses: 2 });
+      Promise.all([provider.generateDataKey(), provider.generateDataKey()])
+        .then(([first, second]) => {
+          expect(second).to.equal(first);
+          expect(kms.generateDataKey).to.have.been.calledOnce;
+          return provider.generateDataKey();
+        })
+        .then(() => {
+          expect(kms.generateDataKey).to.have.been.calledTwice;
+          clock.tick(1000);
+          return provider.generateDataKey();
+        })
+        .then(() => {
+          expect(kms.generateDataKey).to.have.been.calledThrice;
+          done();
+        }).catch(done).then(() => clock.restore());
+    });
+  });
+
+  describe('writes', () => {
+    it('store envelopes and blind indexes', () => {
+      const stored = storedItem('1');
+      expect(JSON.stringify(client.items(tableName))).not.to.contain('john');
+      expect(stored.status).to.equal('subscribed');
+      expect(stored.email).to.be.a('string');
+      expect(stored.emailEnvelope).to.include({ v: 1, keyId: 'local' });
+      expect(stored.metadata).to.include({ v: 1, keyId: 'local' });
+      expect(stored.email).not.to.equal(storedItem('2').email);
+    });
+
+    it('share a data key per call', (done) => {
+      const spy = sinon.spy(keyProvider, 'generateDataKey');
+      EncryptedRecipient.saveAll(recipients).then(() => {
+        spy.restore();
+        expect(spy).to.have.been.calledOnce;
+        done();
+      }).catch((err) => {
+        spy.restore();
+        done(err);
+      });
+    });
+
+    it('encrypt updated attributes', (done) => {
+      EncryptedRecipient.update({ email: 'johnny@example.com', metadata: null }, 'list', '1').then((updated) => {
+        expect(updated.email).to.equal('johnny@example.com');
+        expect(updated).not.to.have.property('metadata');
+        expect(JSON.stringify(storedItem('1'))).not.to.contain('johnny');
+        done();
+      }).catch(done);
+    });
+
+    it('reject update expressions setting encrypted attributes', () => {
+      const expression = new UpdateExpression().set(['metadata', 'name'], 'Johnny');
+      return expect(EncryptedRecipient.update(expression, 'list', '1')).to.be.rejectedWith(ValidationError, 'can only be updated with plain params');
+    });
+
+    it('reject update expressions setting encrypted attributes by their string path', () => {
+      const expressions = [
+        new UpdateExpression().set('email', 'plain@leak.com'),
+        new UpdateExpression().set('metadata.name', 'Johnny'),
+        new UpdateExpression().remove('metadata[0]')
+      ];
+      return Promise.all(expressions.map(expression => expect(EncryptedRecipient.update(expression, 'list', '1')).to.be.rejectedWith(ValidationError, 'can only be updated with plain params')))
+        .then(() => expect(JSON.stringify(storedItem('1'))).not.to.contain('plain@leak.com'));
+    });
+
+    it('are encrypted by base models and transactions too', (done) => {
+      EncryptedBaseRecipient.save({ listId: 'list', id: '4', email: 'ann@example.com' })
+        .then(() => EncryptedRecipient.transaction().put(EncryptedRecipient, { listId: 'list', id: '5', email: 'bob@example.com' }).commit())
+        .then(() => {
+          expect(JSON.stringify(client.items(tableName))).not.to.match(/ann|bob/);
+          return EncryptedRecipient.transactGet([{ hash: 'list', range: '4' }, { hash: 'list', range: '5' }]);
+        })
+        .then((items) => {
+          expect(items.map(item => item.email)).to.deep.equal(['ann@example.com', 'bob@example.com']);
+          done();
+        }).catch(done);
+    });
+
+    it('are left in plain text without a key provider', (done) => {
+      EncryptedRecipient.configure({ encryption: null });
+      EncryptedRecipient.save({ listId: 'list', id: '4', email: 'ann@example.com' }).then(() => {
+        expect(storedItem('4').email).to.equal('ann@example.com');
+        done();
+      }).catch(done);
+    });
+  });
+
+  describe('reads', () => {
+    it('decrypt items transparently', (done) => {
+      Promise.all([
+        EncryptedRecipient.get('list', '1'),
+        EncryptedRecipient.batchGet([['list', '2']]),
+        EncryptedRecipient.get('list', '3', { include_fields: true, fields: 'email' })
+      ]).then(([john, [jane], joe]) => {
+        expect(john).to.include({ email: 'john@example.com', status: 'subscribed' });
+        expect(john.metadata).to.deep.equal({ name: 'John' });
+        expect(john).not.to.have.property('emailEnvelope');
+        expect(jane.email).to.equal('jane@example.com');
+        expect(joe).to.deep.equal({ email: 'joe@example.org' });
+        done();
+      }).catch(done);
+    });
+
+    it('keep items written before encryption', (done) => {
+      client.put({ TableName: tableName, Item: { listId: 'list', id: '4', email: 'ann@example.com' } }, () => {
+        EncryptedRecipient.get('list', '4').then((item) => {
+          expect(item.email).to.equal('ann@example.com');
+          done();
+        }).catch(done);
+      });
+    });
+
+    it('query blind indexed attributes by equality', (done) => {
+      Promise.all([
+        EncryptedRecipient.allBy('email', 'jane@example.com', { indexName: 'global-email-index' }),
+        EncryptedRecipient.allBy('listId', 'list', { range: { eq: { email: 'joe@example.org' } } }),
+        EncryptedRecipient.countBy('email', 'jane@example.com', { indexName: 'global-email-index' })
+      ]).then(([byEmail, byRange, count]) => {
+        expect(byEmail.items.map(item => item.id)).to.deep.equal(['2']);
+        expect(byRange.items.map(item => item.id)).to.deep.equal(['3']);
+        expect(count).to.equal(1);
+        done();
+      }).catch(done);
+    });
+
+    it('filter prefixes of blind indexed attributes on the decrypted items', (done) => {
+      client.maxPageSize = 2;
+      EncryptedRecipient.allBy('listId', 'list', {
+        indexName: 'email-index',
+        range: { bw: { email: 'jo' } },
+        include_fields: true,
+        fields: 'listId,id',
+        recursive: true
+      }).then((result) => {
+        expect(result.items.map(item => item.id).sort()).to.deep.equal(['1', '3']);
+        expect(result.items[0]).not.to.have.property('email');
+        done();
+      }).catch(done);
+    });
+
+    it('page through blind indexed queries', (done) => {
+      client.maxPageSize = 1;
+      EncryptedRecipient.allBy('listId', 'list', { indexName: 'email-index', limit: 1 })
+        .then(page => EncryptedRecipient.allBy('listId', 'list', { indexName: 'email-index', limit: 1, page: page.nextPage }))
+        .then((page) => {
+          expect(page.items).to.have.length(1);
+          done();
+        }).catch(done);
+    });
+
+    it('reject counts by prefix', () => {
+      const counting = EncryptedRecipient.countBy('listId', 'list', { range: { bw: { email: 'jo' } } });
+      return expect(counting).to.be.rejectedWith(ValidationError, 'prefix of encrypted email');
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+import * as sinon from 'sinon';
+import Joi from 'joi';
+import { BaseModel } from '../src/models/base_model';
+import { ListSegment } from '../src/models/list_segment';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import {
+  ModelError,
+  ItemNotFoundError,
+  ValidationError,
+  ConditionalCheckFailedError,
+  DatabaseError,
+  ThrottlingError,
+  InvalidSegmentError,
+  ConfigurationError,
+  clientError
+} from '../src/errors';
+import { UpdateExpression } from '../src/update_expression';
+import { memoryModel } from './helpers';
+
+chai.use(chaiAsPromised);
+
+describe('Errors', () => {
+  const tableName = 'errors-table';
+  const client = new MemoryDocumentClient();
+
+  const FailingModel = memoryModel(BaseModel, 'FailingModel', client, {
+    tableName,
+    hashKey: 'userId',
+    rangeKey: 'id',
+    createSchema: Joi.object({ userId: Joi.string().required(), id: Joi.string().required(), email: Joi.string().email() }),
+    retryPolicy: { maxAttempts: 1 }
+  });
+
+  const awsError = (code) => {
+    const error = new Error(`${code} message`);
+    error.code = code;
+    return error;
+  };
+
+  beforeEach(() => client.createTableFor(FailingModel));
+
+  describe('#clientError', () => {
+    it('maps throttling errors', () => {
+      ['ProvisionedThroughputExceededException', 'ThrottlingException', 'RequestLimitExceeded'].forEach((code) => {
+        const err = clientError(FailingModel, { Key: { userId: 'user', id: '1' } }, awsError(code));
+        expect(err).to.be.an.instanceof(ThrottlingError);
+        expect(err).to.be.an.instanceof(DatabaseError);
+        expect(err).to.have.property('code', code);
+        expect(err.key).to.deep.equal({ userId: 'user', id: '1' });
+      });
+    });
+
+    it('maps failed conditions', () => {
+      const err = clientError(FailingModel, {}, awsError('ConditionalCheckFailedException'));
+      expect(err).to.be.an.instanceof(ConditionalCheckFailedError);
+    });
+
+    it('builds the key of put items', () => {
+      const err = clientError(FailingModel, { Item: { userId: 'user', id: '1', email: 'a' } }, awsError('ValidationException'));
+      expect(err).to.be.an.instanceof(DatabaseError);
+      expect(err).to.be.an.instanceof(Error);
+      expect(err).to.have.property('model', 'FailingModel');
+      expect(err.key).to.deep.equal({ userId: 'user', id: '1' });
+      expect(err.cause).to.have.property('code', 'ValidationException');
+    });
+
+    it('leaves model errors untouched', () => {
+      const err = new ItemNotFoundError({ model: 'FailingModel' });
+      expect(clientError(FailingModel, {}, err)).to.equal(err);
+    });
+  });
+
+  describe('_client', () => {
+    it('rejects with wrapped DocumentClient errors', (done) => {
+      const stub = sinon.stub(client, 'get', (params, callback) => callback(awsError('ProvisionedThroughputExceededException')));
+      FailingModel.get('user', '1').catch((err) => {
+        stub.restore();
+        expect(err).to.be.an.instanceof(ThrottlingError);
+        expect(err).to.have.deep.property('key.userId', 'user');
+        done();
+      }).catch(done);
+    });
+  });
+
+  describe('#find', () => {
+    it('rejects with an ItemNotFoundError', (done) => {
+      FailingModel.find('user', 'missing').catch((err) => {
+        expect(err).to.be.an.instanceof(ItemNotFoundError);
+        expect(err).to.be.an.instanceof(ModelError);
+        expect(err).to.have.property('model', 'FailingModel');
+        expect(err.key).to.deep.equal({ userId: 'user', id: 'missing' });
+        done();
+      }).catch(done);
+    });
+  });
+
+  describe('#validate', () => {
+    it('rejects with a ValidationError holding the Joi details', (done) => {
+      FailingModel.create({ userId: 'user', id: '1', email: 'nope' }).catch((err) => {
+        expect(err).to.be.an.instanceof(ValidationError);
+        expect(err).to.have.property('name', 'ValidationError');
+        expect(err.details.map(detail => detail.path.join('.'))).to.deep.equal(['email']);
+        expect(err.cause).to.have.property('isJoi', true);
+        done();
+      }).catch(done);
+    });
+  });
+
+  describe('invalid requests', () => {
+    const rejection = call => Promise.resolve().then(call);
+
+    it('reject with a ValidationError', () => {
+      const transaction = FailingModel.transaction();
+      for (let i = 0; i <= 100; i++) transaction.put(FailingModel, { userId: 'user', id: String(i) });
+      return Promise.all([
+        { status: { like: 'draft' } },
+        { status: { btw: [1] } },
+        { status: { in: [] } },
+        { status: { size: { like: 1 } } },
+        { or: [] },
+        { and: [{}] }
+      ].map(filters => expect(FailingModel.allBy('userId', 'user', { filters })).to.be.rejectedWith(ValidationError)).concat([
+        expect(FailingModel.scan({ filters: { status: { like: 'draft' } } })).to.be.rejectedWith(ValidationError),
+        expect(FailingModel.update(new UpdateExpression().set('tags[first', 1), 'user', '1')).to.be.rejectedWith(ValidationError),
+        expect(rejection(() => FailingModel.transaction().conditionCheck(FailingModel, 'user', '1'))).to.be.rejectedWith(ValidationError),
+        expect(transaction.commit()).to.be.rejectedWith(ValidationError, 'more than 100 operations')
+      ]));
+    });
+
+    it('reject keys left unprocessed with a DatabaseError', (done) => {
+      const stub = sinon.stub(FailingModel, '_client', (method, params) => Promise.resolve({ Responses: {}, UnprocessedKeys: params.RequestItems }));
+      FailingModel.batchGet([['user', '1']]).then(() => done(new Error('Expected a DatabaseError')), (err) => {
+        stub.restore();
+        expect(err).to.be.an.instanceof(DatabaseError);
+        expect(err).to.have.property('code', 'UnprocessedKeys');
+        done();
+      }).catch(done);
+    });
+
+    it('reject indexes without a name with a ConfigurationError', () => {
+      class UnnamedIndexModel extends FailingModel {
+        static get indexes() {
+          return { emailIndex: { hashKey: 'email' } };
+        }
+      }
+      return expect(UnnamedIndexModel.allBy('email', 'john@example.com')).to.be.rejectedWith(ConfigurationError, 'Missing name for index');
+    });
+  });
+
+  describe('ListSegment', () => {
+    it('rejects invalid segments with an InvalidSegmentError', () => {
+      const result = ListSegment.validateConditions([]);
+      return expect(result).to.be.rejectedWith(InvalidSegmentError, 'provided conditions are not valid');
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+import { Model } from '../src/models/model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { buildFilterExpression } from '../src/filters';
+import { memoryModel } from './helpers';
+
+describe('Filters', () => {
+  describe('#buildFilterExpression', () => {
+    it('generates unique placeholders for every value', () => {
+      const params = buildFilterExpression({ sentAt: { gt: 1, lt: 5 } });
+      expect(params).to.deep.equal({
+        FilterExpression: '#filter0 > :filter0 AND #filter0 < :filter1',
+        ExpressionAttributeNames: { '#filter0': 'sentAt' },
+        ExpressionAttributeValues: { ':filter0': 1, ':filter1': 5 }
+      });
+    });
+
+    it('compiles and, or and not groups', () => {
+      const params = buildFilterExpression({
+        status: { eq: 'subscribed' },
+        or: [{ source: { eq: 'api' } }, { not: { source: { exists: true } } }]
+      });
+      expect(params.FilterExpression).to.equal('#filter0 = :filter0 AND ((#filter1 = :filter1) OR (NOT (attribute_exists(#filter1))))');
+    });
+
+    it('compiles the function operands', () => {
+      const params = buildFilterExpression({
+        status: { in: ['subscribed', 'bounced'] },
+        tags: { contains: 'vip', size: { ge: 2 } },
+        email: { notContains: '+', attributeType: 'S' },
+        unsubscribedAt: { notExists: true },
+        score: { btw: [1, 10] }
+      });
+      expect(params.FilterExpression).to.equal([
+        '#filter0 IN (:filter0, :filter1)',
+        'contains(#filter1, :filter2) AND size(#filter1) >= :filter3',
+        'NOT contains(#filter2, :filter4) AND attribute_type(#filter2, :filter5)',
+        'attribute_not_exists(#filter3)',
+        '#filter4 BETWEEN :filter6 AND :filter7'
+      ].join(' AND '));
+    });
+
+    it('supports nested attribute paths', () => {
+      const params = buildFilterExpression({ 'metadata.country': { eq: 'ES' }, 'metadata.tags[0]': { eq: 'vip' } });
+      expect(params.FilterExpression).to.equal('#filter0.#filter1 = :filter0 AND #filter0.#filter2[0] = :filter1');
+      expect(params.ExpressionAttributeNames).to.deep.equal({ '#filter0': 'metadata', '#filter1': 'country', '#filter2': 'tags' });
+    });
+
+    it('omits the expression without filters', () => {
+      expect(buildFilterExpression(undefined)).to.deep.equal({});
+    });
+
+    it('throws on unknown operands and malformed values', () => {
+      expect(() => buildFilterExpression({ status: { like: 'a' } })).to.throw('Unknown operand like');
+      expect(() => buildFilterExpression({ score: { btw: 1 } })).to.throw('[from, to]');
+      expect(() => buildFilterExpression({ or: {} })).to.throw('list of filters');
+    });
+  });
+
+  describe('queries', () => {
+    const client = new MemoryDocumentClient();
+
+    const FilteredRecipient = memoryModel(Model, 'FilteredRecipient', client, {
+      tableName: 'filtered-recipients',
+      hashKey: 'listId',
+      rangeKey: 'id'
+    });
+
+    const idsMatching = filters => FilteredRecipient.allBy('listId', 'list', { filters })
+      .then(result => result.items.map(item => item.id).sort());
+
+    before(() => {
+      client.createTableFor(FilteredRecipient);
+      return Promise.all([
+        { id: '1', status: 'subscribed', metadata: { country: 'ES' }, tags: ['vip', 'new'] },
+        { id: '2', status: 'bounced', metadata: { country: 'FR' }, tags: [] },
+        { id: '3', status: 'subscribed', metadata: { country: 'FR' } }
+      ].map(recipient => FilteredRecipient.save(Object.assign({ listId: 'list' }, recipient))));
+    });
+
+    it('applies the compiled filters', (done) => {
+      Promise.all([
+        idsMatching({ 'metadata.country': { eq: 'FR' } }),
+        idsMatching({ or: [{ status: { eq: 'bounced' } }, { tags: { contains: 'vip' } }] }),
+        idsMatching({ not: { tags: { exists: true } } }),
+        idsMatching({ tags: { size: { gt: 0 } }, status: { in: ['subscribed', 'bounced'] } })
+      ]).then((results) => {
+        expect(results).to.deep.equal([['2', '3'], ['1', '2'], ['3'], ['1']]);
+        done();
+      }).catch(done);
+    });
+  });
+});
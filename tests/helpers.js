@@ -0,0 +1,26 @@
+import { configure } from '../src/config';
+
+// Paged reads sign their cursors, so every test runs with a cursorSecret,
+// configured again as some tests reset the configuration
+const cursorSecret = 'test-cursor-secret';
+beforeEach(() => configure({ cursorSecret }));
+
+// Throwaway models for the tests, keeping their items in the given
+// MemoryDocumentClient and declared by the values of their static getters:
+//   memoryModel(Model, 'Link', client, { tableName: 'links', hashKey: 'campaignId' })
+function memoryModel(parent, name, client, getters = {}) {
+  class MemoryModel extends parent {
+    static _db() {
+      return client;
+    }
+  }
+  Object.defineProperty(MemoryModel, 'name', { value: name });
+  Object.keys(getters).forEach((getter) => {
+    Object.defineProperty(MemoryModel, getter, { get: () => getters[getter] });
+  });
+  return MemoryModel;
+}
+
+module.exports = {
+  memoryModel
+};
@@ -0,0 +1,215 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+import Joi from 'joi';
+import { Model } from '../src/models/model';
+import { BaseModel } from '../src/models/base_model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { addHook, runHooks } from '../src/hooks';
+import { memoryModel } from './helpers';
+
+chai.use(chaiAsPromised);
+
+describe('Lifecycle hooks', () => {
+  const tableName = 'hooked-table';
+  const client = new MemoryDocumentClient();
+  let calls;
+
+  const HookedModel = memoryModel(Model, 'HookedModel', client, {
+    tableName,
+    hashKey: 'userId',
+    rangeKey: 'id'
+  });
+
+  const HookedBaseModel = memoryModel(BaseModel, 'HookedBaseModel', client, {
+    tableName,
+    hashKey: 'userId',
+    rangeKey: 'id',
+    createSchema: Joi.object({ userId: Joi.string(), id: Joi.string(), email: Joi.string().email() }),
+    updateSchema: Joi.object({ email: Joi.string().email() })
+  });
+
+  const record = name => (payload, context) => {
+    calls.push({ name, payload: JSON.parse(JSON.stringify(payload)), context });
+  };
+
+  beforeEach(() => {
+    calls = [];
+    client.createTableFor(HookedModel);
+  });
+
+  describe('#runHooks', () => {
+    it('throws on unknown events', () => {
+      expect(() => addHook(HookedModel, 'beforeEverything', () => null)).to.throw('Unknown hook beforeEverything');
+    });
+
+    it('resolves to the payload when there are no hooks', () => {
+      return expect(runHooks(class extends HookedModel {}, 'beforeSave', { id: '1' })).to.eventually.deep.equal({ id: '1' });
+    });
+  });
+
+  describe('#save', () => {
+    class SavedModel extends HookedModel {}
+
+    before(() => {
+      SavedModel.addHook('beforeSave', record('beforeSave'))
+        .addHook('afterSave', record('afterSave'))
+        .addHook('beforeSave', (item) => {
+          item.slug = item.name.toLowerCase();
+        });
+    });
+
+    it('runs the hooks in order around the write', (done) => {
+      SavedModel.save({ userId: 'user', id: '1', name: 'Hello' })
+        .then(() => {
+          expect(calls.map(call => call.name)).to.deep.equal(['beforeSave', 'afterSave']);
+          expect(calls[0].context).to.have.property('operation', 'save');
+          expect(calls[0].context).to.have.property('model', SavedModel);
+          expect(calls[1].payload).to.have.property('slug', 'hello');
+          return SavedModel.get('user', '1');
+        })
+        .then((item) => {
+          expect(item).to.have.property('slug', 'hello');
+          done();
+        }).catch(done);
+    });
+
+    it('runs the hooks for every item of saveAll', (done) => {
+      SavedModel.saveAll([{ userId: 'user', id: '2', name: 'A' }, { userId: 'user', id: '3', name: 'B' }])
+        .then(() => {
+          expect(calls.filter(call => call.name === 'afterSave')).to.have.length(2);
+          return SavedModel.get('user', '3');
+        })
+        .then((item) => {
+          expect(item).to.have.property('slug', 'b');
+          done();
+        }).catch(done);
+    });
+  });
+
+  describe('aborting', () => {
+    class GuardedModel extends HookedModel {}
+
+    before(() => {
+      GuardedModel.addHook('beforeSave', (item) => {
+        if (!item.name) throw new Error('name is required');
+      });
+      GuardedModel.addHook('beforeDelete', () => Promise.reject(new Error('deletes are disabled')));
+    });
+
+    it('does not write when a before hook throws', (done) => {
+      GuardedModel.save({ userId: 'user', id: '1' }).catch((err) => {
+        expect(err).to.have.property('message', 'name is required');
+        expect(client.items(tableName)).to.be.empty;
+        done();
+      }).catch(done);
+    });
+
+    it('does not write when a before hook rejects', (done) => {
+      GuardedModel.save({ userId: 'user', id: '1', name: 'A' })
+        .then(() => GuardedModel.delete('user', '1'))
+        .catch((err) => {
+          expect(err).to.have.property('message', 'deletes are disabled');
+          expect(client.items(tableName)).to.have.length(1);
+          done();
+        }).catch(done);
+    });
+  });
+
+  describe('inheritance', () => {
+    class ParentModel extends HookedModel {}
+    class ChildModel extends ParentModel {}
+    const parentHook = record('parent');
+
+    before(() => {
+      ParentModel.addHook('beforeSave', parentHook);
+      ChildModel.addHook('beforeSave', record('child'));
+    });
+
+    it('runs the parent hooks first', (done) => {
+      ChildModel.save({ userId: 'user', id: '1' })
+        .then(() => {
+          expect(calls.map(call => call.name)).to.deep.equal(['parent', 'child']);
+          done();
+        }).catch(done);
+    });
+
+    it('does not run subclass hooks on the parent', (done) => {
+      ParentModel.save({ userId: 'user', id: '1' })
+        .then(() => {
+          expect(calls.map(call => call.name)).to.deep.equal(['parent']);
+          done();
+        }).catch(done);
+    });
+
+    it('unregisters hooks with removeHook', (done) => {
+      ParentModel.removeHook('beforeSave', parentHook);
+      ChildModel.save({ userId: 'user', id: '1' })
+        .then(() => {
+          expect(calls.map(call => call.name)).to.deep.equal(['child']);
+          done();
+        }).catch(done);
+    });
+  });
+
+  describe('#update', () => {
+    class UpdatedBaseModel extends HookedBaseModel {}
+
+    before(() => {
+      UpdatedBaseModel.addHook('beforeValidate', params => Object.assign({}, params, { email: params.email.trim() }))
+        .addHook('beforeUpdate', record('beforeUpdate'))
+        .addHook('afterUpdate', record('afterUpdate'));
+    });
+
+    it('runs beforeValidate before the schema validation', (done) => {
+      UpdatedBaseModel.update({ email: '  david@example.com ' }, 'user', '1', { upsert: true })
+        .then((item) => {
+          expect(item).to.have.property('email', 'david@example.com');
+          expect(calls.map(call => call.name)).to.deep.equal(['beforeUpdate', 'afterUpdate']);
+          expect(calls[0].context.key).to.deep.equal({ userId: 'user', id: '1' });
+          expect(calls[1].context).to.have.deep.property('result.email', 'david@example.com');
+          done();
+        }).catch(done);
+    });
+
+    it('runs beforeValidate on create', (done) => {
+      UpdatedBaseModel.create({ userId: 'user', id: '1', email: ' david@example.com' })
+        .then((item) => {
+          expect(item).to.have.property('email', 'david@example.com');
+          done();
+        }).catch(done);
+    });
+
+    it('validates the payload returned by the hooks', () => {
+      const result = UpdatedBaseModel.update({ email: 'not an email' }, 'user', '1', { upsert: true });
+      return expect(result).to.be.rejectedWith(/email/);
+    });
+  });
+
+  describe('#increment and #delete', () => {
+    class CountedModel extends HookedModel {}
+
+    before(() => {
+      CountedModel.addHook('beforeIncrement', increments => Object.assign({ total: increments.opens }, increments))
+        .addHook('afterDelete', record('afterDelete'));
+    });
+
+    it('lets beforeIncrement change the increments', (done) => {
+      CountedModel.increment('opens', 2, 'user', '1')
+        .then(() => CountedModel.get('user', '1'))
+        .then((item) => {
+          expect(item).to.have.property('opens', 2);
+          expect(item).to.have.property('total', 2);
+          done();
+        }).catch(done);
+    });
+
+    it('passes the key to the delete hooks', (done) => {
+      CountedModel.delete('user', '1')
+        .then(() => {
+          expect(calls[0].payload).to.deep.equal({ userId: 'user', id: '1' });
+          done();
+        }).catch(done);
+    });
+  });
+});
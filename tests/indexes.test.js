@@ -0,0 +1,112 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+import { Model } from '../src/models/model';
+import { BaseModel } from '../src/models/base_model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { queryIndex, itemKey } from '../src/indexes';
+import { IndexNotFoundError } from '../src/errors';
+import { memoryModel } from './helpers';
+
+chai.use(chaiAsPromised);
+
+describe('Index selection', () => {
+  const tableName = 'indexed-table';
+  const client = new MemoryDocumentClient();
+
+  const Subscriber = memoryModel(Model, 'Subscriber', client, {
+    tableName,
+    hashKey: 'listId',
+    rangeKey: 'id',
+    indexes: {
+      emailIndex: { name: 'email-index', type: 'local', rangeKey: 'email' },
+      globalEmailIndex: { name: 'global-email-index', hashKey: 'email' },
+      statusIndex: { name: 'status-index', hashKey: 'status', rangeKey: 'createdAt' }
+    }
+  });
+
+  const BaseSubscriber = memoryModel(BaseModel, 'BaseSubscriber', client, {
+    tableName,
+    hashKey: 'listId',
+    rangeKey: 'id',
+    indexes: Subscriber.indexes
+  });
+
+  describe('#queryIndex', () => {
+    it('uses the table for its own keys', () => {
+      expect(queryIndex(Subscriber, 'listId')).to.have.property('name', undefined);
+      expect(queryIndex(Subscriber, null, { range: { bw: { id: 'a' } } })).to.have.property('name', undefined);
+    });
+
+    it('picks the index matching the hash and range keys', () => {
+      expect(queryIndex(Subscriber, 'listId', { range: { bw: { email: 'a' } } })).to.have.property('name', 'email-index');
+      expect(queryIndex(Subscriber, 'email')).to.have.property('name', 'global-email-index');
+      expect(queryIndex(Subscriber, 'status', { range: { gt: { createdAt: 1 } } })).to.have.property('name', 'status-index');
+    });
+
+    it('keeps an explicit indexName', () => {
+      expect(queryIndex(Subscriber, 'email', { indexName: 'other-index' })).to.deep.equal({
+        name: 'other-index',
+        hashKey: 'email',
+        rangeKey: null
+      });
+    });
+
+    it('throws when no index supports the query', () => {
+      expect(() => queryIndex(Subscriber, 'status', { range: { eq: { email: 'a' } } }))
+        .to.throw(IndexNotFoundError, 'No Subscriber index can be queried by status and email');
+    });
+
+    it('does not check models without declared indexes', () => {
+      expect(queryIndex(Model, 'anything')).to.deep.equal({ name: undefined, hashKey: 'anything', rangeKey: null });
+    });
+  });
+
+  describe('#itemKey', () => {
+    it('holds the table and index keys', () => {
+      const item = { listId: 'list', id: '1', email: 'a@example.com', name: 'A' };
+      const index = queryIndex(Subscriber, 'email');
+      expect(itemKey(Subscriber, item, index)).to.deep.equal({ listId: 'list', id: '1', email: 'a@example.com' });
+    });
+  });
+
+  describe('#allBy', () => {
+    beforeEach(() => {
+      client.createTableFor(Subscriber);
+      return Subscriber.saveAll([
+        { listId: 'list-1', id: '1', email: 'shared@example.com', status: 'subscribed' },
+        { listId: 'list-2', id: '2', email: 'shared@example.com', status: 'subscribed' },
+        { listId: 'list-3', id: '3', email: 'shared@example.com', status: 'bounced' },
+        { listId: 'list-1', id: '4', email: 'other@example.com', status: 'subscribed' }
+      ]);
+    });
+
+    it('queries the selected index', (done) => {
+      Subscriber.allBy('email', 'shared@example.com').then((result) => {
+        expect(result.items.map(item => item.id).sort()).to.deep.equal(['1', '2', '3']);
+        done();
+      }).catch(done);
+    });
+
+    [Subscriber, BaseSubscriber].forEach((model) => {
+      it(`paginates over global indexes with ${model.name}`, (done) => {
+        const ids = [];
+        model.allBy('email', 'shared@example.com', { limit: 2 })
+          .then((result) => {
+            result.items.forEach(item => ids.push(item.id));
+            expect(model.lastEvaluatedKey(result.nextPage)).to.have.property('email', 'shared@example.com');
+            return model.allBy('email', 'shared@example.com', { limit: 2, page: result.nextPage });
+          })
+          .then((result) => {
+            result.items.forEach(item => ids.push(item.id));
+            expect(ids.sort()).to.deep.equal(['1', '2', '3']);
+            done();
+          }).catch(done);
+      });
+    });
+
+    it('rejects queries no index supports', () => {
+      return expect(BaseSubscriber.allBy('name', 'A')).to.be.rejectedWith(IndexNotFoundError);
+    });
+  });
+});
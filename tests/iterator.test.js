@@ -0,0 +1,130 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+import * as sinon from 'sinon';
+import { Model } from '../src/models/model';
+import { BaseModel } from '../src/models/base_model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { memoryModel } from './helpers';
+
+describe('Iterating over queries', () => {
+  const client = new MemoryDocumentClient({ maxPageSize: 2 });
+
+  const IteratedRecipient = memoryModel(Model, 'IteratedRecipient', client, {
+    tableName: 'iterated-recipients',
+    hashKey: 'listId',
+    rangeKey: 'id'
+  });
+
+  const IteratedBaseRecipient = memoryModel(BaseModel, 'IteratedBaseRecipient', client, {
+    tableName: 'iterated-recipients',
+    hashKey: 'listId',
+    rangeKey: 'id'
+  });
+
+  const collect = (iterator, items = []) => iterator.next().then((result) => {
+    if (result.done) return items;
+    return collect(iterator, items.concat(result.value));
+  });
+
+  let querySpy;
+
+  beforeEach(() => {
+    client.createTableFor(IteratedRecipient);
+    const recipients = ['a', 'b', 'c', 'd', 'e'].map((id, i) => {
+      return IteratedRecipient.save({ listId: 'list', id, status: i % 2 === 0 ? 'subscribed' : 'bounced' });
+    });
+    return Promise.all(recipients).then(() => {
+      querySpy = sinon.spy(client, 'query');
+    });
+  });
+
+  afterEach(() => querySpy.restore());
+
+  describe('#iterateBy', () => {
+    it('yields every item across pages', (done) => {
+      collect(IteratedRecipient.iterateBy('listId', 'list')).then((items) => {
+        expect(items.map(item => item.id)).to.deep.equal(['e', 'd', 'c', 'b', 'a']);
+        expect(querySpy).to.have.been.calledThrice;
+        done();
+      }).catch(done);
+    });
+
+    it('fetches pages lazily', (done) => {
+      const iterator = IteratedRecipient.iterateBy('listId', 'list');
+      iterator.next()
+        .then((result) => {
+          expect(result).to.deep.equal({ value: result.value, done: false });
+          expect(querySpy).to.have.been.calledOnce;
+          return iterator.next();
+        })
+        .then(() => {
+          expect(querySpy).to.have.been.calledOnce;
+          return iterator.next();
+        })
+        .then(() => {
+          expect(querySpy).to.have.been.calledTwice;
+          done();
+        }).catch(done);
+    });
+
+    it('applies filters and caps the items with limit', (done) => {
+      const options = { filters: { status: { eq: 'subscribed' } }, limit: 2 };
+      collect(IteratedBaseRecipient.iterateBy('listId', 'list', options)).then((items) => {
+        expect(items.map(item => item.id)).to.deep.equal(['e', 'c']);
+        done();
+      }).catch(done);
+    });
+
+    it('stops fetching when returned early', (done) => {
+      const iterator = IteratedRecipient.iterateBy('listId', 'list');
+      iterator.next()
+        .then(() => iterator.return())
+        .then(() => iterator.next())
+        .then((result) => {
+          expect(result.done).to.be.true;
+          expect(querySpy).to.have.been.calledOnce;
+          done();
+        }).catch(done);
+    });
+
+    it('is an async iterable', () => {
+      const iterator = IteratedRecipient.iterateBy('listId', 'list');
+      expect(iterator[Symbol.asyncIterator]()).to.equal(iterator);
+    });
+  });
+
+  describe('#streamBy', () => {
+    it('streams every item', (done) => {
+      const ids = [];
+      IteratedRecipient.streamBy('listId', 'list', { pageSize: 3 })
+        .on('data', item => ids.push(item.id))
+        .on('error', done)
+        .on('end', () => {
+          expect(ids).to.deep.equal(['e', 'd', 'c', 'b', 'a']);
+          done();
+        });
+    });
+
+    it('only fetches the pages that are read', (done) => {
+      const stream = IteratedRecipient.streamBy('listId', 'list', { highWaterMark: 1 });
+      stream.once('readable', () => {
+        setTimeout(() => {
+          expect(querySpy).to.have.been.calledOnce;
+          stream.destroy();
+          done();
+        }, 20);
+      });
+    });
+
+    it('emits query errors', (done) => {
+      querySpy.restore();
+      querySpy = sinon.stub(client, 'query', (params, callback) => callback(new Error('Throttled')));
+      IteratedRecipient.streamBy('listId', 'list')
+        .on('error', (err) => {
+          expect(err).to.have.deep.property('cause.message', 'Throttled');
+          done();
+        })
+        .resume();
+    });
+  });
+});
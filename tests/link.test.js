@@ -27,8 +27,10 @@ describe('Link', () => {
         expect(args[0]).to.equal('update');
         expect(args[1]).to.have.deep.property('Key.id', campaignId);
         expect(args[1]).to.have.property('TableName', tableName);
-        expect(args[1]).to.have.deep.property('AttributeUpdates.opensCount.Action', 'ADD');
-        expect(args[1]).to.have.deep.property('AttributeUpdates.opensCount.Value', count);
+        expect(args[1]).to.have.property('UpdateExpression', 'SET #u0 = :u0 ADD #u1 :u1');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u0', 'updatedAt');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u1', 'opensCount');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeValues.:u1', count);
         done();
       });
     });
@@ -42,9 +44,9 @@ describe('Link', () => {
         expect(args[0]).to.equal('update');
         expect(args[1]).to.have.deep.property('Key.id', campaignId);
         expect(args[1]).to.have.property('TableName', tableName);
-        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#linkId', linkId);
-        expect(args[1].ExpressionAttributeValues).to.have.property(':clicksCount', count);
-        expect(args[1]).to.have.property('UpdateExpression', 'ADD #linksList.#linkId.#attrName :clicksCount');
+        expect(args[1].ExpressionAttributeNames).to.deep.equal({ '#u0': 'updatedAt', '#u1': 'links', '#u2': linkId, '#u3': 'clicksCount' });
+        expect(args[1].ExpressionAttributeValues).to.have.property(':u1', count);
+        expect(args[1]).to.have.property('UpdateExpression', 'SET #u0 = :u0 ADD #u1.#u2.#u3 :u1');
         done();
       });
     });
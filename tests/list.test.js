@@ -65,12 +65,13 @@ describe('List', () => {
         expect(args[1]).to.have.deep.property(`Key.${listHashKey}`, userId);
         expect(args[1]).to.have.deep.property(`Key.${listRangeKey}`, listId);
         expect(args[1]).to.have.property('TableName', tableName);
-        expect(args[1]).to.have.property('UpdateExpression', 'SET #importStatus.#file = :newStatus');
+        expect(args[1]).to.have.property('UpdateExpression', 'SET #u0.#u1 = :u0, #u2 = :u1');
         expect(args[1].ExpressionAttributeNames).to.deep.equals({
-          '#importStatus': 'importStatus',
-          '#file': 'some-file.csv'
+          '#u0': 'importStatus',
+          '#u1': 'some-file.csv',
+          '#u2': 'updatedAt'
         });
-        expect(args[1].ExpressionAttributeValues).to.deep.equals({ ':newStatus': { some: 'data' } });
+        expect(args[1].ExpressionAttributeValues[':u0']).to.deep.equal({ some: 'data' });
         done();
       });
     });
@@ -84,15 +85,16 @@ describe('List', () => {
         expect(args[1]).to.have.deep.property(`Key.${listHashKey}`, userId);
         expect(args[1]).to.have.deep.property(`Key.${listRangeKey}`, listId);
         expect(args[1].TableName).to.equals(tableName);
-        expect(args[1]).to.have.property('UpdateExpression', 'SET #importStatus.#file.#status = :newStatus, #importStatus.#file.#dateField = :newDate, #importStatus.#file.#importing = :importingValue');
+        expect(args[1]).to.have.property('UpdateExpression', 'SET #u0.#u1.#u2 = :u0, #u0.#u1.#u3 = :u1, #u0.#u1.#u4 = :u2, #u5 = :u3');
         expect(args[1].ExpressionAttributeNames).to.deep.equals({
-          '#importStatus': 'importStatus',
-          '#file': 'some-file.csv',
-          '#status': 'status',
-          '#dateField': 'finishedAt',
-          '#importing': 'importing'
+          '#u0': 'importStatus',
+          '#u1': 'some-file.csv',
+          '#u2': 'status',
+          '#u3': 'finishedAt',
+          '#u4': 'importing',
+          '#u5': 'updatedAt'
         });
-        expect(args[1].ExpressionAttributeValues).to.deep.equals({ ':newStatus': 'failed', ':newDate': '9898789798', ':importingValue': true });
+        expect(args[1].ExpressionAttributeValues).to.include({ ':u0': 'failed', ':u1': '9898789798', ':u2': true });
         done();
       });
     });
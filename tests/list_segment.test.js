@@ -4,6 +4,7 @@ const chaiAsPromised = require('chai-as-promised');
 import * as sinon from 'sinon';
 import * as sinonAsPromised from 'sinon-as-promised';
 import { ListSegment } from '../src/models/list_segment';
+import { InvalidSegmentError } from '../src/errors';
 
 chai.use(chaiAsPromised);
 
@@ -34,7 +35,8 @@ describe('ListSegment', () => {
     context('when the item is not valid', () => {
       it('rejects and returns', (done) => {
         ListSegment.save({ listId: '1', id: '2' }).catch((err) => {
-          expect(err).to.exist;
+          expect(err).to.be.an.instanceof(InvalidSegmentError);
+          expect(err).to.have.property('type', 'InvalidSegment');
           expect(ListSegment._client).not.to.have.been.called;
           done();
         });
@@ -69,7 +71,8 @@ describe('ListSegment', () => {
     context('when the conditions are invalid', () => {
       it('rejects and returns', (done) => {
         ListSegment.update({ conditions: [] }, hashKey, rangeKey).catch((err) => {
-          expect(err).to.exist;
+          expect(err).to.be.an.instanceof(InvalidSegmentError);
+          expect(err).to.have.property('type', 'InvalidConditions');
           expect(ListSegment._client).not.to.have.been.called;
           done();
         });
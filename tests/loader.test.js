@@ -0,0 +1,142 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+import * as sinon from 'sinon';
+import { Model } from '../src/models/model';
+import { BaseModel } from '../src/models/base_model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { Loader } from '../src/loader';
+import { memoryModel } from './helpers';
+
+chai.use(chaiAsPromised);
+
+describe('Loader', () => {
+  const client = new MemoryDocumentClient();
+
+  const LoadedSender = memoryModel(Model, 'LoadedSender', client, {
+    tableName: 'loaded-senders',
+    hashKey: 'userId',
+    rangeKey: 'id'
+  });
+
+  const LoadedTemplate = memoryModel(BaseModel, 'LoadedTemplate', client, {
+    tableName: 'loaded-templates',
+    hashKey: 'id'
+  });
+
+  let loader;
+  let batchGetSpy;
+  let getSpy;
+
+  beforeEach(() => {
+    client.createTableFor(LoadedSender).createTableFor(LoadedTemplate);
+    loader = new Loader();
+    return Promise.all([
+      LoadedSender.saveAll([{ userId: 'user', id: '1' }, { userId: 'user', id: '2' }]),
+      LoadedTemplate.save({ id: 'template', body: 'Hi' })
+    ]).then(() => {
+      batchGetSpy = sinon.spy(client, 'batchGet');
+      getSpy = sinon.spy(client, 'get');
+    });
+  });
+
+  afterEach(() => {
+    batchGetSpy.restore();
+    getSpy.restore();
+  });
+
+  describe('#get', () => {
+    it('coalesces the gets of a tick in a batch per table', (done) => {
+      Promise.all([
+        loader.get(LoadedSender, 'user', '1'),
+        loader.get(LoadedSender, 'user', '2'),
+        loader.get(LoadedSender, 'user', '1'),
+        loader.get(LoadedTemplate, 'template')
+      ]).then((items) => {
+        expect(items.map(item => item.id)).to.deep.equal(['1', '2', '1', 'template']);
+        expect(batchGetSpy.callCount).to.equal(2);
+        expect(getSpy.callCount).to.equal(0);
+        const senderKeys = batchGetSpy.args.map(args => args[0].RequestItems['loaded-senders']).filter(keys => !!keys)[0].Keys;
+        expect(senderKeys).to.have.length(2);
+        done();
+      }).catch(done);
+    });
+
+    it('batches the models configured for other clients apart', (done) => {
+      class RegionalSender extends Model {
+        static get tableName() {
+          return 'loaded-senders';
+        }
+
+        static get hashKey() {
+          return 'userId';
+        }
+
+        static get rangeKey() {
+          return 'id';
+        }
+      }
+      const otherClient = new MemoryDocumentClient().createTableFor(RegionalSender);
+      const LocalSender = RegionalSender.withConfig({ client });
+      const OtherSender = RegionalSender.withConfig({ client: otherClient });
+      OtherSender.save({ userId: 'user', id: '1', region: 'other' })
+        .then(() => Promise.all([loader.get(LocalSender, 'user', '1'), loader.get(OtherSender, 'user', '1')]))
+        .then(([local, other]) => {
+          expect(local).not.to.have.property('region');
+          expect(other).to.have.property('region', 'other');
+          expect(batchGetSpy.callCount).to.equal(1);
+          done();
+        }).catch(done);
+    });
+
+    it('resolves misses to empty objects', (done) => {
+      Promise.all([loader.get(LoadedSender, 'user', 'missing'), loader.get(LoadedSender, 'user', '2')]).then((items) => {
+        expect(items[0]).to.deep.equal({});
+        expect(items[1]).to.have.property('id', '2');
+        done();
+      }).catch(done);
+    });
+
+    it('collects gets made from callbacks of the same tick', (done) => {
+      const first = loader.get(LoadedSender, 'user', '1');
+      Promise.resolve().then(() => loader.get(LoadedSender, 'user', '2'))
+        .then(second => Promise.all([first, second]))
+        .then(() => {
+          expect(batchGetSpy.callCount).to.equal(1);
+          done();
+        }).catch(done);
+    });
+
+    it('memoizes the items it loaded until they are cleared', (done) => {
+      loader.get(LoadedSender, 'user', '1')
+        .then(() => loader.get(LoadedSender, 'user', '1'))
+        .then(() => {
+          expect(batchGetSpy.callCount).to.equal(1);
+          return loader.clear(LoadedSender, 'user', '1').get(LoadedSender, 'user', '1');
+        })
+        .then(() => loader.getAll(LoadedSender, [['user', '1'], ['user', '2']]))
+        .then((items) => {
+          expect(items.map(item => item.id)).to.deep.equal(['1', '2']);
+          expect(batchGetSpy.callCount).to.equal(3);
+          done();
+        }).catch(done);
+    });
+
+    it('rejects every get of a failed batch and forgets them', (done) => {
+      const batchGetStub = sinon.stub(LoadedSender, 'batchGet').returns(Promise.reject(new Error('Failed')));
+      const gets = [loader.get(LoadedSender, 'user', '1'), loader.get(LoadedSender, 'user', '2')];
+      Promise.all(gets.map(get => expect(get).to.be.rejectedWith('Failed')))
+        .then(() => {
+          batchGetStub.restore();
+          return loader.get(LoadedSender, 'user', '1');
+        })
+        .then((item) => {
+          expect(item).to.have.property('id', '1');
+          done();
+        }).catch((err) => {
+          batchGetStub.restore();
+          done(err);
+        });
+    });
+  });
+});
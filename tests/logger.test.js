@@ -0,0 +1,112 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+import * as sinon from 'sinon';
+import { Model } from '../src/models/model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { configureLogger, resetLogger, logger, logFor } from '../src/logger';
+import { memoryModel } from './helpers';
+
+describe('Logger', () => {
+  const client = new MemoryDocumentClient();
+  let entries;
+
+  const LoggedRecipient = memoryModel(Model, 'LoggedRecipient', client, {
+    tableName: 'logged-recipients',
+    hashKey: 'listId',
+    rangeKey: 'id'
+  });
+
+  beforeEach(() => {
+    entries = [];
+    configureLogger({ level: 'debug', transport: entry => entries.push(entry) });
+  });
+
+  afterEach(() => {
+    resetLogger();
+  });
+
+  it('writes structured entries at or above the level', () => {
+    configureLogger({ level: 'info' });
+    logger.debug('Hidden');
+    logger.info('Shown', { count: 2 });
+    logger.error('Failed');
+    expect(entries.map(entry => entry.level)).to.deep.equal(['info', 'error']);
+    expect(entries[0]).to.include({ message: 'Shown', count: 2 });
+    expect(new Date(entries[0].time).getTime()).not.to.be.NaN;
+  });
+
+  it('rejects unknown levels', () => {
+    expect(() => configureLogger({ level: 'verbose' })).to.throw('Unknown log level verbose');
+  });
+
+  it('adds the bindings of the logger and its children', () => {
+    const log = logFor(LoggedRecipient, 'get', { listId: 'list', id: '1' });
+    log.child({ requestId: 'request' }).debug('Getting item');
+    expect(entries[0]).to.include({ model: 'LoggedRecipient', operation: 'get', requestId: 'request' });
+    expect(entries[0].key).to.deep.equal({ listId: 'list', id: '1' });
+  });
+
+  it('redacts the configured attributes and email addresses', () => {
+    logger.debug('Saving', {
+      item: { id: '1', email: 'john@example.com', metadata: { name: 'John' }, body: 'Hi John', status: 'subscribed' },
+      params: { ExpressionAttributeValues: { ':hvalue': 'Contact: john@example.com' } }
+    });
+    expect(entries[0].item).to.deep.equal({
+      id: '1',
+      email: '[REDACTED]',
+      metadata: '[REDACTED]',
+      body: '[REDACTED]',
+      status: 'subscribed'
+    });
+    expect(entries[0].params.ExpressionAttributeValues[':hvalue']).to.equal('Contact: [REDACTED]');
+    configureLogger({ redact: ['status'] });
+    logger.debug('Saving', { item: { email: 'john@example.com', status: 'subscribed' } });
+    expect(entries[1].item).to.deep.equal({ email: '[REDACTED]', status: '[REDACTED]' });
+  });
+
+  it('redacts the expression values of the configured attributes', () => {
+    logger.debug('Updating', {
+      params: {
+        UpdateExpression: 'SET #u0.#u1 = :u0, #u2 = :u1 ADD #u3 :u2',
+        ConditionExpression: '(begins_with(#cond0, :cond0)) AND (#cond1 BETWEEN :cond1 AND :cond2)',
+        ExpressionAttributeNames: { '#u0': 'metadata', '#u1': 'name', '#u2': 'status', '#u3': 'count', '#cond0': 'email', '#cond1': 'createdAt' },
+        ExpressionAttributeValues: { ':u0': 'John Secretname', ':u1': 'subscribed', ':u2': 1, ':cond0': 'john', ':cond1': 1, ':cond2': 2 }
+      }
+    });
+    expect(entries[0].params.ExpressionAttributeValues).to.deep.equal({
+      ':u0': '[REDACTED]',
+      ':u1': 'subscribed',
+      ':u2': 1,
+      ':cond0': '[REDACTED]',
+      ':cond1': 1,
+      ':cond2': 2
+    });
+  });
+
+  it('survives failing transports', () => {
+    const consoleStub = sinon.stub(console, 'log');
+    configureLogger({ transport: () => { throw new Error('Full'); } });
+    try {
+      expect(() => logger.error('Failed')).not.to.throw();
+      expect(JSON.parse(consoleStub.firstCall.args[0])).to.have.property('message', 'Failing log transport');
+    } finally {
+      consoleStub.restore();
+    }
+  });
+
+  it('logs model calls with their context', (done) => {
+    client.createTableFor(LoggedRecipient);
+    LoggedRecipient.save({ listId: 'list', id: '1', email: 'john@example.com' }).then(() => {
+      const saving = entries.find(entry => entry.operation === 'save');
+      expect(saving).to.include({ model: 'LoggedRecipient', message: 'Saving item' });
+      expect(saving.key).to.deep.equal({ listId: 'list', id: '1' });
+      expect(saving.item.email).to.equal('[REDACTED]');
+      expect(entries.find(entry => entry.operation === 'put')).to.have.property('message', 'Sending request');
+      expect(JSON.stringify(entries)).not.to.contain('john@example.com');
+      return LoggedRecipient.update({ metadata: { name: 'John Secretname' } }, 'list', '1');
+    }).then(() => {
+      expect(JSON.stringify(entries)).not.to.contain('Secretname');
+      done();
+    }).catch(done);
+  });
+});
@@ -0,0 +1,381 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+import * as sinon from 'sinon';
+import moment from 'moment';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { Model } from '../src/models/model';
+import { Campaign } from '../src/models/campaign';
+import './helpers';
+
+chai.use(chaiAsPromised);
+
+function call(client, method, params) {
+  return new Promise((resolve, reject) => {
+    client[method](params, (err, data) => (err ? reject(err) : resolve(data)));
+  });
+}
+
+describe('MemoryDocumentClient', () => {
+  const tableName = 'items-table';
+  const indexName = 'status-index';
+  let client;
+
+  beforeEach(() => {
+    client = new MemoryDocumentClient({
+      tables: {
+        [tableName]: {
+          hashKey: 'userId',
+          rangeKey: 'id',
+          indexes: { [indexName]: { hashKey: 'status', rangeKey: 'createdAt' } }
+        }
+      }
+    });
+  });
+
+  describe('#put and #get', () => {
+    it('stores and returns a copy of the item', (done) => {
+      const item = { userId: 'user', id: '1', status: 'draft', meta: { tags: ['a'] } };
+      call(client, 'put', { TableName: tableName, Item: item })
+        .then(() => call(client, 'get', { TableName: tableName, Key: { userId: 'user', id: '1' } }))
+        .then((result) => {
+          expect(result.Item).to.deep.equal(item);
+          expect(result.Item).not.to.equal(item);
+          done();
+        }).catch(done);
+    });
+
+    it('returns an empty result for missing items', (done) => {
+      call(client, 'get', { TableName: tableName, Key: { userId: 'user', id: 'missing' } }).then((result) => {
+        expect(result).to.deep.equal({});
+        done();
+      }).catch(done);
+    });
+
+    it('applies the ProjectionExpression', (done) => {
+      const item = { userId: 'user', id: '1', status: 'draft', meta: { country: 'ES', city: 'BCN' } };
+      call(client, 'put', { TableName: tableName, Item: item })
+        .then(() => call(client, 'get', {
+          TableName: tableName,
+          Key: { userId: 'user', id: '1' },
+          ProjectionExpression: '#status, #meta.#country',
+          ExpressionAttributeNames: { '#status': 'status', '#meta': 'meta', '#country': 'country' }
+        }))
+        .then((result) => {
+          expect(result.Item).to.deep.equal({ status: 'draft', meta: { country: 'ES' } });
+          done();
+        }).catch(done);
+    });
+
+    it('rejects keys that do not match the schema', () => {
+      const result = call(client, 'get', { TableName: tableName, Key: { userId: 'user' } });
+      return expect(result).to.be.rejectedWith('The provided key element does not match the schema');
+    });
+
+    it('rejects unknown tables', () => {
+      const result = call(client, 'get', { TableName: 'unknown', Key: { userId: 'user', id: '1' } });
+      return expect(result).to.be.rejectedWith('Requested resource not found');
+    });
+
+    it('fails the put when the ConditionExpression does not hold', (done) => {
+      const item = { userId: 'user', id: '1' };
+      const params = { TableName: tableName, Item: item, ConditionExpression: 'attribute_not_exists(userId)' };
+      call(client, 'put', params)
+        .then(() => call(client, 'put', params))
+        .catch((err) => {
+          expect(err).to.have.property('code', 'ConditionalCheckFailedException');
+          done();
+        }).catch(done);
+    });
+  });
+
+  describe('#update', () => {
+    const key = { userId: 'user', id: '1' };
+
+    beforeEach(() => call(client, 'put', {
+      TableName: tableName,
+      Item: { userId: 'user', id: '1', count: 1, importStatus: { file: { status: 'pending' } }, tags: ['a'] }
+    }));
+
+    it('applies SET, REMOVE and ADD clauses', (done) => {
+      call(client, 'update', {
+        TableName: tableName,
+        Key: key,
+        UpdateExpression: 'SET #importStatus.#file.#status = :status, #tags = list_append(#tags, :tags), #name = if_not_exists(#name, :name) REMOVE #missing ADD #count :one',
+        ExpressionAttributeNames: {
+          '#importStatus': 'importStatus',
+          '#file': 'file',
+          '#status': 'status',
+          '#tags': 'tags',
+          '#name': 'name',
+          '#missing': 'missing',
+          '#count': 'count'
+        },
+        ExpressionAttributeValues: { ':status': 'done', ':tags': ['b'], ':name': 'default', ':one': 1 },
+        ReturnValues: 'ALL_NEW'
+      }).then((result) => {
+        expect(result.Attributes).to.deep.equal({
+          userId: 'user',
+          id: '1',
+          count: 2,
+          importStatus: { file: { status: 'done' } },
+          tags: ['a', 'b'],
+          name: 'default'
+        });
+        done();
+      }).catch(done);
+    });
+
+    it('supports legacy AttributeUpdates', (done) => {
+      call(client, 'update', {
+        TableName: tableName,
+        Key: key,
+        AttributeUpdates: { count: { Action: 'ADD', Value: 5 }, tags: { Action: 'DELETE' }, name: { Action: 'PUT', Value: 'n' } },
+        ReturnValues: 'ALL_NEW'
+      }).then((result) => {
+        expect(result.Attributes).to.have.property('count', 6);
+        expect(result.Attributes).to.have.property('name', 'n');
+        expect(result.Attributes).not.to.have.property('tags');
+        done();
+      }).catch(done);
+    });
+
+    it('rejects updates on key attributes', () => {
+      const result = call(client, 'update', {
+        TableName: tableName,
+        Key: key,
+        UpdateExpression: 'SET #id = :id',
+        ExpressionAttributeNames: { '#id': 'id' },
+        ExpressionAttributeValues: { ':id': '2' }
+      });
+      return expect(result).to.be.rejectedWith('This attribute is part of the key');
+    });
+
+    it('rejects unused expression attribute values', () => {
+      const result = call(client, 'update', {
+        TableName: tableName,
+        Key: key,
+        UpdateExpression: 'SET #count = :count',
+        ExpressionAttributeNames: { '#count': 'count' },
+        ExpressionAttributeValues: { ':count': 1, ':unused': 2 }
+      });
+      return expect(result).to.be.rejectedWith('unused in expressions');
+    });
+  });
+
+  describe('#delete', () => {
+    it('removes the item', (done) => {
+      const key = { userId: 'user', id: '1' };
+      call(client, 'put', { TableName: tableName, Item: key })
+        .then(() => call(client, 'delete', { TableName: tableName, Key: key }))
+        .then(() => {
+          expect(client.items(tableName)).to.be.empty;
+          done();
+        }).catch(done);
+    });
+  });
+
+  describe('#query and #scan', () => {
+    beforeEach(() => call(client, 'batchWrite', {
+      RequestItems: {
+        [tableName]: [1, 2, 3, 4, 5].map(i => ({
+          PutRequest: { Item: { userId: 'user', id: `0${i}`, status: i % 2 ? 'sent' : 'draft', createdAt: 10 - i } }
+        })).concat([{ PutRequest: { Item: { userId: 'other', id: '01', createdAt: 1 } } }])
+      }
+    }));
+
+    it('queries by key condition in range key order', (done) => {
+      call(client, 'query', {
+        TableName: tableName,
+        KeyConditionExpression: '#hkey = :hvalue AND #rkey > :rvalue',
+        ExpressionAttributeNames: { '#hkey': 'userId', '#rkey': 'id' },
+        ExpressionAttributeValues: { ':hvalue': 'user', ':rvalue': '02' },
+        ScanIndexForward: false
+      }).then((result) => {
+        expect(result.Items.map(item => item.id)).to.deep.equal(['05', '04', '03']);
+        expect(result).not.to.have.property('LastEvaluatedKey');
+        done();
+      }).catch(done);
+    });
+
+    it('queries global secondary indexes and filters the results', (done) => {
+      call(client, 'query', {
+        TableName: tableName,
+        IndexName: indexName,
+        KeyConditionExpression: '#status = :status',
+        FilterExpression: 'NOT (#id IN (:first, :second))',
+        ExpressionAttributeNames: { '#status': 'status', '#id': 'id' },
+        ExpressionAttributeValues: { ':status': 'sent', ':first': '01', ':second': '02' }
+      }).then((result) => {
+        expect(result.Items.map(item => item.id)).to.deep.equal(['05', '03']);
+        expect(result.ScannedCount).to.equal(3);
+        done();
+      }).catch(done);
+    });
+
+    it('paginates with Limit and ExclusiveStartKey', (done) => {
+      const params = {
+        TableName: tableName,
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': 'user' },
+        Limit: 2
+      };
+      call(client, 'query', params).then((firstPage) => {
+        expect(firstPage.Items.map(item => item.id)).to.deep.equal(['01', '02']);
+        expect(firstPage.LastEvaluatedKey).to.deep.equal({ userId: 'user', id: '02' });
+        return call(client, 'query', Object.assign({ ExclusiveStartKey: firstPage.LastEvaluatedKey }, params));
+      }).then((secondPage) => {
+        expect(secondPage.Items.map(item => item.id)).to.deep.equal(['03', '04']);
+        done();
+      }).catch(done);
+    });
+
+    it('counts items when Select is COUNT', (done) => {
+      call(client, 'query', {
+        TableName: tableName,
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': 'user' },
+        Select: 'COUNT'
+      }).then((result) => {
+        expect(result).to.deep.equal({ Count: 5, ScannedCount: 5 });
+        done();
+      }).catch(done);
+    });
+
+    it('scans the whole table applying the FilterExpression', (done) => {
+      call(client, 'scan', {
+        TableName: tableName,
+        FilterExpression: 'attribute_not_exists(#status) OR begins_with(#id, :prefix) AND size(#id) = :size',
+        ExpressionAttributeNames: { '#status': 'status', '#id': 'id' },
+        ExpressionAttributeValues: { ':prefix': '05', ':size': 2 }
+      }).then((result) => {
+        expect(result.Items).to.have.length(2);
+        done();
+      }).catch(done);
+    });
+
+    it('truncates pages to maxPageSize', (done) => {
+      client.maxPageSize = 4;
+      call(client, 'scan', { TableName: tableName }).then((result) => {
+        expect(result.Items).to.have.length(4);
+        expect(result).to.have.property('LastEvaluatedKey');
+        done();
+      }).catch(done);
+    });
+  });
+
+  context('when used as the client of a model', () => {
+    class TestModel extends Model {
+      static get tableName() {
+        return tableName;
+      }
+
+      static get hashKey() {
+        return 'userId';
+      }
+
+      static get rangeKey() {
+        return 'id';
+      }
+
+      static _db() {
+        return client;
+      }
+    }
+
+    beforeEach(() => TestModel.saveAll(['01', '02', '03', '04', '05'].map(id => ({ userId: 'user', id }))));
+
+    it('paginates allBy results with nextPage and prevPage', (done) => {
+      TestModel.allBy('userId', 'user', { limit: 2 }).then((firstPage) => {
+        expect(firstPage.items.map(item => item.id)).to.deep.equal(['05', '04']);
+        expect(firstPage).not.to.have.property('prevPage');
+        return TestModel.allBy('userId', 'user', { limit: 2, page: firstPage.nextPage });
+      }).then((secondPage) => {
+        expect(secondPage.items.map(item => item.id)).to.deep.equal(['03', '02']);
+        return TestModel.allBy('userId', 'user', { limit: 2, page: secondPage.prevPage });
+      }).then((previousPage) => {
+        expect(previousPage.items.map(item => item.id)).to.deep.equal(['05', '04']);
+        expect(previousPage).not.to.have.property('prevPage');
+        done();
+      }).catch(done);
+    });
+
+    it('fetches every page with the recursive option', (done) => {
+      TestModel.allBy('userId', 'user', { limit: 2, recursive: true }).then((result) => {
+        expect(result.items).to.have.length(2);
+        return TestModel.allBy('userId', 'user', { recursive: true });
+      }).then((result) => {
+        expect(result.items).to.have.length(5);
+        done();
+      }).catch(done);
+    });
+
+    it('increments counters', (done) => {
+      TestModel.increment('opensCount', 2, 'user', '01')
+        .then(() => TestModel.incrementAll('user', '01', { opensCount: 1, clicksCount: 3 }))
+        .then(() => TestModel.get('user', '01'))
+        .then((item) => {
+          expect(item).to.have.property('opensCount', 3);
+          expect(item).to.have.property('clicksCount', 3);
+          done();
+        }).catch(done);
+    });
+
+    it('updates and deletes items', (done) => {
+      TestModel.update({ name: 'updated', removed: null }, 'user', '01').then((item) => {
+        expect(Object.keys(item).sort()).to.deep.equal(['createdAt', 'id', 'name', 'updatedAt', 'userId']);
+        expect(item).to.have.property('name', 'updated');
+        return TestModel.delete('user', '01');
+      }).then(() => TestModel.get('user', '01'))
+        .then((item) => {
+          expect(item).to.deep.equal({});
+          done();
+        }).catch(done);
+    });
+  });
+
+  describe('Campaign.scheduledInPast', () => {
+    const campaignsTable = 'campaigns-table';
+    const scheduledAtIndex = 'scheduled-at-index';
+    let stubs;
+
+    beforeEach(() => {
+      client.createTable(campaignsTable, {
+        hashKey: 'userId',
+        rangeKey: 'id',
+        indexes: { [scheduledAtIndex]: { hashKey: 'userId', rangeKey: 'scheduledAt' } }
+      });
+      stubs = [
+        sinon.stub(Campaign, '_db').returns(client),
+        sinon.stub(Campaign, 'tableName', { get: () => campaignsTable }),
+        sinon.stub(Campaign, 'scheduledAtIndex', { get: () => scheduledAtIndex })
+      ];
+      const past = moment().subtract(1, 'hour').unix();
+      const future = moment().add(1, 'hour').unix();
+      return Campaign.saveAll([
+        { userId: 'user', id: 'due', status: 'scheduled', scheduledAt: past },
+        { userId: 'user', id: 'future', status: 'scheduled', scheduledAt: future },
+        { userId: 'user', id: 'sent', status: 'scheduled', scheduledAt: past, sentAt: past },
+        { userId: 'user', id: 'draft', status: 'draft' }
+      ]);
+    });
+
+    it('returns only the campaigns due to be sent', (done) => {
+      Campaign.scheduledInPast().then((campaigns) => {
+        expect(campaigns.map(campaign => campaign.id)).to.deep.equal(['due']);
+        done();
+      }).catch(done);
+    });
+
+    it('reads every page of the scan', (done) => {
+      client.maxPageSize = 1;
+      Campaign.scheduledInPast().then((campaigns) => {
+        client.maxPageSize = Number.MAX_SAFE_INTEGER;
+        expect(campaigns.map(campaign => campaign.id)).to.deep.equal(['due']);
+        done();
+      }).catch(done);
+    });
+
+    afterEach(() => stubs.forEach(stub => stub.restore()));
+  });
+});
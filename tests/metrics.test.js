@@ -0,0 +1,201 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+import * as sinon from 'sinon';
+import { Model } from '../src/models/model';
+import { BaseModel } from '../src/models/base_model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { InvocationMetrics } from '../src/metrics';
+import { configureLogger, resetLogger } from '../src/logger';
+import { memoryModel } from './helpers';
+
+describe('Metrics', () => {
+  const tableName = 'measured-table';
+  const client = new MemoryDocumentClient();
+  let events;
+
+  const MeasuredModel = memoryModel(Model, 'MeasuredModel', client, {
+    tableName,
+    hashKey: 'listId',
+    rangeKey: 'id',
+    indexes: { emailIndex: { name: 'email-index', type: 'local', rangeKey: 'email' } },
+    retryPolicy: { maxAttempts: 2, baseDelay: 1 }
+  });
+
+  const MeasuredBaseModel = memoryModel(BaseModel, 'MeasuredBaseModel', client, {
+    tableName,
+    hashKey: 'listId',
+    rangeKey: 'id'
+  });
+
+  // The memory client doesn't report consumed capacity
+  const consuming = (method, consumedCapacity) => {
+    return sinon.stub(client, method, (params, callback) => {
+      if (params.ReturnConsumedCapacity !== 'TOTAL') return callback(new Error('Missing ReturnConsumedCapacity'));
+      return MemoryDocumentClient.prototype[method].call(client, params, (err, data) => {
+        callback(err, err ? data : Object.assign({ ConsumedCapacity: consumedCapacity }, data));
+      });
+    });
+  };
+
+  let stub;
+
+  beforeEach(() => {
+    events = [];
+    MeasuredModel.configure({ metrics: event => events.push(event) });
+    MeasuredBaseModel.configure({ metrics: { record: event => events.push(event) } });
+    client.createTableFor(MeasuredModel);
+    return MeasuredModel.saveAll([
+      { listId: 'list', id: '1', email: 'a@example.com' },
+      { listId: 'list', id: '2', email: 'b@example.com' }
+    ]).then(() => {
+      events = [];
+    });
+  });
+
+  afterEach(() => {
+    if (stub) stub.restore();
+    stub = null;
+    MeasuredModel.configure({ metrics: null });
+    MeasuredBaseModel.configure({ metrics: null });
+  });
+
+  describe('events', () => {
+    it('describe every request', (done) => {
+      stub = consuming('query', { TableName: tableName, CapacityUnits: 0.5 });
+      MeasuredModel.allBy('listId', 'list', { range: { bw: { email: 'a' } } }).then(() => {
+        expect(events).to.have.length(1);
+        const event = Object.assign({}, events[0]);
+        expect(event.latency).to.be.at.least(0);
+        delete event.latency;
+        expect(event).to.deep.equal({
+          model: 'MeasuredModel',
+          method: 'query',
+          table: tableName,
+          index: 'email-index',
+          retries: 0,
+          items: 1,
+          error: null,
+          readCapacity: 0.5,
+          writeCapacity: 0
+        });
+        done();
+      }).catch(done);
+    });
+
+    it('add up the capacity of batch requests', (done) => {
+      stub = consuming('batchWrite', [{ TableName: tableName, CapacityUnits: 2 }, { TableName: 'other', CapacityUnits: 1 }]);
+      MeasuredBaseModel.saveAll([{ listId: 'list', id: '3' }, { listId: 'list', id: '4' }]).then(() => {
+        expect(events.find(event => event.method === 'batchWrite')).to.include({ method: 'batchWrite', table: tableName, items: 2, readCapacity: 0, writeCapacity: 3 });
+        done();
+      }).catch(done);
+    });
+
+    it('use the read and write units when reported', (done) => {
+      stub = consuming('transactWrite', [{ TableName: tableName, CapacityUnits: 5, ReadCapacityUnits: 1, WriteCapacityUnits: 4 }]);
+      MeasuredModel.transaction()
+        .conditionCheck(MeasuredModel, 'list', '2', { exists: true })
+        .update(MeasuredModel, { name: 'A' }, 'list', '1')
+        .commit()
+        .then(() => {
+          expect(events[0]).to.include({ method: 'transactWrite', items: 2, readCapacity: 1, writeCapacity: 4 });
+          done();
+        }).catch(done);
+    });
+
+    it('are sent for each attempt of retried requests', (done) => {
+      const error = Object.assign(new Error('Throttled'), { code: 'ProvisionedThroughputExceededException' });
+      let attempts = 0;
+      stub = sinon.stub(client, 'get', (params, callback) => {
+        attempts += 1;
+        if (attempts === 1) return setImmediate(() => callback(error));
+        return MemoryDocumentClient.prototype.get.call(client, params, callback);
+      });
+      MeasuredModel.get('list', '1').then(() => {
+        expect(events.map(event => [event.retries, event.error, event.items])).to.deep.equal([
+          [0, 'ProvisionedThroughputExceededException', 0],
+          [1, null, 1]
+        ]);
+        done();
+      }).catch(done);
+    });
+
+    it('are not requested without a sink', (done) => {
+      MeasuredModel.configure({ metrics: null });
+      stub = sinon.spy(client, 'get');
+      MeasuredModel.get('list', '1').then(() => {
+        expect(stub.firstCall.args[0]).not.to.have.property('ReturnConsumedCapacity');
+        expect(events).to.be.empty;
+        done();
+      }).catch(done);
+    });
+
+    it('do not fail requests when the sink does', (done) => {
+      const entries = [];
+      configureLogger({ transport: entry => entries.push(entry) });
+      MeasuredModel.configure({ metrics: () => { throw new Error('Failing sink'); } });
+      MeasuredModel.get('list', '1').then((item) => {
+        resetLogger();
+        expect(item).to.have.property('id', '1');
+        expect(entries[0]).to.include({ level: 'warn', message: 'Failing metrics sink' });
+        done();
+      }).catch((err) => {
+        resetLogger();
+        done(err);
+      });
+    });
+  });
+
+  describe('InvocationMetrics', () => {
+    const event = (model, extra) => Object.assign({
+      model,
+      method: 'get',
+      latency: 10,
+      retries: 0,
+      items: 1,
+      error: null,
+      readCapacity: 0.5,
+      writeCapacity: 0
+    }, extra);
+
+    it('adds up the events overall and per model', () => {
+      const metrics = new InvocationMetrics();
+      metrics.record(event('Sender'));
+      metrics.record(event('Sender', { retries: 1, error: 'ThrottlingException', items: 0 }));
+      metrics.record(event('List', { method: 'update', readCapacity: 0, writeCapacity: 1 }));
+      const totals = metrics.totals();
+      expect(totals).to.include({ calls: 3, errors: 1, retries: 1, latency: 30, readCapacity: 1, writeCapacity: 1, items: 2 });
+      expect(totals.models.Sender).to.include({ calls: 2, readCapacity: 1 });
+      expect(totals.models.List).to.include({ calls: 1, writeCapacity: 1 });
+    });
+
+    it('flushes the totals of callback handlers', (done) => {
+      const flushed = [];
+      const metrics = new InvocationMetrics({ onFlush: totals => flushed.push(totals) });
+      const handler = metrics.wrap((lambdaEvent, context, callback) => {
+        metrics.record(event('Sender'));
+        callback(null, 'ok');
+      });
+      metrics.record(event('Previous invocation'));
+      handler({}, {}, (err, response) => {
+        expect(response).to.equal('ok');
+        expect(flushed).to.have.length(1);
+        expect(flushed[0]).to.have.property('calls', 1);
+        expect(metrics.totals()).to.have.property('calls', 0);
+        done();
+      });
+    });
+
+    it('flushes the totals of promise handlers', (done) => {
+      const flushed = [];
+      const metrics = new InvocationMetrics({ onFlush: totals => flushed.push(totals) });
+      MeasuredModel.configure({ metrics });
+      const handler = metrics.wrap(() => MeasuredModel.get('list', '1').then(() => MeasuredModel.get('list', '2')));
+      handler({}, {}).then(() => {
+        expect(flushed).to.have.length(1);
+        expect(flushed[0]).to.include({ calls: 2, items: 2 });
+        expect(flushed[0].models).to.have.property('MeasuredModel');
+        done();
+      }).catch(done);
+    });
+  });
+});
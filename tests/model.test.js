@@ -7,8 +7,8 @@ const AWS = require('aws-sdk');
 import * as sinon from 'sinon';
 import * as sinonAsPromised from 'sinon-as-promised';
 import { Model } from '../src/models/model';
+import './helpers';
 import Joi from 'joi';
-import base64url from 'base64-url';
 import omitEmpty from 'omit-empty';
 
 chai.use(chaiThings);
@@ -120,7 +120,6 @@ describe('Model', () => {
     const rangeValue = 'some range value';
     const item = { myKey: 1, myRange: 2, anAttribute: 'its value', someAttribute: 'some_value', anotherAttribute: 'value', another: 'value' };
     const lastEvaluatedKey = { myKey: 1, myRange: 2 };
-    const nextPage = base64url.encode(JSON.stringify(lastEvaluatedKey));
     const items = Array(5).fill().map(() => item);
     let tNameStub;
     let hashStub;
@@ -214,14 +213,14 @@ describe('Model', () => {
           expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#hkey', Model.hashKey);
           expect(args[1]).to.have.deep.property('ExpressionAttributeValues.:hvalue', value);
           expect(result).to.have.property('items');
-          expect(result).to.have.property('nextPage', nextPage);
+          expect(Model.lastEvaluatedKey(result.nextPage)).to.deep.equal(lastEvaluatedKey);
           done();
         }).catch(done);
       });
 
       context('when the nexPage param was provided', () => {
         it('includes the ExclusiveStartKey in the query', (done) => {
-          const page = nextPage;
+          const page = Model.nextPage(lastEvaluatedKey, Model._cursorQuery(null, value));
           Model.allBy(null, value, { page }).then(() => {
             const args = Model._client.lastCall.args;
             expect(args[1].ExclusiveStartKey).to.deep.equal(lastEvaluatedKey);
@@ -395,8 +394,18 @@ describe('Model', () => {
     describe('#countBy', () => {
       const key = 'key';
       const value = 'value';
+
+      before(() => {
+        Model._client.withArgs('query').resolves({ Count: 3 });
+      });
+
+      after(() => {
+        Model._client.withArgs('query').resolves({ Items: items, LastEvaluatedKey: lastEvaluatedKey });
+      });
+
       it('calls the DynamoDB query method with correct params', (done) => {
         Model.countBy(key, value).then((result) => {
+          expect(result).to.equal(3);
           const args = Model._client.lastCall.args;
           expect(args[0]).to.equal('query');
           expect(args[1]).to.have.property('TableName', tableName);
@@ -434,8 +443,12 @@ describe('Model', () => {
           expect(params).to.have.deep.property(`RequestItems.${tableName}`);
 
           for (let item of params.RequestItems[tableName]) {
-            expect(item).to.have.deep.property('PutRequest.Item');
-            expect(nItems).to.include.something.that.deep.equals(item.PutRequest.Item);
+            expect(item).to.have.deep.property('PutRequest.Item.createdAt');
+            expect(item).to.have.deep.property('PutRequest.Item.updatedAt');
+            const savedItem = Object.assign({}, item.PutRequest.Item);
+            delete savedItem.createdAt;
+            delete savedItem.updatedAt;
+            expect(nItems).to.include.something.that.deep.equals(savedItem);
           }
           done();
         });
@@ -467,10 +480,21 @@ describe('Model', () => {
           expect(args[0]).to.equal('update');
           expect(args[1]).to.have.property('TableName');
           expect(args[1]).to.have.property('Key');
-          expect(args[1].AttributeUpdates).to.deep.equal(Model._buildAttributeUpdates(params));
+          expect(args[1]).to.have.property('UpdateExpression', 'SET #u0 = :u0, #u1 = :u1, #u2 = :u2');
+          expect(args[1].ExpressionAttributeValues).to.deep.include({ ':u0': 'value', ':u1': 'value 2' });
+          expect(args[1]).to.have.property('ConditionExpression', 'attribute_exists(#existsKey)');
           done();
         });
       });
+
+      context('when the upsert option was provided', () => {
+        it('does not require the item to exist', (done) => {
+          Model.update({ att: 'value' }, hashValue, rangeValue, { upsert: true }).then(() => {
+            expect(Model._client.lastCall.args[1]).not.to.have.property('ConditionExpression');
+            done();
+          }).catch(done);
+        });
+      });
     });
 
     describe('#increment', () => {
@@ -482,8 +506,10 @@ describe('Model', () => {
           expect(args[0]).to.equal('update');
           expect(args[1]).to.have.property('TableName');
           expect(args[1]).to.have.property('Key');
-          expect(args[1]).to.have.deep.property(`AttributeUpdates.${countAttribute}.Action`, 'ADD');
-          expect(args[1]).to.have.deep.property(`AttributeUpdates.${countAttribute}.Value`, count);
+          expect(args[1]).to.have.property('UpdateExpression', 'SET #u0 = :u0 ADD #u1 :u1');
+          expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u0', 'updatedAt');
+          expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u1', `${countAttribute}`);
+          expect(args[1]).to.have.deep.property('ExpressionAttributeValues.:u1', count);
           done();
         });
       });
@@ -500,10 +526,9 @@ describe('Model', () => {
           expect(args[0]).to.equal('update');
           expect(args[1]).to.have.property('TableName');
           expect(args[1]).to.have.property('Key');
-          expect(args[1]).to.have.deep.property('AttributeUpdates.attr1.Action', 'ADD');
-          expect(args[1]).to.have.deep.property('AttributeUpdates.attr1.Value', 1);
-          expect(args[1]).to.have.deep.property('AttributeUpdates.attr2.Action', 'ADD');
-          expect(args[1]).to.have.deep.property('AttributeUpdates.attr2.Value', -2);
+          expect(args[1]).to.have.property('UpdateExpression', 'SET #u0 = :u0 ADD #u1 :u1, #u2 :u2');
+          expect(args[1].ExpressionAttributeNames).to.deep.equal({ '#u0': 'updatedAt', '#u1': 'attr1', '#u2': 'attr2' });
+          expect(args[1].ExpressionAttributeValues).to.deep.include({ ':u1': 1, ':u2': -2 });
           done();
         });
       });
@@ -567,32 +592,26 @@ describe('Model', () => {
     });
   });
 
-  describe('#_buildAttributeUpdates()', () => {
-    it('returns a correct AttributeUpdates object', () => {
+  describe('#_buildUpdateExpression()', () => {
+    it('sets every attribute but the keys', () => {
       const params = { someAttribute: 'some value', anotherAttribute: 'another value' };
       params[Model.hashKey] = 'some value';
-      params[Model.rangeKey] = 'some value';
-      const attributeUpdates = Model._buildAttributeUpdates(params);
-      for (let key in params) {
-        if (key === Model.hashKey || key === Model.rangeKey) {
-          expect(attributeUpdates).not.to.have.property(key);
-        } else {
-          expect(attributeUpdates).to.have.deep.property(`${key}.Action`, 'PUT');
-          expect(attributeUpdates).to.have.deep.property(`${key}.Value`, params[key]);
-        }
-      }
+      const updateParams = Model._buildUpdateExpression(params);
+      expect(updateParams).to.have.property('UpdateExpression', 'SET #u0 = :u0, #u1 = :u1, #u2 = :u2');
+      expect(updateParams.ExpressionAttributeNames).to.deep.equal({ '#u0': 'someAttribute', '#u1': 'anotherAttribute', '#u2': 'updatedAt' });
+      expect(updateParams.ExpressionAttributeValues).to.deep.include({ ':u0': 'some value', ':u1': 'another value' });
     });
 
-    it('deletes an attribute if null was passed as its value', () => {
-      const params = {
-        someAttribute: 'some value',
-        anotherAttribute: 'another value',
-        toBeDeleted: null
-      };
-      params[Model.hashKey] = 'some value';
-      params[Model.rangeKey] = 'some value';
-      const attributeUpdates = Model._buildAttributeUpdates(params);
-      expect(attributeUpdates.toBeDeleted).to.deep.equal({ Action: 'DELETE' });
+    it('removes an attribute if null was passed as its value', () => {
+      const params = { someAttribute: 'some value', toBeDeleted: null };
+      const updateParams = Model._buildUpdateExpression(params);
+      expect(updateParams).to.have.property('UpdateExpression', 'SET #u0 = :u0, #u1 = :u1 REMOVE #u2');
+      expect(updateParams).to.have.deep.property('ExpressionAttributeNames.#u2', 'toBeDeleted');
+    });
+
+    it('adds the increments', () => {
+      const updateParams = Model._buildUpdateExpression({ status: 'sent' }, { version: 1 });
+      expect(updateParams).to.have.property('UpdateExpression', 'SET #u0 = :u0, #u1 = :u1 ADD #u2 :u2');
     });
   });
 
@@ -617,14 +636,14 @@ describe('Model', () => {
         const email = 'da';
         const options = { filters: { status: { eq: status }, name: { ne: name }, email: { bw: email } } };
         const dbOptions = Model._buildOptions(options);
-        const filterExpression = '#status = :status AND #name <> :name AND begins_with(#email, :email)';
+        const filterExpression = '#filter0 = :filter0 AND #filter1 <> :filter1 AND begins_with(#filter2, :filter2)';
         expect(dbOptions).to.have.property('FilterExpression', filterExpression);
-        expect(dbOptions).to.have.deep.property('ExpressionAttributeNames.#status', 'status');
-        expect(dbOptions).to.have.deep.property('ExpressionAttributeNames.#name', 'name');
-        expect(dbOptions).to.have.deep.property('ExpressionAttributeNames.#email', 'email');
-        expect(dbOptions).to.have.deep.property('ExpressionAttributeValues.:status', status);
-        expect(dbOptions).to.have.deep.property('ExpressionAttributeValues.:name', name);
-        expect(dbOptions).to.have.deep.property('ExpressionAttributeValues.:email', email);
+        expect(dbOptions).to.have.deep.property('ExpressionAttributeNames.#filter0', 'status');
+        expect(dbOptions).to.have.deep.property('ExpressionAttributeNames.#filter1', 'name');
+        expect(dbOptions).to.have.deep.property('ExpressionAttributeNames.#filter2', 'email');
+        expect(dbOptions).to.have.deep.property('ExpressionAttributeValues.:filter0', status);
+        expect(dbOptions).to.have.deep.property('ExpressionAttributeValues.:filter1', name);
+        expect(dbOptions).to.have.deep.property('ExpressionAttributeValues.:filter2', email);
         done();
       });
     });
@@ -52,8 +52,10 @@ describe('Report', () => {
         expect(args[0]).to.equal('update');
         expect(args[1]).to.have.deep.property(`Key.${Report.hashKey}`, campaignId);
         expect(args[1]).to.have.property('TableName', tableName);
-        expect(args[1]).to.have.deep.property('AttributeUpdates.bouncesCount.Action', 'ADD');
-        expect(args[1]).to.have.deep.property('AttributeUpdates.bouncesCount.Value', 1);
+        expect(args[1]).to.have.property('UpdateExpression', 'SET #u0 = :u0 ADD #u1 :u1');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u0', 'updatedAt');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u1', 'bouncesCount');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeValues.:u1', 1);
         done();
       });
     });
@@ -66,8 +68,10 @@ describe('Report', () => {
         expect(args[0]).to.equal('update');
         expect(args[1]).to.have.deep.property(`Key.${Report.hashKey}`, campaignId);
         expect(args[1]).to.have.property('TableName', tableName);
-        expect(args[1]).to.have.deep.property('AttributeUpdates.softBouncesCount.Action', 'ADD');
-        expect(args[1]).to.have.deep.property('AttributeUpdates.softBouncesCount.Value', 1);
+        expect(args[1]).to.have.property('UpdateExpression', 'SET #u0 = :u0 ADD #u1 :u1');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u0', 'updatedAt');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u1', 'softBouncesCount');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeValues.:u1', 1);
         done();
       });
     });
@@ -80,8 +84,10 @@ describe('Report', () => {
         expect(args[0]).to.equal('update');
         expect(args[1]).to.have.deep.property(`Key.${Report.hashKey}`, campaignId);
         expect(args[1]).to.have.property('TableName', tableName);
-        expect(args[1]).to.have.deep.property('AttributeUpdates.deliveriesCount.Action', 'ADD');
-        expect(args[1]).to.have.deep.property('AttributeUpdates.deliveriesCount.Value', 1);
+        expect(args[1]).to.have.property('UpdateExpression', 'SET #u0 = :u0 ADD #u1 :u1');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u0', 'updatedAt');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u1', 'deliveriesCount');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeValues.:u1', 1);
         done();
       });
     });
@@ -94,8 +100,10 @@ describe('Report', () => {
         expect(args[0]).to.equal('update');
         expect(args[1]).to.have.deep.property(`Key.${Report.hashKey}`, campaignId);
         expect(args[1]).to.have.property('TableName', tableName);
-        expect(args[1]).to.have.deep.property('AttributeUpdates.complaintsCount.Action', 'ADD');
-        expect(args[1]).to.have.deep.property('AttributeUpdates.complaintsCount.Value', 1);
+        expect(args[1]).to.have.property('UpdateExpression', 'SET #u0 = :u0 ADD #u1 :u1');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u0', 'updatedAt');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u1', 'complaintsCount');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeValues.:u1', 1);
         done();
       });
     });
@@ -108,8 +116,10 @@ describe('Report', () => {
         expect(args[0]).to.equal('update');
         expect(args[1]).to.have.deep.property(`Key.${Report.hashKey}`, campaignId);
         expect(args[1]).to.have.property('TableName', tableName);
-        expect(args[1]).to.have.deep.property('AttributeUpdates.opensCount.Action', 'ADD');
-        expect(args[1]).to.have.deep.property('AttributeUpdates.opensCount.Value', 1);
+        expect(args[1]).to.have.property('UpdateExpression', 'SET #u0 = :u0 ADD #u1 :u1');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u0', 'updatedAt');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u1', 'opensCount');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeValues.:u1', 1);
         done();
       });
     });
@@ -122,8 +132,10 @@ describe('Report', () => {
         expect(args[0]).to.equal('update');
         expect(args[1]).to.have.deep.property(`Key.${Report.hashKey}`, campaignId);
         expect(args[1]).to.have.property('TableName', tableName);
-        expect(args[1]).to.have.deep.property('AttributeUpdates.clicksCount.Action', 'ADD');
-        expect(args[1]).to.have.deep.property('AttributeUpdates.clicksCount.Value', 1);
+        expect(args[1]).to.have.property('UpdateExpression', 'SET #u0 = :u0 ADD #u1 :u1');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u0', 'updatedAt');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u1', 'clicksCount');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeValues.:u1', 1);
         done();
       });
     });
@@ -136,8 +148,10 @@ describe('Report', () => {
         expect(args[0]).to.equal('update');
         expect(args[1]).to.have.deep.property(`Key.${Report.hashKey}`, campaignId);
         expect(args[1]).to.have.property('TableName', tableName);
-        expect(args[1]).to.have.deep.property('AttributeUpdates.sentCount.Action', 'ADD');
-        expect(args[1]).to.have.deep.property('AttributeUpdates.sentCount.Value', 1);
+        expect(args[1]).to.have.property('UpdateExpression', 'SET #u0 = :u0 ADD #u1 :u1');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u0', 'updatedAt');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeNames.#u1', 'sentCount');
+        expect(args[1]).to.have.deep.property('ExpressionAttributeValues.:u1', 1);
         done();
       });
     });
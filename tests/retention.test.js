@@ -0,0 +1,224 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+import moment from 'moment';
+import { Model } from '../src/models/model';
+import { BaseModel } from '../src/models/base_model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { configureLogger, resetLogger } from '../src/logger';
+import { memoryModel } from './helpers';
+
+chai.use(chaiAsPromised);
+
+describe('Retention', () => {
+  const tableName = 'retained-opens';
+  const day = 24 * 60 * 60;
+  const client = new MemoryDocumentClient();
+
+  const RetainedOpen = memoryModel(Model, 'RetainedOpen', client, {
+    tableName,
+    hashKey: 'campaignId',
+    rangeKey: 'recipientId',
+    retention: { days: 30 }
+  });
+
+  class ScheduledOpen extends RetainedOpen {
+    static get retention() {
+      return { hours: 1, attribute: 'ttl', from: 'scheduledAt' };
+    }
+  }
+
+  const RetainedBaseOpen = memoryModel(BaseModel, 'RetainedBaseOpen', client, {
+    tableName,
+    hashKey: 'campaignId',
+    rangeKey: 'recipientId',
+    retention: { days: 30 }
+  });
+
+  const now = () => moment().unix();
+  const storedItem = id => client.items(tableName).find(item => item.recipientId === id);
+  const putItems = items => Promise.all(items.map(item => new Promise((resolve, reject) => {
+    client.put({ TableName: tableName, Item: item }, err => (err ? reject(err) : resolve()));
+  })));
+
+  before(() => configureLogger({ level: 'silent' }));
+  after(() => resetLogger());
+
+  beforeEach(() => {
+    client.createTableFor(RetainedOpen);
+    return putItems([
+      { campaignId: 'campaign', recipientId: '1', expiresAt: now() + day },
+      { campaignId: 'campaign', recipientId: '2', expiresAt: now() - day },
+      { campaignId: 'campaign', recipientId: '3', createdAt: now() - 10 * day },
+      { campaignId: 'campaign', recipientId: '4', expiresAt: now() - 1 }
+    ]);
+  });
+
+  afterEach(() => {
+    client.maxPageSize = Number.MAX_SAFE_INTEGER;
+  });
+
+  describe('writes', () => {
+    it('set the expiry of saved items', (done) => {
+      Promise.all([
+        RetainedOpen.save({ campaignId: 'campaign', recipientId: '5' }),
+        RetainedOpen.saveAll([{ campaignId: 'campaign', recipientId: '6' }]),
+        RetainedBaseOpen.save({ campaignId: 'campaign', recipientId: '7' }),
+        RetainedOpen.transaction().put(RetainedOpen, { campaignId: 'campaign', recipientId: '8' }).commit()
+      ]).then(() => {
+        ['5', '6', '7', '8'].forEach((id) => {
+          const item = storedItem(id);
+          expect(item.expiresAt - item.createdAt).to.equal(30 * day);
+        });
+        done();
+      }).catch(done);
+    });
+
+    it('run from the createdAt of the items saved over', (done) => {
+      RetainedOpen.save({ campaignId: 'campaign', recipientId: '3' })
+        .then(() => RetainedBaseOpen.saveAll([{ campaignId: 'campaign', recipientId: '3' }], { keepCreatedAt: true }))
+        .then(() => {
+          expect(storedItem('3').expiresAt).to.equal(storedItem('3').createdAt + 30 * day);
+          expect(storedItem('3').createdAt).to.be.below(now() - 9 * day);
+          done();
+        }).catch(done);
+    });
+
+    it('keep the expiry items set themselves', (done) => {
+      const expiresAt = now() + 2 * day;
+      RetainedOpen.save({ campaignId: 'campaign', recipientId: '5', expiresAt }).then(() => {
+        expect(storedItem('5').expiresAt).to.equal(expiresAt);
+        done();
+      }).catch(done);
+    });
+
+    it('run from the declared attribute', (done) => {
+      const scheduledAt = now() + 7 * day;
+      ScheduledOpen.save({ campaignId: 'campaign', recipientId: '5', scheduledAt }).then(() => {
+        expect(storedItem('5').ttl).to.equal(scheduledAt + 3600);
+        done();
+      }).catch(done);
+    });
+
+    it('wait for the declared attribute', (done) => {
+      const scheduledAt = now() + 7 * day;
+      ScheduledOpen.save({ campaignId: 'campaign', recipientId: '5' })
+        .then(() => {
+          expect(storedItem('5')).not.to.have.property('ttl');
+          return ScheduledOpen.update({ scheduledAt }, 'campaign', '5');
+        })
+        .then(() => {
+          expect(storedItem('5').ttl).to.equal(scheduledAt + 3600);
+          done();
+        }).catch(done);
+    });
+
+    it('set the expiry of items created by updates and increments', (done) => {
+      const expiresAt = storedItem('1').expiresAt;
+      Promise.all([
+        RetainedOpen.update({ status: 'opened' }, 'campaign', '5', { upsert: true }),
+        RetainedOpen.increment('opensCount', 1, 'campaign', '6'),
+        RetainedBaseOpen.increment('opensCount', 1, 'campaign', '7'),
+        RetainedOpen.update({ status: 'opened' }, 'campaign', '1')
+      ]).then(() => {
+        ['5', '6', '7'].forEach((id) => {
+          expect(storedItem(id).expiresAt).to.be.within(now() + 30 * day - 5, now() + 30 * day);
+        });
+        expect(storedItem('1').expiresAt).to.equal(expiresAt);
+        done();
+      }).catch(done);
+    });
+
+    it('need a retention period', () => {
+      class UnboundedOpen extends RetainedOpen {
+        static get retention() {
+          return { attribute: 'ttl' };
+        }
+      }
+      return expect(UnboundedOpen.saveAll([{ campaignId: 'campaign', recipientId: '5' }])).to.be.rejectedWith('needs a period');
+    });
+  });
+
+  describe('reads', () => {
+    it('skip expired items fetched by key', (done) => {
+      Promise.all([
+        RetainedOpen.get('campaign', '2'),
+        RetainedBaseOpen.get('campaign', '1'),
+        RetainedOpen.batchGet([['campaign', '1'], ['campaign', '2']]),
+        RetainedOpen.transactGet([{ hash: 'campaign', range: '4' }, { hash: 'campaign', range: '3' }])
+      ]).then(([expired, open, batch, transacted]) => {
+        expect(expired).to.deep.equal({});
+        expect(open).to.have.property('recipientId', '1');
+        expect(batch.map(item => item.recipientId)).to.deep.equal(['1', undefined]);
+        expect(transacted.map(item => item.recipientId)).to.deep.equal([undefined, '3']);
+        done();
+      }).catch(done);
+    });
+
+    it('skip expired items fetched with projected fields', (done) => {
+      const fields = { include_fields: true, fields: 'recipientId' };
+      Promise.all([
+        RetainedOpen.get('campaign', '2', fields),
+        RetainedBaseOpen.get('campaign', '1', fields),
+        RetainedOpen.batchGet([['campaign', '1'], ['campaign', '2']], fields),
+        RetainedOpen.transactGet([{ hash: 'campaign', range: '4', fields: 'recipientId' }, { hash: 'campaign', range: '1', fields: 'recipientId' }])
+      ]).then(([expired, open, batch, transacted]) => {
+        expect(expired).to.deep.equal({});
+        expect(open).to.deep.equal({ recipientId: '1' });
+        expect(batch).to.deep.equal([{ recipientId: '1' }, {}]);
+        expect(transacted).to.deep.equal([{}, { recipientId: '1' }]);
+        done();
+      }).catch(done);
+    });
+
+    it('filter expired items out of queries, scans and counts', (done) => {
+      client.maxPageSize = 2;
+      Promise.all([
+        RetainedOpen.allBy('campaignId', 'campaign', { recursive: true }),
+        RetainedOpen.allBy('campaignId', 'campaign', { filters: { recipientId: { ne: '1' } }, recursive: true }),
+        RetainedOpen.scan({ recursive: true }),
+        RetainedOpen.countBy('campaignId', 'campaign'),
+        RetainedOpen.allBetween('campaign', '3', '4'),
+        RetainedOpen._scanAllPages({ TableName: tableName })
+      ]).then(([all, filtered, scanned, count, between, allPages]) => {
+        const ids = items => items.map(item => item.recipientId).sort();
+        expect(ids(all.items)).to.deep.equal(['1', '3']);
+        expect(ids(filtered.items)).to.deep.equal(['3']);
+        expect(ids(scanned.items)).to.deep.equal(['1', '3']);
+        expect(count).to.equal(2);
+        expect(ids(between.items)).to.deep.equal(['3']);
+        expect(ids(allPages)).to.deep.equal(['1', '3']);
+        done();
+      }).catch(done);
+    });
+  });
+
+  describe('.backfillExpiry', () => {
+    it('sets the expiry of items without one', (done) => {
+      client.maxPageSize = 1;
+      putItems([{ campaignId: 'campaign', recipientId: '5' }])
+        .then(() => RetainedOpen.backfillExpiry({ concurrency: 2 }))
+        .then((totals) => {
+          expect(totals).to.deep.equal({ found: 2, updated: 2 });
+          const item = storedItem('3');
+          expect(item.expiresAt).to.equal(item.createdAt + 30 * day);
+          expect(storedItem('5').expiresAt).to.be.within(now() + 30 * day - 5, now() + 30 * day);
+          expect(storedItem('2').expiresAt).to.be.below(now());
+          return RetainedBaseOpen.backfillExpiry();
+        })
+        .then((totals) => {
+          expect(totals).to.deep.equal({ found: 0, updated: 0 });
+          done();
+        }).catch(done);
+    });
+
+    it('rejects for models without retention', () => {
+      class EverlastingOpen extends RetainedOpen {
+        static get retention() {
+          return null;
+        }
+      }
+      return expect(EverlastingOpen.backfillExpiry()).to.be.rejectedWith('doesn\'t declare a retention');
+    });
+  });
+});
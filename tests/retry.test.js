@@ -0,0 +1,164 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+import * as sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import { Model } from '../src/models/model';
+import { BaseModel } from '../src/models/base_model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { ThrottlingError, TransientError, DatabaseError } from '../src/errors';
+import { retryPolicyFor, backoffDelay } from '../src/retry';
+import { memoryModel } from './helpers';
+
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+
+describe('Retry policy', () => {
+  const tableName = 'retried-table';
+  const client = new MemoryDocumentClient();
+  let retries;
+
+  const RetriedModel = memoryModel(Model, 'RetriedModel', client, {
+    tableName,
+    hashKey: 'id',
+    retryPolicy: { maxAttempts: 3, baseDelay: 1, onRetry: retry => retries.push(retry) }
+  });
+
+  const RetriedBaseModel = memoryModel(BaseModel, 'RetriedBaseModel', client, {
+    tableName,
+    hashKey: 'id',
+    retryPolicy: { maxAttempts: 2, baseDelay: 1, errors: [DatabaseError] }
+  });
+
+  const failing = (codes) => {
+    const remaining = codes.slice();
+    return (params, callback) => {
+      const code = remaining.shift();
+      if (!code) return MemoryDocumentClient.prototype.get.call(client, params, callback);
+      const error = new Error(code);
+      error.code = code;
+      return setImmediate(() => callback(error));
+    };
+  };
+
+  let getStub;
+
+  beforeEach(() => {
+    retries = [];
+    client.createTableFor(RetriedModel);
+    return RetriedModel.save({ id: '1', name: 'retried' });
+  });
+
+  afterEach(() => {
+    if (getStub) getStub.restore();
+    getStub = null;
+  });
+
+  describe('#retryPolicyFor', () => {
+    it('defaults to maxRetries, retryDelay and the throttling and transient errors', () => {
+      const policy = retryPolicyFor(Model);
+      expect(policy).to.have.property('maxAttempts', Model.maxRetries + 1);
+      expect(policy).to.have.property('baseDelay', Model.retryDelay);
+      expect(policy.errors).to.deep.equal([ThrottlingError, TransientError]);
+    });
+
+    it('merges the model retryPolicy', () => {
+      expect(retryPolicyFor(RetriedModel)).to.have.property('maxAttempts', 3);
+      expect(retryPolicyFor(RetriedModel)).to.have.property('maxDelay', 20000);
+    });
+  });
+
+  describe('#backoffDelay', () => {
+    it('picks a random delay up to the capped exponential backoff', () => {
+      const policy = { baseDelay: 100, maxDelay: 500 };
+      [0, 1, 2, 5, 10].forEach((retries) => {
+        const cap = Math.min(500, 100 * Math.pow(2, retries));
+        const delays = Array(50).fill().map(() => backoffDelay(policy, retries));
+        delays.forEach(delay => expect(delay).to.be.within(0, cap));
+        expect(new Set(delays).size).to.be.above(1);
+      });
+    });
+  });
+
+  describe('_client', () => {
+    it('retries throttled requests', (done) => {
+      getStub = sinon.stub(client, 'get', failing(['ProvisionedThroughputExceededException', 'ThrottlingException']));
+      RetriedModel.get('1').then((item) => {
+        expect(item).to.have.property('name', 'retried');
+        expect(getStub).to.have.been.calledThrice;
+        expect(retries.map(retry => retry.retries)).to.deep.equal([1, 2]);
+        expect(retries[0].error).to.be.an.instanceof(ThrottlingError);
+        expect(retries[0]).to.have.property('method', 'get');
+        done();
+      }).catch(done);
+    });
+
+    it('retries transient errors', (done) => {
+      getStub = sinon.stub(client, 'get', failing(['NetworkingError']));
+      RetriedModel.get('1').then((item) => {
+        expect(item).to.have.property('name', 'retried');
+        done();
+      }).catch(done);
+    });
+
+    it('does not retry transient errors of updates', (done) => {
+      const updateStub = sinon.stub(client, 'update', (params, callback) => {
+        const error = new Error('TimeoutError');
+        error.code = 'TimeoutError';
+        setImmediate(() => callback(error));
+      });
+      RetriedModel.incrementAll('1', null, { count: 1 }).catch((err) => {
+        updateStub.restore();
+        expect(err).to.be.an.instanceof(TransientError);
+        expect(updateStub).to.have.been.calledOnce;
+        done();
+      }).catch(done);
+    });
+
+    it('gives up after maxAttempts, reporting the retries', (done) => {
+      getStub = sinon.stub(client, 'get', failing(['ThrottlingException', 'ThrottlingException', 'ThrottlingException']));
+      RetriedModel.get('1').catch((err) => {
+        expect(err).to.be.an.instanceof(ThrottlingError);
+        expect(err).to.have.property('retries', 2);
+        expect(getStub).to.have.been.calledThrice;
+        done();
+      }).catch(done);
+    });
+
+    it('does not retry other errors', (done) => {
+      getStub = sinon.stub(client, 'get', failing(['ValidationException']));
+      RetriedModel.get('1').catch((err) => {
+        expect(err).to.be.an.instanceof(DatabaseError);
+        expect(err).to.have.property('retries', 0);
+        expect(getStub).to.have.been.calledOnce;
+        done();
+      }).catch(done);
+    });
+
+    it('retries the error classes of the policy', (done) => {
+      getStub = sinon.stub(client, 'get', failing(['ValidationException']));
+      RetriedBaseModel.get('1').then((item) => {
+        expect(item).to.have.property('name', 'retried');
+        expect(getStub).to.have.been.calledTwice;
+        done();
+      }).catch(done);
+    });
+
+    it('retries unprocessed keys', (done) => {
+      const batchGet = client.batchGet;
+      const stub = sinon.stub(client, 'batchGet', (params, callback) => {
+        if (stub.callCount > 1) return batchGet.call(client, params, callback);
+        return callback(null, { Responses: { [tableName]: [] }, UnprocessedKeys: params.RequestItems });
+      });
+      RetriedModel.batchGet(['1']).then((items) => {
+        stub.restore();
+        expect(items.map(item => item.name)).to.deep.equal(['retried']);
+        expect(retries).to.have.length(1);
+        done();
+      }).catch((err) => {
+        stub.restore();
+        done(err);
+      });
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+import * as sinon from 'sinon';
+import { Model } from '../src/models/model';
+import { BaseModel } from '../src/models/base_model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { memoryModel } from './helpers';
+
+describe('Scans', () => {
+  const client = new MemoryDocumentClient();
+  const userIds = ['user-1', 'user-2', 'user-3', 'user-4', 'user-5', 'user-6'];
+
+  const ScannedCampaign = memoryModel(Model, 'ScannedCampaign', client, {
+    tableName: 'scanned-campaigns',
+    hashKey: 'userId',
+    rangeKey: 'id'
+  });
+
+  const ScannedBaseCampaign = memoryModel(BaseModel, 'ScannedBaseCampaign', client, {
+    tableName: 'scanned-campaigns',
+    hashKey: 'userId',
+    rangeKey: 'id'
+  });
+
+  const ids = items => items.map(item => `${item.userId}/${item.id}`).sort();
+
+  let scanSpy;
+
+  beforeEach(() => {
+    client.createTableFor(ScannedCampaign);
+    client.maxPageSize = 2;
+    const campaigns = userIds.map((userId, i) => {
+      return ScannedCampaign.save({ userId, id: 'campaign', status: i % 2 === 0 ? 'sent' : 'draft', name: `Campaign ${i}` });
+    });
+    return Promise.all(campaigns).then(() => {
+      scanSpy = sinon.spy(client, 'scan');
+    });
+  });
+
+  afterEach(() => {
+    client.maxPageSize = Number.MAX_SAFE_INTEGER;
+    scanSpy.restore();
+  });
+
+  describe('#scan', () => {
+    it('returns a page with the key of the next one', (done) => {
+      ScannedCampaign.scan()
+        .then((result) => {
+          expect(result.items).to.have.length(2);
+          expect(result).to.have.property('nextPage');
+          return ScannedCampaign.scan({ page: result.nextPage });
+        })
+        .then((result) => {
+          expect(result.items).to.have.length(2);
+          expect(scanSpy.lastCall.args[0]).to.have.property('ExclusiveStartKey');
+          expect(scanSpy.lastCall.args[0]).not.to.have.property('ScanIndexForward');
+          done();
+        }).catch(done);
+    });
+
+    it('reads every page when recursive', (done) => {
+      ScannedBaseCampaign.scan({ recursive: true }).then((result) => {
+        expect(result.items).to.have.length(userIds.length);
+        expect(result).not.to.have.property('nextPage');
+        expect(scanSpy).to.have.callCount(3);
+        done();
+      }).catch(done);
+    });
+
+    it('supports filters and fields', (done) => {
+      const options = { recursive: true, filters: { status: { eq: 'sent' } }, fields: 'userId,status', include_fields: true };
+      ScannedCampaign.scan(options).then((result) => {
+        expect(result.items).to.have.length(3);
+        result.items.forEach(item => expect(Object.keys(item).sort()).to.deep.equal(['status', 'userId']));
+        done();
+      }).catch(done);
+    });
+
+    it('scans a single segment', (done) => {
+      ScannedCampaign.scan({ segment: 1, totalSegments: 3, recursive: true }).then((result) => {
+        expect(scanSpy.firstCall.args[0]).to.include({ Segment: 1, TotalSegments: 3 });
+        expect(result.items.length).to.be.below(userIds.length);
+        done();
+      }).catch(done);
+    });
+
+    it('scans every segment in parallel with the given concurrency', (done) => {
+      ScannedCampaign.scan({ parallel: 3, concurrency: 2 }).then((result) => {
+        expect(ids(result.items)).to.deep.equal(userIds.map(userId => `${userId}/campaign`));
+        const segments = scanSpy.args.map(args => args[0].Segment);
+        expect(segments).to.include.members([0, 1, 2]);
+        done();
+      }).catch(done);
+    });
+  });
+});
@@ -41,6 +41,45 @@ describe('ScheduledEmail', () => {
     });
   });
 
+  describe('retention', () => {
+    beforeEach(() => {
+      process.env.SCHEDULED_EMAILS_RETENTION_DAYS = '30';
+    });
+
+    afterEach(() => {
+      delete process.env.SCHEDULED_EMAILS_RETENTION_DAYS;
+    });
+
+    it('keeps emails until they are sent', done => {
+      ScheduledEmail.save({ automationActionId: 'action', id, scheduledAt }).then(() => {
+        const args = ScheduledEmail._client.lastCall.args;
+        expect(args[0]).to.equal('put');
+        expect(args[1].Item).not.to.have.property('expiresAt');
+        done();
+      }).catch(done);
+    });
+
+    it('keeps emails forever until it is configured', done => {
+      delete process.env.SCHEDULED_EMAILS_RETENTION_DAYS;
+      ScheduledEmail.update({ sentAt: moment().unix(), status: 'sent' }, 'action', id).then(() => {
+        const args = ScheduledEmail._client.lastCall.args;
+        expect(Object.keys(args[1].ExpressionAttributeNames).map(name => args[1].ExpressionAttributeNames[name])).not.to.include('expiresAt');
+        done();
+      }).catch(done);
+    });
+
+    it('expires emails 30 days after they were sent', done => {
+      const sentAt = moment().unix();
+      ScheduledEmail.update({ sentAt, status: 'sent' }, 'action', id).then(() => {
+        const args = ScheduledEmail._client.lastCall.args;
+        const names = args[1].ExpressionAttributeNames;
+        const placeholder = Object.keys(names).find(name => names[name] === 'expiresAt').replace('#', ':');
+        expect(args[1].ExpressionAttributeValues[placeholder]).to.equal(sentAt + 30 * 24 * 60 * 60);
+        done();
+      }).catch(done);
+    });
+  });
+
   describe('#hashKey', () => {
     it('returns the hash key name', () => {
       expect(ScheduledEmail.hashKey).to.equal(scheduledEmailHashKey);
@@ -0,0 +1,175 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+import { Model } from '../src/models/model';
+import { Recipient } from '../src/models/recipient';
+import { ClickReport } from '../src/models/click_report';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import {
+  createTableParams,
+  timeToLiveParams,
+  cloudFormationResources,
+  cloudFormationTemplate,
+  serverlessResources
+} from '../src/table_definitions';
+
+describe('Table definitions', () => {
+  const env = {
+    RECIPIENTS_TABLE: 'recipients-table',
+    EMAIL_INDEX_NAME: 'email-index',
+    RECIPIENT_STATUS_INDEX_NAME: 'status-index',
+    RECIPIENT_GLOBAL_EMAIL_INDEX_NAME: 'global-email-index',
+    CLICKS_REPORT_TABLE: 'clicks-report-table',
+    CLICKS_REPORT_RETENTION_DAYS: '365'
+  };
+  const previousEnv = {};
+
+  class Product extends Model {
+    static get tableName() {
+      return 'products-table';
+    }
+
+    static get hashKey() {
+      return 'userId';
+    }
+
+    static get rangeKey() {
+      return 'id';
+    }
+
+    static get indexes() {
+      return {
+        skuIndex: { name: 'sku-index', hashKey: 'sku', projection: 'keys' },
+        priceIndex: { name: 'price-index', type: 'local', rangeKey: 'price', projection: ['name'] }
+      };
+    }
+
+    static get attributeTypes() {
+      return { price: 'N' };
+    }
+  }
+
+  before(() => {
+    Object.keys(env).forEach((name) => {
+      previousEnv[name] = process.env[name];
+      process.env[name] = env[name];
+    });
+  });
+
+  after(() => {
+    Object.keys(env).forEach((name) => {
+      if (previousEnv[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = previousEnv[name];
+      }
+    });
+  });
+
+  describe('#createTableParams', () => {
+    it('builds the table, its indexes and key attributes', () => {
+      const params = Recipient.createTableParams();
+      expect(params).to.have.property('TableName', 'recipients-table');
+      expect(params).to.have.property('BillingMode', 'PAY_PER_REQUEST');
+      expect(params.KeySchema).to.deep.equal([
+        { AttributeName: 'listId', KeyType: 'HASH' },
+        { AttributeName: 'id', KeyType: 'RANGE' }
+      ]);
+      expect(params.AttributeDefinitions.map(attribute => attribute.AttributeName)).to.deep.equal(['listId', 'id', 'email', 'status']);
+      expect(params.LocalSecondaryIndexes.map(index => index.IndexName)).to.deep.equal(['email-index', 'status-index']);
+      expect(params.LocalSecondaryIndexes[0].KeySchema).to.deep.equal([
+        { AttributeName: 'listId', KeyType: 'HASH' },
+        { AttributeName: 'email', KeyType: 'RANGE' }
+      ]);
+      expect(params.GlobalSecondaryIndexes).to.deep.equal([{
+        IndexName: 'global-email-index',
+        KeySchema: [{ AttributeName: 'email', KeyType: 'HASH' }],
+        Projection: { ProjectionType: 'ALL' }
+      }]);
+    });
+
+    it('uses the declared attribute types and projections', () => {
+      const params = createTableParams(Product);
+      expect(params.AttributeDefinitions).to.deep.include.members([
+        { AttributeName: 'price', AttributeType: 'N' },
+        { AttributeName: 'sku', AttributeType: 'S' }
+      ]);
+      expect(params.GlobalSecondaryIndexes[0].Projection).to.deep.equal({ ProjectionType: 'KEYS_ONLY' });
+      expect(params.LocalSecondaryIndexes[0].Projection).to.deep.equal({ ProjectionType: 'INCLUDE', NonKeyAttributes: ['name'] });
+      expect(ClickReport.createTableParams().AttributeDefinitions).to.deep.include.members([{ AttributeName: 'timestamp', AttributeType: 'N' }]);
+    });
+
+    it('sets the provisioned throughput of the table and its global indexes', () => {
+      const params = createTableParams(Product, { readCapacity: 5, writeCapacity: 2, streamViewType: 'NEW_IMAGE' });
+      expect(params).not.to.have.property('BillingMode');
+      expect(params.ProvisionedThroughput).to.deep.equal({ ReadCapacityUnits: 5, WriteCapacityUnits: 2 });
+      expect(params.GlobalSecondaryIndexes[0].ProvisionedThroughput).to.deep.equal({ ReadCapacityUnits: 5, WriteCapacityUnits: 2 });
+      expect(params.LocalSecondaryIndexes[0]).not.to.have.property('ProvisionedThroughput');
+      expect(params.StreamSpecification).to.deep.equal({ StreamEnabled: true, StreamViewType: 'NEW_IMAGE' });
+    });
+
+    it('throws when a table or index name is missing', () => {
+      class Unnamed extends Product {
+        static get indexes() {
+          return { skuIndex: { hashKey: 'sku' } };
+        }
+      }
+      expect(() => createTableParams(Unnamed)).to.throw('Missing name for index Unnamed.skuIndex');
+      expect(() => createTableParams(Model)).to.throw('Missing table name for Model');
+    });
+  });
+
+  describe('#timeToLiveParams', () => {
+    it('enables the TTL attribute of models declaring a retention', () => {
+      expect(ClickReport.timeToLiveParams()).to.deep.equal({
+        TableName: 'clicks-report-table',
+        TimeToLiveSpecification: { AttributeName: 'expiresAt', Enabled: true }
+      });
+      expect(timeToLiveParams(Product)).to.be.null;
+    });
+
+    it('leaves the TTL off until the retention is configured', () => {
+      delete process.env.CLICKS_REPORT_RETENTION_DAYS;
+      expect(ClickReport.timeToLiveParams()).to.be.null;
+      process.env.CLICKS_REPORT_RETENTION_DAYS = env.CLICKS_REPORT_RETENTION_DAYS;
+    });
+  });
+
+  describe('CloudFormation', () => {
+    it('builds a resource per model', () => {
+      const resources = cloudFormationResources([Recipient, Product], { readCapacity: 1 });
+      expect(Object.keys(resources)).to.deep.equal(['RecipientTable', 'ProductTable']);
+      expect(resources.ProductTable).to.have.property('Type', 'AWS::DynamoDB::Table');
+      expect(resources.ProductTable.Properties).to.have.property('BillingMode', 'PROVISIONED');
+      expect(resources.ProductTable.Properties).to.have.property('TableName', 'products-table');
+      expect(resources.ProductTable.Properties).not.to.have.property('TimeToLiveSpecification');
+    });
+
+    it('enables the TTL of models declaring a retention', () => {
+      const resource = ClickReport.cloudFormationResource();
+      expect(resource.Properties.TimeToLiveSpecification).to.deep.equal({ AttributeName: 'expiresAt', Enabled: true });
+    });
+
+    it('builds templates and serverless resources', () => {
+      expect(cloudFormationTemplate([Product])).to.have.property('AWSTemplateFormatVersion', '2010-09-09');
+      expect(Object.keys(serverlessResources([Product]).Resources)).to.deep.equal(['ProductTable']);
+    });
+  });
+
+  describe('MemoryDocumentClient#createTableFor', () => {
+    it('creates the declared indexes', (done) => {
+      const client = new MemoryDocumentClient().createTableFor(Product);
+      client.put({ TableName: 'products-table', Item: { userId: 'user', id: '1', sku: 'A1', price: 10 } }, () => {
+        client.query({
+          TableName: 'products-table',
+          IndexName: 'sku-index',
+          KeyConditionExpression: 'sku = :sku',
+          ExpressionAttributeValues: { ':sku': 'A1' }
+        }, (err, data) => {
+          if (err) return done(err);
+          expect(data.Items.map(item => item.id)).to.deep.equal(['1']);
+          return done();
+        });
+      });
+    });
+  });
+});
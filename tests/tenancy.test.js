@@ -0,0 +1,344 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+import * as sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import { Model } from '../src/models/model';
+import { List } from '../src/models/list';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { CrossTenantError, ValidationError } from '../src/errors';
+import { forUser } from '../src/tenancy';
+import { configureLogger, resetLogger } from '../src/logger';
+import { memoryModel } from './helpers';
+
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+
+describe('Tenancy', () => {
+  const client = new MemoryDocumentClient();
+
+  const TenantList = memoryModel(List, 'TenantList', client, {
+    tableName: 'tenant-lists',
+    hashKey: 'userId',
+    rangeKey: 'id',
+    tenancy: { attribute: 'userId' }
+  });
+
+  const TenantSegment = memoryModel(Model, 'TenantSegment', client, {
+    tableName: 'tenant-segments',
+    hashKey: 'listId',
+    rangeKey: 'id',
+    indexes: { segmentIdIndex: { name: 'segment-id-index', hashKey: 'id' } },
+    tenancy: { attribute: 'userId' }
+  });
+
+  const TenantRecipient = memoryModel(Model, 'TenantRecipient', client, {
+    tableName: 'tenant-recipients',
+    hashKey: 'listId',
+    rangeKey: 'id',
+    indexes: { globalEmailIndex: { name: 'global-email-index', hashKey: 'email' } },
+    tenancy: { parent: TenantList, foreignKey: 'listId' }
+  });
+
+  const models = { List: TenantList, ListSegment: TenantSegment, Recipient: TenantRecipient };
+  let Models;
+
+  const rejectsCrossTenant = (promise, done) => {
+    promise.then(() => done(new Error('Expected a CrossTenantError')), (err) => {
+      try {
+        expect(err).to.be.an.instanceof(CrossTenantError);
+        expect(err).to.have.property('userId', 'user-1');
+        done();
+      } catch (assertion) {
+        done(assertion);
+      }
+    });
+  };
+
+  before(() => configureLogger({ level: 'silent' }));
+  after(() => resetLogger());
+
+  beforeEach(() => {
+    client.createTableFor(TenantList).createTableFor(TenantSegment).createTableFor(TenantRecipient);
+    Models = forUser('user-1', models);
+    return Promise.all([
+      TenantList.saveAll([{ userId: 'user-1', id: 'list-1' }, { userId: 'user-2', id: 'list-2' }]),
+      TenantSegment.saveAll([
+        { userId: 'user-1', listId: 'list-1', id: 'segment-1', name: 'Mine' },
+        { userId: 'user-2', listId: 'list-2', id: 'segment-2', name: 'Theirs' }
+      ]),
+      TenantRecipient.saveAll([
+        { listId: 'list-1', id: 'recipient-1', email: 'shared@example.com' },
+        { listId: 'list-2', id: 'recipient-2', email: 'shared@example.com' },
+        { listId: 'list-2', id: 'recipient-3', email: 'other@example.com' },
+        { listId: 'list-1', id: 'recipient-4', email: 'mine@example.com' }
+      ])
+    ]);
+  });
+
+  it('requires a user', () => {
+    expect(() => forUser(null, models)).to.throw('forUser expects a userId');
+  });
+
+  it('keeps the names of the models', () => {
+    expect(Models.List.name).to.equal('TenantList');
+    expect(Models.List.userId).to.equal('user-1');
+  });
+
+  context('when the key holds the user', () => {
+    it('reads the user\'s items', () => {
+      return expect(Models.List.get('user-1', 'list-1')).to.eventually.include({ userId: 'user-1', id: 'list-1' });
+    });
+
+    it('rejects other users\' keys without reading them', (done) => {
+      const spy = sinon.spy(TenantList, '_client');
+      rejectsCrossTenant(Models.List.get('user-2', 'list-2').then(null, (err) => {
+        expect(spy).not.to.have.been.called;
+        spy.restore();
+        throw err;
+      }), done);
+    });
+
+    it('rejects other users\' queries', (done) => {
+      rejectsCrossTenant(Models.List.allBy('userId', 'user-2'), done);
+    });
+
+    it('adds the user to saved items', (done) => {
+      Models.List.save({ id: 'list-3', name: 'New' })
+        .then(() => TenantList.get('user-1', 'list-3'))
+        .then((list) => {
+          expect(list).to.have.property('name', 'New');
+          done();
+        }).catch(done);
+    });
+
+    it('rejects items saved for other users', (done) => {
+      rejectsCrossTenant(Models.List.saveAll([{ id: 'list-3' }, { userId: 'user-2', id: 'list-4' }]), done);
+    });
+
+    it('rejects updates moving items to other users', (done) => {
+      rejectsCrossTenant(Models.List.update({ userId: 'user-2' }, 'user-1', 'list-1'), done);
+    });
+
+    it('rejects import statuses of other users\' lists', (done) => {
+      const status = { text: 'failed', dateField: 'finishedAt', dateValue: 1, isImporting: false };
+      const updated = Models.List.updateImportStatus('user-2', 'list-2', 'file.csv', status).then(null, (err) => {
+        return TenantList.get('user-2', 'list-2').then((list) => {
+          expect(list).not.to.have.property('importStatus');
+          throw err;
+        });
+      });
+      rejectsCrossTenant(updated, done);
+    });
+
+    it('doesn\'t start transactions', () => {
+      expect(() => Models.List.transaction()).to.throw(ValidationError, 'use TenantList.transaction() instead');
+    });
+  });
+
+  context('when the items hold the user', () => {
+    it('reads the user\'s items by their key or index', (done) => {
+      Promise.all([
+        Models.ListSegment.get('list-1', 'segment-1', { include_fields: true, fields: 'name' }),
+        Models.ListSegment.allBy('id', 'segment-1')
+      ]).then(([segment, result]) => {
+        expect(segment).to.deep.equal({ name: 'Mine' });
+        expect(result.items.map(item => item.id)).to.deep.equal(['segment-1']);
+        done();
+      }).catch(done);
+    });
+
+    it('rejects other users\' items fetched by their key', (done) => {
+      rejectsCrossTenant(Models.ListSegment.get('list-2', 'segment-2'), done);
+    });
+
+    it('rejects other users\' items fetched through an index', (done) => {
+      rejectsCrossTenant(Models.ListSegment.allBy('id', 'segment-2', { include_fields: true, fields: 'name' }), done);
+    });
+
+    it('reads the user\'s items in transactions', (done) => {
+      Models.ListSegment.transactGet([{ hash: 'list-1', range: 'segment-1', fields: 'name' }, { model: Models.List, hash: 'user-1', range: 'list-1' }])
+        .then(([segment, list]) => {
+          expect(segment).to.deep.equal({ name: 'Mine' });
+          expect(list).to.include({ userId: 'user-1', id: 'list-1' });
+          done();
+        }).catch(done);
+    });
+
+    it('rejects transaction reads with other users\' items', (done) => {
+      rejectsCrossTenant(Models.ListSegment.transactGet([
+        { hash: 'list-1', range: 'segment-1' },
+        { hash: 'list-2', range: 'segment-2' }
+      ]), done);
+    });
+
+    it('rejects batch reads with other users\' items', (done) => {
+      rejectsCrossTenant(Models.ListSegment.batchGet([
+        ['list-1', 'segment-1'],
+        ['list-2', 'segment-2']
+      ]), done);
+    });
+
+    it('checks the item before writing it', (done) => {
+      const updated = Models.ListSegment.update({ name: 'Stolen' }, 'list-2', 'segment-2').then(null, (err) => {
+        return TenantSegment.get('list-2', 'segment-2').then((segment) => {
+          expect(segment).to.have.property('name', 'Theirs');
+          throw err;
+        });
+      });
+      rejectsCrossTenant(updated, done);
+    });
+
+    it('rejects writes to missing items without creating them', (done) => {
+      const updated = Models.ListSegment.update({ name: 'Phantom' }, 'list-2', 'segment-3').then(null, (err) => {
+        expect(client.items('tenant-segments').map(item => item.id)).not.to.include('segment-3');
+        throw err;
+      });
+      rejectsCrossTenant(updated, done);
+    });
+
+    it('conditions writes on the owner', (done) => {
+      const spy = sinon.spy(TenantSegment, '_client');
+      Models.ListSegment.incrementAll('list-1', 'segment-1', { recipientsCount: 1 }).then(() => {
+        spy.restore();
+        const params = spy.firstCall.args[1];
+        expect(spy).to.have.been.calledOnce;
+        expect(params.ConditionExpression).to.contain('attribute_exists');
+        expect(JSON.stringify(params.ExpressionAttributeValues)).to.contain('user-1');
+        done();
+      }).catch((err) => {
+        spy.restore();
+        done(err);
+      });
+    });
+
+    it('rejects saves overwriting other users\' items', (done) => {
+      const saved = forUser('user-2', models).ListSegment.save({ listId: 'list-1', id: 'segment-1', name: 'Stolen' }).then(null, (err) => {
+        return TenantSegment.get('list-1', 'segment-1').then((segment) => {
+          expect(segment).to.include({ userId: 'user-1', name: 'Mine' });
+          throw err;
+        });
+      });
+      saved.then(() => done(new Error('Expected a CrossTenantError')), (err) => {
+        try {
+          expect(err).to.be.an.instanceof(CrossTenantError);
+          expect(err).to.have.property('userId', 'user-2');
+          done();
+        } catch (assertion) {
+          done(assertion);
+        }
+      });
+    });
+
+    it('rejects batch saves overwriting other users\' items', (done) => {
+      const saved = Models.ListSegment.saveAll([
+        { listId: 'list-1', id: 'segment-3', name: 'New' },
+        { listId: 'list-2', id: 'segment-2', name: 'Stolen' }
+      ]).then(null, (err) => {
+        return TenantSegment.get('list-2', 'segment-2').then((segment) => {
+          expect(segment).to.include({ userId: 'user-2', name: 'Theirs' });
+          throw err;
+        });
+      });
+      rejectsCrossTenant(saved, done);
+    });
+
+    it('saves new and own items', (done) => {
+      Models.ListSegment.saveAll([{ listId: 'list-1', id: 'segment-3', name: 'New' }])
+        .then(() => Models.ListSegment.save({ listId: 'list-1', id: 'segment-1', name: 'Renamed' }))
+        .then(() => TenantSegment.batchGet([['list-1', 'segment-1'], ['list-1', 'segment-3']]))
+        .then((segments) => {
+          expect(segments.map(segment => segment.name).sort()).to.deep.equal(['New', 'Renamed']);
+          expect(segments.every(segment => segment.userId === 'user-1')).to.be.true;
+          done();
+        }).catch(done);
+    });
+
+    it('rejects deleting other users\' items in batches', (done) => {
+      const deleted = Models.ListSegment.deleteAll([['list-1', 'segment-1'], ['list-2', 'segment-2']]).then(null, (err) => {
+        return TenantSegment.get('list-2', 'segment-2').then((segment) => {
+          expect(segment).to.have.property('name', 'Theirs');
+          throw err;
+        });
+      });
+      rejectsCrossTenant(deleted, done);
+    });
+
+    it('deletes the user\'s items', (done) => {
+      Models.ListSegment.delete('list-1', 'segment-1')
+        .then(() => TenantSegment.get('list-1', 'segment-1'))
+        .then((segment) => {
+          expect(segment).to.deep.equal({});
+          done();
+        }).catch(done);
+    });
+
+    it('only resolves the user\'s items from raw scans', (done) => {
+      Models.ListSegment._scanAllPages({ TableName: 'tenant-segments' }).then((items) => {
+        expect(items.map(item => item.id)).to.deep.equal(['segment-1']);
+        done();
+      }).catch(done);
+    });
+
+    it('only scans and counts the user\'s items', (done) => {
+      Promise.all([Models.ListSegment.scan(), Models.ListSegment.countBy('id', 'segment-2')]).then(([result, count]) => {
+        expect(result.items.map(item => item.id)).to.deep.equal(['segment-1']);
+        expect(count).to.equal(0);
+        done();
+      }).catch(done);
+    });
+  });
+
+  context('when the items belong to a parent', () => {
+    it('reads the items of the user\'s parents', (done) => {
+      Models.Recipient.allBy('listId', 'list-1').then((result) => {
+        expect(result.items.map(item => item.id).sort()).to.deep.equal(['recipient-1', 'recipient-4']);
+        done();
+      }).catch(done);
+    });
+
+    it('looks each parent up once', (done) => {
+      const spy = sinon.spy(TenantList, 'get');
+      Models.Recipient.get('list-1', 'recipient-1')
+        .then(() => Models.Recipient.allBy('listId', 'list-1'))
+        .then(() => {
+          spy.restore();
+          expect(spy).to.have.been.calledOnce;
+          done();
+        }).catch((err) => {
+          spy.restore();
+          done(err);
+        });
+    });
+
+    it('rejects the items of other users\' parents', (done) => {
+      rejectsCrossTenant(Models.Recipient.allBy('listId', 'list-2'), done);
+    });
+
+    it('rejects other users\' items fetched through an index', (done) => {
+      rejectsCrossTenant(Models.Recipient.allBy('email', 'shared@example.com'), done);
+    });
+
+    it('reads the user\'s items fetched through an index', (done) => {
+      Models.Recipient.allBy('email', 'mine@example.com').then((result) => {
+        expect(result.items.map(item => item.id)).to.deep.equal(['recipient-4']);
+        done();
+      }).catch(done);
+    });
+
+    it('rejects items saved to other users\' parents', (done) => {
+      rejectsCrossTenant(Models.Recipient.save({ listId: 'list-2', id: 'recipient-5' }), done);
+    });
+
+    it('rejects writes to missing items of the user\'s parents', (done) => {
+      rejectsCrossTenant(Models.Recipient.update({ status: 'subscribed' }, 'list-1', 'recipient-5'), done);
+    });
+
+    it('rejects unscoped counts', () => {
+      return Promise.all([
+        expect(Models.Recipient.countBy('email', 'other@example.com')).to.be.rejectedWith('only be counted by listId'),
+        expect(Models.Recipient.boundedCountBy('email', 'other@example.com', { maxPages: 1 })).to.be.rejectedWith('only be counted by listId')
+      ]);
+    });
+  });
+});
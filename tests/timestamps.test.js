@@ -0,0 +1,198 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+import * as sinon from 'sinon';
+import moment from 'moment';
+import { Model } from '../src/models/model';
+import { BaseModel } from '../src/models/base_model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { UpdateExpression } from '../src/update_expression';
+import { ConditionalCheckFailedError } from '../src/errors';
+import { memoryModel } from './helpers';
+
+chai.use(chaiAsPromised);
+
+describe('Timestamps', () => {
+  const client = new MemoryDocumentClient();
+  const longAgo = 1000;
+
+  const StampedCampaign = memoryModel(Model, 'StampedCampaign', client, {
+    tableName: 'stamped-campaigns',
+    hashKey: 'userId',
+    rangeKey: 'id'
+  });
+
+  class MillisCampaign extends StampedCampaign {
+    static get timestamps() {
+      return { createdAt: 'created', updatedAt: 'modified', unit: 'ms' };
+    }
+  }
+
+  const UnstampedCampaign = memoryModel(BaseModel, 'UnstampedCampaign', client, {
+    tableName: 'stamped-campaigns',
+    hashKey: 'userId',
+    rangeKey: 'id',
+    timestamps: { updatedAt: null }
+  });
+
+  const stored = () => client.items('stamped-campaigns')[0];
+
+  beforeEach(() => {
+    client.createTableFor(StampedCampaign);
+    return client.put({
+      TableName: 'stamped-campaigns',
+      Item: { userId: 'user', id: 'campaign', createdAt: longAgo, updatedAt: longAgo }
+    }).promise();
+  });
+
+  describe('#save', () => {
+    it('stamps createdAt and updatedAt on new items', (done) => {
+      const now = moment().unix();
+      StampedCampaign.save({ userId: 'user', id: 'new' })
+        .then(() => StampedCampaign.get('user', 'new'))
+        .then((item) => {
+          expect(item.createdAt).to.be.within(now, now + 1);
+          expect(item.updatedAt).to.equal(item.createdAt);
+          done();
+        }).catch(done);
+    });
+
+    it('keeps the createdAt of the item it overwrites', (done) => {
+      StampedCampaign.save({ userId: 'user', id: 'campaign', name: 'replaced' }).then(() => {
+        expect(stored()).to.have.property('name', 'replaced');
+        expect(stored()).to.have.property('createdAt', longAgo);
+        expect(stored().updatedAt).to.be.above(longAgo);
+        done();
+      }).catch(done);
+    });
+
+    it('overwrites items with a single write', (done) => {
+      const updateSpy = sinon.spy(client, 'update');
+      const putSpy = sinon.spy(client, 'put');
+      StampedCampaign.save({ userId: 'user', id: 'campaign', name: 'replaced' }).then(() => {
+        expect(updateSpy.called).to.be.false;
+        expect(putSpy.lastCall.args[0].Item).to.have.property('createdAt', longAgo);
+        expect(putSpy.lastCall.args[0].ExpressionAttributeValues).to.have.property(':keptCreatedAt', longAgo);
+        done();
+      }).catch(done).then(() => {
+        updateSpy.restore();
+        putSpy.restore();
+      });
+    });
+
+    it('keeps failing on the conditions given', (done) => {
+      const save = StampedCampaign.save({ userId: 'user', id: 'campaign', name: 'replaced' }, { conditions: { name: { eq: 'other' } } });
+      expect(save).to.be.rejectedWith(ConditionalCheckFailedError).then(() => {
+        expect(stored()).not.to.have.property('name');
+        done();
+      }).catch(done);
+    });
+
+    it('keeps the createdAt of loaded items', (done) => {
+      StampedCampaign.get('user', 'campaign')
+        .then(item => StampedCampaign.save(Object.assign(item, { name: 'changed' })))
+        .then(() => {
+          expect(stored()).to.have.property('createdAt', longAgo);
+          done();
+        }).catch(done);
+    });
+
+    it('uses the configured names and units', (done) => {
+      const now = Date.now();
+      MillisCampaign.save({ userId: 'user', id: 'millis' }).then(() => {
+        const item = client.items('stamped-campaigns').find(campaign => campaign.id === 'millis');
+        expect(item.created).to.be.within(now, now + 1000);
+        expect(item.modified).to.equal(item.created);
+        expect(item).not.to.have.property('createdAt');
+        done();
+      }).catch(done);
+    });
+  });
+
+  describe('#saveAll', () => {
+    it('stamps every item', (done) => {
+      StampedCampaign.saveAll([{ userId: 'user', id: '1' }, { userId: 'user', id: '2' }]).then(() => {
+        const saved = client.items('stamped-campaigns').filter(item => item.id !== 'campaign');
+        expect(saved).to.have.length(2);
+        saved.forEach(item => expect(item.updatedAt).to.be.above(longAgo));
+        done();
+      }).catch(done);
+    });
+
+    it('keeps the createdAt of the items they overwrite with keepCreatedAt', (done) => {
+      const items = [{ userId: 'user', id: 'campaign', name: 'replaced' }, { userId: 'user', id: 'new' }];
+      StampedCampaign.saveAll(items, { keepCreatedAt: true }).then(() => {
+        const saved = client.items('stamped-campaigns');
+        expect(saved.find(item => item.id === 'campaign')).to.include({ name: 'replaced', createdAt: longAgo });
+        expect(saved.find(item => item.id === 'new').createdAt).to.be.above(longAgo);
+        done();
+      }).catch(done);
+    });
+
+    it('doesn\'t read the stored items by default', (done) => {
+      const batchGetSpy = sinon.spy(client, 'batchGet');
+      StampedCampaign.saveAll([{ userId: 'user', id: 'new' }]).then(() => {
+        expect(batchGetSpy.called).to.be.false;
+        done();
+      }).catch(done).then(() => batchGetSpy.restore());
+    });
+  });
+
+  describe('#transaction', () => {
+    it('keeps the createdAt of the items puts overwrite', (done) => {
+      StampedCampaign.transaction()
+        .put(StampedCampaign, { userId: 'user', id: 'campaign', name: 'replaced' })
+        .put(StampedCampaign, { userId: 'user', id: 'new' })
+        .commit()
+        .then(() => {
+          const items = client.items('stamped-campaigns');
+          expect(items.find(item => item.id === 'campaign')).to.include({ name: 'replaced', createdAt: longAgo });
+          expect(items.find(item => item.id === 'new').createdAt).to.be.above(longAgo);
+          done();
+        }).catch(done);
+    });
+
+    it('conditions puts on the createdAt read', (done) => {
+      const transactSpy = sinon.spy(client, 'transactWrite');
+      StampedCampaign.transaction().put(StampedCampaign, { userId: 'user', id: 'campaign' }).commit().then(() => {
+        const put = transactSpy.lastCall.args[0].TransactItems[0].Put;
+        expect(put.ConditionExpression).to.equal('#keptCreatedAt = :keptCreatedAt');
+        expect(put.ExpressionAttributeValues).to.have.property(':keptCreatedAt', longAgo);
+        done();
+      }).catch(done).then(() => transactSpy.restore());
+    });
+  });
+
+  describe('#update', () => {
+    it('stamps updatedAt', (done) => {
+      StampedCampaign.update({ name: 'changed', updatedAt: 5 }, 'user', 'campaign').then((item) => {
+        expect(item.updatedAt).to.be.above(longAgo);
+        expect(item).to.have.property('createdAt', longAgo);
+        done();
+      }).catch(done);
+    });
+
+    it('stamps updatedAt on update expressions', (done) => {
+      StampedCampaign.update(new UpdateExpression().remove('name'), 'user', 'campaign').then((item) => {
+        expect(item.updatedAt).to.be.above(longAgo);
+        done();
+      }).catch(done);
+    });
+
+    it('can be disabled', (done) => {
+      UnstampedCampaign.update({ name: 'changed' }, 'user', 'campaign').then((item) => {
+        expect(item).to.have.property('updatedAt', longAgo);
+        done();
+      }).catch(done);
+    });
+  });
+
+  describe('#increment', () => {
+    it('stamps updatedAt', (done) => {
+      StampedCampaign.increment('opensCount', 1, 'user', 'campaign').then(() => {
+        expect(stored().updatedAt).to.be.above(longAgo);
+        done();
+      }).catch(done);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+import { Model } from '../src/models/model';
+import { BaseModel } from '../src/models/base_model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { Transaction } from '../src/transaction';
+import { TransactionCanceledError } from '../src/errors';
+import { memoryModel } from './helpers';
+
+chai.use(chaiAsPromised);
+
+describe('Transactions', () => {
+  const client = new MemoryDocumentClient();
+
+  const TransactionCampaign = memoryModel(Model, 'TransactionCampaign', client, {
+    tableName: 'transaction-campaigns',
+    hashKey: 'userId',
+    rangeKey: 'id',
+    versionAttribute: 'version'
+  });
+
+  const TransactionReport = memoryModel(BaseModel, 'TransactionReport', client, {
+    tableName: 'transaction-reports',
+    hashKey: 'campaignId'
+  });
+
+  beforeEach(() => {
+    client.createTableFor(TransactionCampaign);
+    client.createTableFor(TransactionReport);
+    return TransactionCampaign.save({ userId: 'user', id: 'campaign', status: 'draft' });
+  });
+
+  describe('#transaction', () => {
+    it('returns a transaction builder', () => {
+      expect(TransactionCampaign.transaction()).to.be.an.instanceof(Transaction);
+    });
+
+    it('commits operations on several models together', (done) => {
+      TransactionCampaign.transaction()
+        .update(TransactionCampaign, { status: 'scheduled', version: 1 }, 'user', 'campaign')
+        .put(TransactionReport, { campaignId: 'campaign', sentCount: 0 }, { exists: false })
+        .commit()
+        .then(() => TransactionCampaign.transactGet([
+          { hash: 'user', range: 'campaign' },
+          { model: TransactionReport, hash: 'campaign' }
+        ]))
+        .then((items) => {
+          expect(items[0]).to.have.property('status', 'scheduled');
+          expect(items[0]).to.have.property('version', 2);
+          expect(items[1]).to.have.property('sentCount', 0);
+          expect(items[1]).to.have.property('createdAt');
+          done();
+        }).catch(done);
+    });
+
+    it('changes nothing when a condition fails', (done) => {
+      TransactionCampaign.transaction()
+        .put(TransactionReport, { campaignId: 'campaign' })
+        .update(TransactionCampaign, { status: 'scheduled' }, 'user', 'campaign', { conditions: { status: { eq: 'sent' } } })
+        .commit()
+        .catch((err) => {
+          expect(err).to.be.an.instanceof(TransactionCanceledError);
+          expect(err.reasons.map(reason => reason.code)).to.deep.equal(['None', 'ConditionalCheckFailed']);
+          expect(err.reasons[1]).to.have.property('model', 'TransactionCampaign');
+          expect(err.reasons[1]).to.have.deep.property('key.id', 'campaign');
+          expect(client.items('transaction-reports')).to.be.empty;
+          expect(client.items('transaction-campaigns')[0]).to.have.property('status', 'draft');
+          done();
+        }).catch(done);
+    });
+
+    it('doesn\'t create missing items on updates', (done) => {
+      TransactionCampaign.transaction()
+        .update(TransactionCampaign, { status: 'scheduled' }, 'user', 'missing')
+        .commit()
+        .catch((err) => {
+          expect(err).to.be.an.instanceof(TransactionCanceledError);
+          expect(err.reasons.map(reason => reason.code)).to.deep.equal(['ConditionalCheckFailed']);
+          expect(client.items('transaction-campaigns').map(item => item.id)).to.deep.equal(['campaign']);
+          done();
+        }).catch(done);
+    });
+
+    it('creates missing items on upserts', (done) => {
+      TransactionCampaign.transaction()
+        .update(TransactionCampaign, { status: 'scheduled' }, 'user', 'new', { upsert: true })
+        .commit()
+        .then(() => TransactionCampaign.get('user', 'new'))
+        .then((campaign) => {
+          expect(campaign).to.have.property('status', 'scheduled');
+          done();
+        }).catch(done);
+    });
+
+    it('supports deletes and condition checks', (done) => {
+      TransactionReport.save({ campaignId: 'campaign' })
+        .then(() => TransactionReport.transaction()
+          .conditionCheck(TransactionCampaign, 'user', 'campaign', { version: 1 })
+          .delete(TransactionReport, 'campaign')
+          .commit())
+        .then(() => {
+          expect(client.items('transaction-reports')).to.be.empty;
+          done();
+        }).catch(done);
+    });
+
+    it('requires conditions on condition checks', () => {
+      expect(() => Model.transaction().conditionCheck(TransactionCampaign, 'user', 'campaign')).to.throw(Error);
+    });
+
+    it('resolves empty transactions without calling DynamoDB', () => {
+      return expect(Model.transaction().commit()).to.eventually.equal(true);
+    });
+  });
+
+  describe('#transactGet', () => {
+    it('returns {} for missing items', (done) => {
+      TransactionReport.transactGet([
+        { model: TransactionCampaign, hash: 'user', range: 'campaign', fields: 'status' },
+        { hash: 'missing' }
+      ]).then((items) => {
+        expect(items).to.deep.equal([{ status: 'draft' }, {}]);
+        done();
+      }).catch(done);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+import Joi from 'joi';
+import { Model } from '../src/models/model';
+import { BaseModel } from '../src/models/base_model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { UpdateExpression } from '../src/update_expression';
+import { EmptyPayloadError } from '../src/errors';
+import { memoryModel } from './helpers';
+
+describe('UpdateExpression', () => {
+  describe('#params', () => {
+    it('groups the actions by clause with unique placeholders', () => {
+      const params = new UpdateExpression()
+        .add('opensCount', 1)
+        .set('importStatus.file.status', 'importing')
+        .remove('scheduledAt')
+        .set(['importStatus', 'list.csv', 'importing'], true)
+        .delete('tags', 'set')
+        .params();
+      expect(params).to.deep.equal({
+        UpdateExpression: 'SET #u0.#u1.#u2 = :u0, #u0.#u3.#u4 = :u1 REMOVE #u5 ADD #u6 :u2 DELETE #u7 :u3',
+        ExpressionAttributeNames: {
+          '#u0': 'importStatus',
+          '#u1': 'file',
+          '#u2': 'status',
+          '#u3': 'list.csv',
+          '#u4': 'importing',
+          '#u5': 'scheduledAt',
+          '#u6': 'opensCount',
+          '#u7': 'tags'
+        },
+        ExpressionAttributeValues: { ':u0': 'importing', ':u1': true, ':u2': 1, ':u3': 'set' }
+      });
+    });
+
+    it('compiles list_append and if_not_exists', () => {
+      const params = new UpdateExpression()
+        .append('tags', ['a'])
+        .prepend(['history'], ['b'])
+        .setIfNotExists('firstOpenAt', 5)
+        .params();
+      expect(params.UpdateExpression).to.equal([
+        'SET #u0 = list_append(if_not_exists(#u0, :u0), :u1)',
+        '#u1 = list_append(:u2, if_not_exists(#u1, :u3))',
+        '#u2 = if_not_exists(#u2, :u4)'
+      ].join(', '));
+    });
+
+    it('supports list indexes in paths', () => {
+      expect(new UpdateExpression().set('tags[1]', 'b').set(['links', 0, 'url'], 'c').params().UpdateExpression)
+        .to.equal('SET #u0[1] = :u0, #u1[0].#u2 = :u1');
+    });
+
+    it('throws when there are no actions', () => {
+      expect(() => new UpdateExpression().params()).to.throw('at least one action');
+    });
+  });
+
+  describe('updating models', () => {
+    const client = new MemoryDocumentClient();
+
+    const UpdatedList = memoryModel(Model, 'UpdatedList', client, {
+      tableName: 'updated-lists',
+      hashKey: 'userId',
+      rangeKey: 'id'
+    });
+
+    const UpdatedBaseList = memoryModel(BaseModel, 'UpdatedBaseList', client, {
+      tableName: 'updated-lists',
+      hashKey: 'userId',
+      rangeKey: 'id',
+      updateSchema: Joi.object({ name: Joi.string() })
+    });
+
+    beforeEach(() => {
+      client.createTableFor(UpdatedList);
+      return UpdatedList.save({
+        userId: 'user',
+        id: 'list',
+        tags: ['b'],
+        segments: client.createSet(['s1', 's2']),
+        importStatus: { 'list.csv': { status: 'importing' } }
+      });
+    });
+
+    it('applies every kind of action', (done) => {
+      const expression = new UpdateExpression()
+        .set(['importStatus', 'list.csv', 'status'], 'imported')
+        .append('tags', ['c'])
+        .prepend('tags2', ['a'])
+        .setIfNotExists('importedCount', 0)
+        .add('opensCount', 2)
+        .delete('segments', client.createSet(['s1']))
+        .remove('createdAt');
+      UpdatedList.update(expression, 'user', 'list').then((list) => {
+        expect(list.importStatus).to.deep.equal({ 'list.csv': { status: 'imported' } });
+        expect(list.tags).to.deep.equal(['b', 'c']);
+        expect(list.tags2).to.deep.equal(['a']);
+        expect(list).to.have.property('importedCount', 0);
+        expect(list).to.have.property('opensCount', 2);
+        expect(list.segments.values).to.deep.equal(['s2']);
+        expect(list).not.to.have.property('createdAt');
+        done();
+      }).catch(done);
+    });
+
+    it('skips the update schema for expressions on BaseModel', (done) => {
+      UpdatedBaseList.update(new UpdateExpression().add('importedCount', 3), 'user', 'list').then((list) => {
+        expect(list).to.have.property('importedCount', 3);
+        done();
+      }).catch(done);
+    });
+
+    it('rejects empty expressions on BaseModel', (done) => {
+      UpdatedBaseList.update(new UpdateExpression(), 'user', 'list').catch((err) => {
+        expect(err).to.be.an.instanceof(EmptyPayloadError);
+        expect(err).to.have.deep.property('key.id', 'list');
+        done();
+      }).catch(done);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+import Joi from 'joi';
+import { Model } from '../src/models/model';
+import { BaseModel } from '../src/models/base_model';
+import { MemoryDocumentClient } from '../src/memory_document_client';
+import { StaleItemError } from '../src/errors';
+import { memoryModel } from './helpers';
+
+chai.use(chaiAsPromised);
+
+describe('Optimistic locking', () => {
+  const tableName = 'versioned-table';
+  const client = new MemoryDocumentClient();
+
+  const VersionedModel = memoryModel(Model, 'VersionedModel', client, {
+    tableName,
+    hashKey: 'userId',
+    rangeKey: 'id',
+    versionAttribute: 'version'
+  });
+
+  const VersionedBaseModel = memoryModel(BaseModel, 'VersionedBaseModel', client, {
+    tableName,
+    hashKey: 'userId',
+    rangeKey: 'id',
+    versionAttribute: 'version',
+    updateSchema: Joi.object({ name: Joi.string() })
+  });
+
+  beforeEach(() => {
+    client.createTableFor(VersionedModel);
+    return VersionedModel.save({ userId: 'user', id: '1', name: 'original' });
+  });
+
+  describe('#save', () => {
+    it('sets the first version on new items', (done) => {
+      VersionedModel.get('user', '1').then((item) => {
+        expect(item).to.have.property('version', 1);
+        done();
+      }).catch(done);
+    });
+
+    it('bumps the version when the expected version matches', (done) => {
+      VersionedModel.save({ userId: 'user', id: '1', name: 'changed', version: 1 })
+        .then(() => VersionedModel.get('user', '1'))
+        .then((item) => {
+          expect(item).to.have.property('version', 2);
+          expect(item).to.have.property('name', 'changed');
+          done();
+        }).catch(done);
+    });
+
+    it('rejects with a StaleItemError carrying the current item on mismatch', (done) => {
+      VersionedModel.save({ userId: 'user', id: '1', name: 'changed', version: 5 }).catch((err) => {
+        expect(err).to.be.an.instanceof(StaleItemError);
+        expect(err).to.be.an.instanceof(Error);
+        expect(err).to.have.property('expectedVersion', 5);
+        expect(err).to.have.deep.property('key.id', '1');
+        expect(err.item).to.have.property('name', 'original');
+        done();
+      }).catch(done);
+    });
+
+    it('rejects saving an unversioned copy over an existing item', () => {
+      const result = VersionedModel.save({ userId: 'user', id: '1', name: 'changed' });
+      return expect(result).to.be.rejectedWith(StaleItemError);
+    });
+  });
+
+  describe('#update', () => {
+    it('bumps the version when the expected version matches', (done) => {
+      VersionedModel.update({ name: 'changed', version: 1 }, 'user', '1').then((item) => {
+        expect(item).to.have.property('version', 2);
+        expect(item).to.have.property('name', 'changed');
+        done();
+      }).catch(done);
+    });
+
+    it('bumps the version when no version was provided', (done) => {
+      VersionedModel.update({ name: 'changed' }, 'user', '1').then((item) => {
+        expect(item).to.have.property('version', 2);
+        done();
+      }).catch(done);
+    });
+
+    it('rejects with a StaleItemError on mismatch', () => {
+      const result = VersionedModel.update({ name: 'changed', version: 2 }, 'user', '1');
+      return expect(result).to.be.rejectedWith(StaleItemError);
+    });
+
+    it('validates the payload without the version on BaseModel', (done) => {
+      VersionedBaseModel.update({ name: 'changed', version: 1 }, 'user', '1')
+        .then(() => VersionedBaseModel.update({ name: 'again', version: 1 }, 'user', '1'))
+        .catch((err) => {
+          expect(err).to.be.an.instanceof(StaleItemError);
+          expect(err.item).to.have.property('version', 2);
+          done();
+        }).catch(done);
+    });
+  });
+
+  describe('#increment', () => {
+    it('bumps the version', (done) => {
+      VersionedModel.increment('opensCount', 1, 'user', '1')
+        .then(() => VersionedModel.get('user', '1'))
+        .then((item) => {
+          expect(item).to.have.property('version', 2);
+          done();
+        }).catch(done);
+    });
+  });
+
+  describe('#delete', () => {
+    it('deletes the item when the expected version matches', (done) => {
+      VersionedModel.delete('user', '1', { version: 1 })
+        .then(() => VersionedModel.get('user', '1'))
+        .then((item) => {
+          expect(item).to.deep.equal({});
+          done();
+        }).catch(done);
+    });
+
+    it('rejects with a StaleItemError on mismatch', () => {
+      const result = VersionedBaseModel.delete('user', '1', { version: 3 });
+      return expect(result).to.be.rejectedWith(StaleItemError);
+    });
+  });
+});